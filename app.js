@@ -1,10 +1,28 @@
 const express = require("express");
-const { PORT } = require("./constants");
+const { PORT, TRUST_PROXY } = require("./constants");
 const app = express();
 const bodyParser = require('body-parser');
 const port = process.env.PORT || PORT;
 const path = require("path");
 const connectToMongoDB = require("./config");
+const SmsService = require("./services/smsService");
+const MailService = require("./services/mailService");
+const TokenService = require("./services/tokenService");
+
+// Refuse to boot without a token secret and real SMS and mail delivery in production
+TokenService.assertConfigured();
+SmsService.assertConfigured();
+MailService.assertConfigured();
+
+// Trust the configured proxies so req.ip is the client address (rate limits
+// key on it). Left as "false", every client behind a proxy shares its IP.
+const parseTrustProxy = (value) => {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+};
+app.set("trust proxy", parseTrustProxy(TRUST_PROXY));
 
 app.use("/uploads", express.static(path.join(__dirname, "/uploads")));
 
@@ -32,12 +50,13 @@ app.get("/franchise/*", (req, res) => {
 
 
 
-// connect to DB
-connectToMongoDB();
+// Routes (loaded before connecting so a broken route registry fails fast)
+const routes = require("./routes");
 
+// connect to DB, then start background jobs
+const { startJobs } = require("./jobs");
+connectToMongoDB().then(startJobs);
 
-// Routes
-const routes = require("./routes");
 app.use("/", routes);
 
 // Wildcard route to serve Angular's index.html for non-API routes
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const CommunityAnnouncement = require('./communityAnnouncement');
+const Community = require('./community');
+const AnnouncementService = require('../services/announcementService');
+const RoleCache = require('../services/roleCache');
+const CommunityOverviewService = require('../services/communityOverviewService');
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+
+// Error message for a mediaUrls list, or null
+const checkMedia = (mediaUrls) => {
+  if (!Array.isArray(mediaUrls)) return 'mediaUrls must be an array.';
+  if (mediaUrls.some(media => !media || !media.url || !MEDIA_TYPES.includes(media.mediaType))) {
+    return 'Each media must have url and valid mediaType.';
+  }
+  return null;
+};
+
+// Expiry date from the request: null clears it, past dates are refused
+const parseExpiry = (value) => {
+  if (value === null || value === '') return { expiresAt: null };
+  const expiresAt = new Date(value);
+  if (Number.isNaN(expiresAt.getTime())) return { error: 'expiresAt must be a valid date' };
+  if (expiresAt <= new Date()) return { error: 'expiresAt must be in the future' };
+  return { expiresAt };
+};
+
+// Announcement of the community in the route, or null
+const findCommunityAnnouncement = (req) => {
+  if (!mongoose.isValidObjectId(req.params.announcementId)) return null;
+  return CommunityAnnouncement.findOne({
+    _id: req.params.announcementId,
+    communityId: req.params.id,
+    isDeleted: false
+  });
+};
+
+// Live announcement of the community in the route, if the current user is
+// in its audience; null otherwise
+const findAudienceAnnouncement = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.announcementId) || !mongoose.isValidObjectId(req.params.id)) return null;
+  const announcement = await CommunityAnnouncement.findOne({
+    ...AnnouncementService.liveFilter(req.params.id),
+    _id: req.params.announcementId
+  });
+  if (!announcement) return null;
+  const inAudience = await AnnouncementService.isInAudience(req.user, announcement.communityId, RoleCache.forRequest(req));
+  return inAudience ? announcement : null;
+};
+
+// List a community's announcements with read counts (moderators)
+exports.getAnnouncements = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'all' } = req.query;
+    const communityId = req.authorization.scope.communityId;
+
+    let filter = { communityId, isDeleted: false };
+    if (status === 'live') filter = AnnouncementService.liveFilter(communityId);
+    if (status === 'expired') filter.expiresAt = { $ne: null, $lte: new Date() };
+
+    const [announcements, total, community] = await Promise.all([
+      CommunityAnnouncement.find(filter)
+        .populate('authorId', 'name avatar')
+        .populate('updatedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+        .lean(),
+      CommunityAnnouncement.countDocuments(filter),
+      Community.findById(communityId).select('memberCount followerCount').lean()
+    ]);
+
+    res.json({
+      announcements: announcements.map(announcement => ({ ...announcement, id: announcement._id })),
+      // Audience to compare readCount against
+      memberCount: community ? community.memberCount : 0,
+      followerCount: community ? community.followerCount : 0,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Post an announcement to every group of the community
+exports.createAnnouncement = async (req, res) => {
+  try {
+    const { title, body, mediaUrls = [], expiresAt } = req.body;
+    if (!title || !title.trim() || !body || !body.trim()) {
+      return res.status(400).json({ error: 'title and body are required' });
+    }
+    const mediaError = checkMedia(mediaUrls);
+    if (mediaError) return res.status(400).json({ error: mediaError });
+
+    const expiry = expiresAt !== undefined ? parseExpiry(expiresAt) : { expiresAt: null };
+    if (expiry.error) return res.status(400).json({ error: expiry.error });
+
+    const announcement = await CommunityAnnouncement.create({
+      communityId: req.authorization.scope.communityId,
+      authorId: req.user._id,
+      title,
+      body,
+      mediaUrls,
+      expiresAt: expiry.expiresAt
+    });
+
+    CommunityOverviewService.invalidate(announcement.communityId);
+
+    const populated = await CommunityAnnouncement.findById(announcement._id)
+      .populate('authorId', 'name avatar');
+    res.status(201).json(populated);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Edit an announcement's text, media or expiry
+exports.updateAnnouncement = async (req, res) => {
+  try {
+    const announcement = await findCommunityAnnouncement(req);
+    if (!announcement) return res.status(404).json({ error: 'Announcement not found' });
+
+    const { title, body, mediaUrls, expiresAt } = req.body;
+    if (mediaUrls !== undefined) {
+      const mediaError = checkMedia(mediaUrls);
+      if (mediaError) return res.status(400).json({ error: mediaError });
+      announcement.mediaUrls = mediaUrls;
+    }
+    if (expiresAt !== undefined) {
+      const expiry = parseExpiry(expiresAt);
+      if (expiry.error) return res.status(400).json({ error: expiry.error });
+      announcement.expiresAt = expiry.expiresAt;
+    }
+    if (title !== undefined) announcement.title = title;
+    if (body !== undefined) announcement.body = body;
+    announcement.updatedBy = req.user._id;
+
+    await announcement.save();
+    CommunityOverviewService.invalidate(announcement.communityId);
+    res.json(announcement);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Take an announcement down
+exports.deleteAnnouncement = async (req, res) => {
+  try {
+    const announcement = await findCommunityAnnouncement(req);
+    if (!announcement) return res.status(404).json({ error: 'Announcement not found' });
+
+    announcement.isDeleted = true;
+    announcement.deletedAt = new Date();
+    announcement.deletedBy = req.user._id;
+    await announcement.save();
+    CommunityOverviewService.invalidate(announcement.communityId);
+
+    res.json({ success: true, message: 'Announcement deleted successfully' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Mark an announcement as read by the current user
+exports.markAnnouncementRead = async (req, res) => {
+  try {
+    const announcement = await findAudienceAnnouncement(req);
+    if (!announcement) return res.status(404).json({ error: 'Announcement not found' });
+
+    await AnnouncementService.markRead(announcement._id, req.user._id);
+    res.json({ success: true, message: 'Announcement marked as read' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Hide an announcement from the current user's group feeds
+exports.dismissAnnouncement = async (req, res) => {
+  try {
+    const announcement = await findAudienceAnnouncement(req);
+    if (!announcement) return res.status(404).json({ error: 'Announcement not found' });
+
+    await AnnouncementService.dismiss(announcement._id, req.user._id);
+    res.json({ success: true, message: 'Announcement dismissed' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
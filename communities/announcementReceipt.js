@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One user's read and dismiss state for a community announcement. A receipt
+// is created the first time the user reads the announcement; dismissing it
+// counts as reading it.
+const announcementReceiptSchema = new mongoose.Schema({
+  announcementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommunityAnnouncement',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser',
+    required: true
+  },
+  readAt: {
+    type: Date,
+    default: Date.now
+  },
+  dismissedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+announcementReceiptSchema.index({ announcementId: 1, userId: 1 }, { unique: true });
+announcementReceiptSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('AnnouncementReceipt', announcementReceiptSchema);
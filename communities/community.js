@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { questionSchema } = require('./questionnaire');
+
+const COMMUNITY_STATUSES = ['active', 'archived', 'deleted'];
 
 const communitySchema = new mongoose.Schema({
   communityId: {
@@ -93,14 +96,50 @@ const communitySchema = new mongoose.Schema({
       ref: 'ParentUser'
     }
   }],
+  // Onboarding questions answered when joining the community or a Private group
+  questionnaire: {
+    questions: [questionSchema],
+    updatedAt: { type: Date },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'ParentUser' }
+  },
+  // Lifecycle: archived communities are read-only, deleted ones are hidden
+  // and purged after purgeAfter. isActive stays false only while deleted.
+  status: {
+    type: String,
+    enum: COMMUNITY_STATUSES,
+    default: 'active'
+  },
+  archivedAt: {
+    type: Date
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser'
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser'
+  },
+  purgeAfter: {
+    type: Date,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Distinct members and followers, maintained by CommunityMembershipService
   memberCount: {
     type: Number,
     default: 0
   },
+  followerCount: {
+    type: Number,
+    default: 0
+  },
   groupCount: {
     type: Number,
     default: 0
@@ -112,27 +151,27 @@ const communitySchema = new mongoose.Schema({
 // Indexes for better query performance
 communitySchema.index({ category: 1, isActive: 1 });
 communitySchema.index({ createdAt: -1 });
+communitySchema.index({ status: 1, purgeAfter: 1 });
 communitySchema.index({ title: 'text', shortDescription: 'text' });
 
-// Instance method to add moderator
-communitySchema.methods.addModerator = function(userId, assignedBy) {
-  const existingModerator = this.moderators.find(mod => 
-    mod.userId.toString() === userId.toString()
+// Instance method to add moderator. The list is changed with one conditional
+// update, so concurrent requests cannot add the same user twice; resolves to
+// whether the user was added.
+communitySchema.methods.addModerator = async function(userId, assignedBy) {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'moderators.userId': { $ne: userId } },
+    { $push: { moderators: { userId, assignedBy, assignedAt: new Date() } } }
   );
-  
-  if (!existingModerator) {
-    this.moderators.push({ userId, assignedBy });
-    return this.save();
-  }
-  return Promise.resolve(this);
+  return result.modifiedCount > 0;
 };
 
-// Instance method to remove moderator
-communitySchema.methods.removeModerator = function(userId) {
-  this.moderators = this.moderators.filter(mod => 
-    mod.userId.toString() !== userId.toString()
+// Instance method to remove moderator; resolves to whether the user was removed
+communitySchema.methods.removeModerator = async function(userId) {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'moderators.userId': userId },
+    { $pull: { moderators: { userId } } }
   );
-  return this.save();
+  return result.modifiedCount > 0;
 };
 
 // Instance method to approve expert request
@@ -173,4 +212,5 @@ communitySchema.statics.getCommunitiesWithDetails = function(query = {}) {
 };
 
 module.exports = mongoose.model('Community', communitySchema);
+module.exports.COMMUNITY_STATUSES = COMMUNITY_STATUSES;
 
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A message from a community's moderators shown pinned at the top of every
+// group feed in the community until it expires. readCount and dismissCount
+// are kept in step with AnnouncementReceipt by AnnouncementService.
+const communityAnnouncementSchema = new mongoose.Schema({
+  communityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 150
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 5000
+  },
+  mediaUrls: [{
+    url: { type: String, required: true },
+    mediaType: { type: String, enum: ['image', 'video', 'audio', 'document'], required: true },
+    originalName: { type: String },
+    size: { type: Number },
+    mimeType: { type: String }
+  }],
+  // Hidden from feeds after this date (null = until deleted)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser'
+  },
+  readCount: {
+    type: Number,
+    default: 0
+  },
+  dismissCount: {
+    type: Number,
+    default: 0
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser'
+  }
+}, {
+  timestamps: true
+});
+
+communityAnnouncementSchema.index({ communityId: 1, isDeleted: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CommunityAnnouncement', communityAnnouncementSchema);
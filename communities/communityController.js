@@ -1,5 +1,16 @@
+const mongoose = require('mongoose');
 const Community = require('./community');
 const UserRole = require('../users/userRole');
+const PolicyEngine = require('../services/policyEngine');
+const RoleCache = require('../services/roleCache');
+const RoleAuditService = require('../services/roleAuditService');
+const RoleAssignmentService = require('../services/roleAssignmentService');
+const CommunityMembershipService = require('../services/communityMembershipService');
+const CommunityOverviewService = require('../services/communityOverviewService');
+const CommunityLifecycleService = require('../services/communityLifecycleService');
+const { ROLE_PERMISSIONS } = require('../users/permissions');
+const { maskUser } = require('../users/profilePrivacy');
+const { validateQuestions, validateAnswers } = require('./questionnaire');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -51,12 +62,6 @@ exports.uploadCommunityMedia = (req, res) => {
 // Create Community (Admin only)
 exports.createCommunity = async (req, res) => {
   try {
-    // Check if user has admin permissions
-    const hasPermission = await UserRole.userHasPermission(req.user._id, 'create_community');
-    if (!hasPermission) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
-
     const allowedFields = [
       'title', 'shortDescription', 'longDescription', 'image', 'category', 'tagline', 'icon'
     ];
@@ -93,7 +98,7 @@ exports.getCommunities = async (req, res) => {
     }
 
     const communities = await Community.find(filter)
-      .populate('createdBy', 'name avatar bio')
+      .populate('createdBy', 'name avatar bio privacySettings')
       .populate('moderators.userId', 'name avatar')
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
@@ -102,6 +107,7 @@ exports.getCommunities = async (req, res) => {
     const communitiesWithId = communities.map(community => {
       const obj = community.toObject();
       obj.id = obj._id;
+      maskUser(obj.createdBy, req.user);
       return obj;
     });
 
@@ -115,16 +121,28 @@ exports.getCommunities = async (req, res) => {
 exports.getCommunityById = async (req, res) => {
   try {
     const community = await Community.findById(req.params.id)
-      .populate('createdBy', 'name avatar bio')
+      .populate('createdBy', 'name avatar bio privacySettings')
       .populate('moderators.userId', 'name avatar')
       .populate('experts.userId', 'name avatar')
       .populate('moderators.assignedBy', 'name')
       .populate('experts.approvedBy', 'name');
     
     if (!community) return res.status(404).json({ error: 'Community not found' });
+
+    // Deleted communities are only visible to those who can restore them
+    if (community.status === 'deleted') {
+      const scope = await PolicyEngine.resolveScope({ communityId: community._id });
+      if (!(await PolicyEngine.can(req.user, 'delete_community', scope, RoleCache.forRequest(req)))) {
+        return res.status(404).json({ error: 'Community not found' });
+      }
+    }
     
     const communityObj = community.toObject();
     communityObj.id = communityObj._id;
+    maskUser(communityObj.createdBy, req.user);
+    if (req.user) {
+      communityObj.membershipStatus = await CommunityMembershipService.getStatus(req.user._id, community._id);
+    }
     res.json(communityObj);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -134,11 +152,6 @@ exports.getCommunityById = async (req, res) => {
 // Update Community (Admin only)
 exports.updateCommunity = async (req, res) => {
   try {
-    const hasPermission = await UserRole.userHasPermission(req.user._id, 'edit_community');
-    if (!hasPermission) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
-
     const community = await Community.findById(req.params.id);
     if (!community) return res.status(404).json({ error: 'Community not found' });
 
@@ -150,10 +163,12 @@ exports.updateCommunity = async (req, res) => {
     });
 
     await community.save();
+    CommunityOverviewService.invalidate(community._id);
     
     const populatedCommunity = await Community.findById(community._id)
-      .populate('createdBy', 'name avatar bio')
+      .populate('createdBy', 'name avatar bio privacySettings')
       .populate('moderators.userId', 'name avatar');
+    maskUser(populatedCommunity.createdBy, req.user);
     
     res.json(populatedCommunity);
   } catch (err) {
@@ -161,39 +176,80 @@ exports.updateCommunity = async (req, res) => {
   }
 };
 
-// Delete Community (Admin only)
+// Delete Community (Admin only). Soft delete: the community, its groups and
+// their posts are hidden and can be restored until the purge job removes them.
 exports.deleteCommunity = async (req, res) => {
   try {
-    const hasPermission = await UserRole.userHasPermission(req.user._id, 'delete_community');
-    if (!hasPermission) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
+    const community = await Community.findById(req.params.id);
+    if (!community) return res.status(404).json({ error: 'Community not found' });
+
+    const result = await CommunityLifecycleService.softDelete(community, req.user, req.body && req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Community deleted successfully',
+      purgeAfter: result.purgeAfter,
+      groupsDeleted: result.groups,
+      rolesSuspended: result.roles
+    });
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message });
+  }
+};
 
+// Archive Community (Admin only): the community and its groups become read-only
+exports.archiveCommunity = async (req, res) => {
+  try {
     const community = await Community.findById(req.params.id);
     if (!community) return res.status(404).json({ error: 'Community not found' });
 
-    community.isActive = false;
-    await community.save();
-    
-    res.json({ success: true, message: 'Community deleted successfully' });
+    const result = await CommunityLifecycleService.archive(community, req.user);
+    res.json({ success: true, message: 'Community archived successfully', groupsArchived: result.groups });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(err.status || 400).json({ error: err.message });
+  }
+};
+
+// Restore an archived or deleted Community (Admin only)
+exports.restoreCommunity = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+    if (!community) return res.status(404).json({ error: 'Community not found' });
+
+    const result = await CommunityLifecycleService.restore(community, req.user);
+    res.json({
+      success: true,
+      message: 'Community restored successfully',
+      groupsRestored: result.groups,
+      rolesReinstated: result.roles
+    });
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message });
   }
 };
 
 // Assign Moderator (Admin only)
 exports.assignModerator = async (req, res) => {
   try {
-    const hasPermission = await UserRole.userHasPermission(req.user._id, 'assign_moderators');
-    if (!hasPermission) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
-
-    const { userId } = req.body;
+    const { userId, reason } = req.body;
+    if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ error: 'Invalid userId' });
     const community = await Community.findById(req.params.id);
     if (!community) return res.status(404).json({ error: 'Community not found' });
 
-    await community.addModerator(userId, req.user._id);
+    // Audited only once the list was saved with the new moderator
+    const added = await community.addModerator(userId, req.user._id);
+    if (added) {
+      await RoleAuditService.record({
+        action: 'assign',
+        actorId: req.user._id,
+        targetUserId: userId,
+        source: 'communityModerators',
+        role: 'moderator',
+        communityId: community._id,
+        permissionsAfter: ROLE_PERMISSIONS.moderator,
+        reason
+      });
+    }
     
     const updatedCommunity = await Community.findById(community._id)
       .populate('moderators.userId', 'name avatar');
@@ -207,16 +263,27 @@ exports.assignModerator = async (req, res) => {
 // Remove Moderator (Admin only)
 exports.removeModerator = async (req, res) => {
   try {
-    const hasPermission = await UserRole.userHasPermission(req.user._id, 'assign_moderators');
-    if (!hasPermission) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
-
-    const { userId } = req.body;
+    const { userId, reason } = req.body;
+    if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ error: 'Invalid userId' });
     const community = await Community.findById(req.params.id);
     if (!community) return res.status(404).json({ error: 'Community not found' });
 
-    await community.removeModerator(userId);
+    // Audited only once the list was saved without the moderator
+    const removed = await community.removeModerator(userId);
+    if (removed) {
+      await RoleAuditService.record({
+        action: 'remove',
+        actorId: req.user._id,
+        targetUserId: userId,
+        source: 'communityModerators',
+        role: 'moderator',
+        communityId: community._id,
+        permissionsBefore: ROLE_PERMISSIONS.moderator,
+        reason
+      });
+      // Group moderators they delegated lose the role with them
+      await RoleAssignmentService.revokeDelegationsBy(userId, community._id, req.user);
+    }
     
     const updatedCommunity = await Community.findById(community._id)
       .populate('moderators.userId', 'name avatar');
@@ -233,6 +300,9 @@ exports.requestExpertStatus = async (req, res) => {
     const { expertiseAreas, credentials } = req.body;
     const community = await Community.findById(req.params.id);
     if (!community) return res.status(404).json({ error: 'Community not found' });
+    if (community.status !== 'active') {
+      return res.status(400).json({ error: `Community is ${community.status}` });
+    }
 
     // Check if user already has a pending or approved request
     const existingRequest = community.experts.find(expert => 
@@ -263,6 +333,7 @@ exports.requestExpertStatus = async (req, res) => {
       userRole.verificationStatus = 'pending';
     }
     await userRole.save();
+    RoleCache.invalidateUserRoles(req.user._id);
 
     // Add to community experts list
     if (existingRequest) {
@@ -285,12 +356,7 @@ exports.requestExpertStatus = async (req, res) => {
 // Approve Expert Request (Admin only)
 exports.approveExpertRequest = async (req, res) => {
   try {
-    const hasPermission = await UserRole.userHasPermission(req.user._id, 'approve_experts');
-    if (!hasPermission) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
-
-    const { userId } = req.body;
+    const { userId, reason } = req.body;
     const community = await Community.findById(req.params.id);
     if (!community) return res.status(404).json({ error: 'Community not found' });
 
@@ -300,6 +366,12 @@ exports.approveExpertRequest = async (req, res) => {
     const userRole = await UserRole.findOne({ userId, role: 'expert' });
     if (userRole) {
       await userRole.verify(req.user._id);
+      RoleCache.invalidateUserRoles(userId);
+      await RoleAuditService.recordUserRole('verify_expert', userRole, {
+        actor: req.user,
+        reason,
+        details: { communityId: community._id }
+      });
     }
 
     const updatedCommunity = await Community.findById(community._id)
@@ -314,12 +386,7 @@ exports.approveExpertRequest = async (req, res) => {
 // Reject Expert Request (Admin only)
 exports.rejectExpertRequest = async (req, res) => {
   try {
-    const hasPermission = await UserRole.userHasPermission(req.user._id, 'approve_experts');
-    if (!hasPermission) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
-
-    const { userId } = req.body;
+    const { userId, reason } = req.body;
     const community = await Community.findById(req.params.id);
     if (!community) return res.status(404).json({ error: 'Community not found' });
 
@@ -328,7 +395,16 @@ exports.rejectExpertRequest = async (req, res) => {
     // Update user role verification status
     const userRole = await UserRole.findOne({ userId, role: 'expert' });
     if (userRole) {
+      const before = userRole.verificationStatus === 'verified' ? [...userRole.permissions] : [];
       await userRole.reject();
+      RoleCache.invalidateUserRoles(userId);
+      await RoleAuditService.recordUserRole('reject_expert', userRole, {
+        actor: req.user,
+        before,
+        after: [],
+        reason,
+        details: { communityId: community._id }
+      });
     }
 
     const updatedCommunity = await Community.findById(community._id)
@@ -340,40 +416,208 @@ exports.rejectExpertRequest = async (req, res) => {
   }
 };
 
-// Get Community Statistics
-exports.getCommunityStats = async (req, res) => {
+// Community landing page: community, top groups, experts, events, pinned posts
+// and trending tags in one response (cached briefly, see CommunityOverviewService)
+exports.getCommunityOverview = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Community not found' });
+    }
+    const overview = await CommunityOverviewService.getOverview(req.params.id);
+    if (!overview) return res.status(404).json({ error: 'Community not found' });
+
+    const response = { ...overview };
+    if (req.user) {
+      response.membershipStatus = await CommunityMembershipService.getStatus(req.user._id, req.params.id);
+    }
+    res.json(response);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Join Community
+exports.joinCommunity = async (req, res) => {
+  try {
+    const community = await Community.findOne({ _id: req.params.id, status: 'active' }).select('_id questionnaire');
+    if (!community) return res.status(404).json({ error: 'Community not found' });
+
+    if (await CommunityMembershipService.getStatus(req.user._id, community._id) === 'member') {
+      return res.status(400).json({ error: 'Already a member of this community' });
+    }
+
+    // Joining requires answering the onboarding questionnaire
+    const { answers, errors } = validateAnswers(community.questionnaire.questions, req.body.answers || []);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Please answer the community questionnaire', errors });
+    }
+
+    const result = await CommunityMembershipService.join(req.user._id, community._id, answers);
+    if (!result.changed) {
+      return res.status(400).json({ error: 'Already a member of this community' });
+    }
+
+    res.json({ success: true, status: result.status, message: 'Successfully joined community' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Get the onboarding questionnaire (public)
+exports.getQuestionnaire = async (req, res) => {
   try {
+    const community = await Community.findOne({ _id: req.params.id, isActive: true }).select('questionnaire');
+    if (!community) return res.status(404).json({ error: 'Community not found' });
+
+    res.json({
+      questions: community.questionnaire.questions,
+      updatedAt: community.questionnaire.updatedAt
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Replace the onboarding questionnaire (Community admins). An empty list removes it.
+exports.updateQuestionnaire = async (req, res) => {
+  try {
+    const { questions } = req.body;
+    const errors = validateQuestions(questions);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid questionnaire', errors });
+    }
+
     const community = await Community.findById(req.params.id);
     if (!community) return res.status(404).json({ error: 'Community not found' });
 
-    // Get group count and member count from related collections
+    // Questions sent with an _id keep it, so existing answers still line up
+    community.questionnaire.questions = questions.map(({ _id, prompt, type, options, required }) => ({
+      ...(_id ? { _id } : {}),
+      prompt,
+      type,
+      options: ['single_choice', 'multi_choice'].includes(type)
+        ? options.filter(option => typeof option === 'string' && option.trim()).map(option => option.trim())
+        : [],
+      required: required !== false
+    }));
+    community.questionnaire.updatedAt = new Date();
+    community.questionnaire.updatedBy = req.user._id;
+    await community.save();
+
+    res.json({
+      questions: community.questionnaire.questions,
+      updatedAt: community.questionnaire.updatedAt
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Leave Community (only once the user has left its groups)
+exports.leaveCommunity = async (req, res) => {
+  try {
     const Group = require('../groups/group');
     const GroupMembership = require('../groups/groupMembership');
 
-    const groupCount = await Group.countDocuments({ 
-      communityId: req.params.id, 
-      isActive: true 
+    const groupIds = await Group.find({ communityId: req.params.id }).distinct('_id');
+    const activeGroups = await GroupMembership.countDocuments({
+      groupId: { $in: groupIds },
+      userId: req.user._id,
+      status: 'active'
     });
+    if (activeGroups > 0) {
+      return res.status(400).json({ error: `Leave the community's groups first (${activeGroups} active)` });
+    }
+
+    const result = await CommunityMembershipService.leave(req.user._id, req.params.id);
+    if (!result.changed) {
+      return res.status(400).json({ error: 'Not a member of this community' });
+    }
+
+    res.json({ success: true, status: result.status, message: 'Successfully left community' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Follow Community
+exports.followCommunity = async (req, res) => {
+  try {
+    const community = await Community.findOne({ _id: req.params.id, status: 'active' }).select('_id');
+    if (!community) return res.status(404).json({ error: 'Community not found' });
+
+    const result = await CommunityMembershipService.follow(req.user._id, community._id);
+    if (!result.changed) {
+      return res.status(400).json({
+        error: result.status === 'member' ? 'Members already follow the community' : 'Already following this community'
+      });
+    }
+
+    res.json({ success: true, status: result.status, message: 'Now following community' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Unfollow Community
+exports.unfollowCommunity = async (req, res) => {
+  try {
+    const result = await CommunityMembershipService.unfollow(req.user._id, req.params.id);
+    if (!result.changed) {
+      return res.status(400).json({ error: 'Not following this community' });
+    }
+
+    res.json({ success: true, status: result.status, message: 'Unfollowed community' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
 
-    const groups = await Group.find({ 
+// Get communities the user is a member or follower of
+exports.getMyCommunities = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const statuses = ['member', 'follower'].includes(status) ? [status] : undefined;
+
+    const memberships = await CommunityMembershipService.getUserCommunities(req.user._id, statuses);
+    const communities = memberships
+      .filter(membership => membership.communityId && membership.communityId.isActive)
+      .map(membership => ({
+        ...membership.communityId,
+        id: membership.communityId._id,
+        membershipStatus: membership.status,
+        joinedAt: membership.joinedAt,
+        followedAt: membership.followedAt
+      }));
+
+    res.json(communities);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Get Community Statistics
+exports.getCommunityStats = async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+    if (!community) return res.status(404).json({ error: 'Community not found' });
+
+    // Get group count from related collections
+    const Group = require('../groups/group');
+
+    const groupCount = await Group.countDocuments({ 
       communityId: req.params.id, 
       isActive: true 
-    }).select('_id');
-
-    const groupIds = groups.map(g => g._id);
-    const memberCount = await GroupMembership.countDocuments({
-      groupId: { $in: groupIds },
-      status: 'active'
     });
 
-    // Update community stats
+    // Member and follower counts are maintained by CommunityMembershipService
     community.groupCount = groupCount;
-    community.memberCount = memberCount;
     await community.save();
 
     res.json({
       groupCount,
-      memberCount,
+      memberCount: community.memberCount,
+      followerCount: community.followerCount,
       moderatorCount: community.moderators.length,
       expertCount: community.experts.filter(e => e.status === 'approved').length
     });
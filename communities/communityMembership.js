@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { answerSchema } = require('./questionnaire');
+
+// A user's relationship with a community, separate from the groups inside it.
+// Members have joined (joining any group of the community makes you one);
+// followers only follow its updates. Community.memberCount and followerCount
+// are kept in step by CommunityMembershipService.
+const communityMembershipSchema = new mongoose.Schema({
+  communityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['member', 'follower', 'left'],
+    required: true
+  },
+  joinedAt: {
+    type: Date
+  },
+  followedAt: {
+    type: Date
+  },
+  leftAt: {
+    type: Date
+  },
+  // Onboarding questionnaire answers given when joining
+  answers: [answerSchema],
+  answeredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+communityMembershipSchema.index({ communityId: 1, userId: 1 }, { unique: true });
+communityMembershipSchema.index({ userId: 1, status: 1 });
+communityMembershipSchema.index({ communityId: 1, status: 1 });
+
+module.exports = mongoose.model('CommunityMembership', communityMembershipSchema);
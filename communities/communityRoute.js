@@ -1,27 +1,58 @@
 const express = require('express');
 const router = express.Router();
 const communityController = require('./communityController');
+const customRoleController = require('./customRoleController');
+const announcementController = require('./announcementController');
 const auth = require('../middleware/auth');
-const { requireAdmin, requirePermission, optionalAuth } = require('../middleware/authorization');
+const { optionalAuth } = require('../middleware/authorization');
+const { authorize, loadCommunity } = require('../middleware/authorize');
 
 // Media upload route (authenticated users only)
 router.post('/upload-media', auth, communityController.uploadCommunityMedia);
 
 // Community CRUD routes
-router.post('/', auth, requirePermission('create_community'), communityController.createCommunity);
+router.post('/', auth, authorize('create_community'), communityController.createCommunity);
 router.get('/', optionalAuth, communityController.getCommunities); // Optional auth for filtering
+router.get('/mine', auth, communityController.getMyCommunities);
 router.get('/:id', optionalAuth, communityController.getCommunityById);
-router.put('/:id', auth, requirePermission('edit_community'), communityController.updateCommunity);
-router.delete('/:id', auth, requirePermission('delete_community'), communityController.deleteCommunity);
+router.get('/:id/overview', optionalAuth, communityController.getCommunityOverview);
+router.put('/:id', auth, authorize('edit_community', loadCommunity()), communityController.updateCommunity);
+router.delete('/:id', auth, authorize('delete_community', loadCommunity()), communityController.deleteCommunity);
+router.post('/:id/archive', auth, authorize('delete_community', loadCommunity()), communityController.archiveCommunity);
+router.post('/:id/restore', auth, authorize('delete_community', loadCommunity()), communityController.restoreCommunity);
 
 // Moderator management routes (Admin only)
-router.post('/:id/moderators', auth, requirePermission('assign_moderators'), communityController.assignModerator);
-router.delete('/:id/moderators', auth, requirePermission('assign_moderators'), communityController.removeModerator);
+router.post('/:id/moderators', auth, authorize('assign_moderators', loadCommunity()), communityController.assignModerator);
+router.delete('/:id/moderators', auth, authorize('assign_moderators', loadCommunity()), communityController.removeModerator);
 
 // Expert management routes
 router.post('/:id/expert-request', auth, communityController.requestExpertStatus);
-router.post('/:id/approve-expert', auth, requirePermission('approve_experts'), communityController.approveExpertRequest);
-router.post('/:id/reject-expert', auth, requirePermission('approve_experts'), communityController.rejectExpertRequest);
+router.post('/:id/approve-expert', auth, authorize('approve_experts', loadCommunity()), communityController.approveExpertRequest);
+router.post('/:id/reject-expert', auth, authorize('approve_experts', loadCommunity()), communityController.rejectExpertRequest);
+
+// Membership routes
+router.get('/:id/questionnaire', communityController.getQuestionnaire);
+router.put('/:id/questionnaire', auth, authorize('edit_community', loadCommunity()), communityController.updateQuestionnaire);
+router.post('/:id/join', auth, communityController.joinCommunity);
+router.post('/:id/leave', auth, communityController.leaveCommunity);
+router.post('/:id/follow', auth, communityController.followCommunity);
+router.delete('/:id/follow', auth, communityController.unfollowCommunity);
+
+// Custom role routes (community admins)
+router.get('/:id/roles', auth, authorize('manage_community_roles', loadCommunity()), customRoleController.getCustomRoles);
+router.post('/:id/roles', auth, authorize('manage_community_roles', loadCommunity()), customRoleController.createCustomRole);
+router.put('/:id/roles/:roleId', auth, authorize('manage_community_roles', loadCommunity()), customRoleController.updateCustomRole);
+router.delete('/:id/roles/:roleId', auth, authorize('manage_community_roles', loadCommunity()), customRoleController.deleteCustomRole);
+router.post('/:id/roles/:roleId/members', auth, authorize('manage_community_roles', loadCommunity()), customRoleController.assignCustomRole);
+router.delete('/:id/roles/:roleId/members/:userId', auth, authorize('manage_community_roles', loadCommunity()), customRoleController.removeCustomRole);
+
+// Announcement routes (moderators post, everyone reads and dismisses)
+router.get('/:id/announcements', auth, authorize('manage_announcements', loadCommunity()), announcementController.getAnnouncements);
+router.post('/:id/announcements', auth, authorize('manage_announcements', loadCommunity()), announcementController.createAnnouncement);
+router.put('/:id/announcements/:announcementId', auth, authorize('manage_announcements', loadCommunity()), announcementController.updateAnnouncement);
+router.delete('/:id/announcements/:announcementId', auth, authorize('manage_announcements', loadCommunity()), announcementController.deleteAnnouncement);
+router.post('/:id/announcements/:announcementId/read', auth, announcementController.markAnnouncementRead);
+router.post('/:id/announcements/:announcementId/dismiss', auth, announcementController.dismissAnnouncement);
 
 // Statistics route (public)
 router.get('/:id/stats', communityController.getCommunityStats);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { CUSTOM_ROLE_PERMISSIONS } = require('../users/permissions');
+
+// A named set of permissions defined by a community (e.g. "Welcome Team").
+// Users hold it through a UserRole with role 'custom' pointing here; editing
+// the permissions here changes them for every holder.
+const customRoleSchema = new mongoose.Schema({
+  communityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    maxlength: 300,
+    default: ''
+  },
+  permissions: [{
+    type: String,
+    enum: CUSTOM_ROLE_PERMISSIONS
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser'
+  },
+  // Deleted roles are kept for the assignments that pointed at them
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Role names are unique among a community's active roles
+customRoleSchema.index(
+  { communityId: 1, name: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('CustomRole', customRoleSchema);
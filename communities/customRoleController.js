@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const CustomRole = require('./customRole');
+const UserRole = require('../users/userRole');
+const Group = require('../groups/group');
+const RoleCache = require('../services/roleCache');
+const RoleAssignmentService = require('../services/roleAssignmentService');
+const RoleAuditService = require('../services/roleAuditService');
+const { CUSTOM_ROLE_PERMISSIONS } = require('../users/permissions');
+
+// Error message for a permissions list a custom role may not hold, or null
+const checkPermissions = (permissions) => {
+  if (!Array.isArray(permissions)) return 'permissions must be an array';
+  const invalid = permissions.filter(permission => !CUSTOM_ROLE_PERMISSIONS.includes(permission));
+  if (invalid.length > 0) {
+    return `Permissions not allowed in custom roles: ${invalid.join(', ')}`;
+  }
+  return null;
+};
+
+// Active custom role of the community in the route, or null
+const findCommunityRole = (req) => {
+  if (!mongoose.isValidObjectId(req.params.roleId)) return null;
+  return CustomRole.findOne({
+    _id: req.params.roleId,
+    communityId: req.params.id,
+    isActive: true
+  });
+};
+
+// Audit entry for a change to a custom role's definition
+const recordDefinitionChange = (action, role, actor, before, reason) => RoleAuditService.record({
+  action,
+  actorId: actor._id,
+  source: 'customRole',
+  role: 'custom',
+  customRoleId: role._id,
+  communityId: role.communityId,
+  permissionsBefore: before,
+  permissionsAfter: role.isActive ? [...role.permissions] : [],
+  reason,
+  details: { name: role.name }
+});
+
+// List a community's custom roles with how many users hold each
+exports.getCustomRoles = async (req, res) => {
+  try {
+    const communityId = req.authorization.scope.communityId;
+    const roles = await CustomRole.find({ communityId, isActive: true })
+      .populate('createdBy', 'name avatar')
+      .sort({ name: 1 })
+      .lean();
+
+    const counts = await UserRole.aggregate([
+      { $match: { customRoleId: { $in: roles.map(role => role._id) }, isActive: true } },
+      { $group: { _id: '$customRoleId', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(count => [count._id.toString(), count.count]));
+
+    res.json({
+      roles: roles.map(role => ({ ...role, holderCount: countById.get(role._id.toString()) || 0 })),
+      availablePermissions: CUSTOM_ROLE_PERMISSIONS
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Create a custom role
+exports.createCustomRole = async (req, res) => {
+  try {
+    const { name, description, permissions = [], reason } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Role name is required' });
+    }
+    const permissionError = checkPermissions(permissions);
+    if (permissionError) return res.status(400).json({ error: permissionError });
+
+    const role = await CustomRole.create({
+      communityId: req.authorization.scope.communityId,
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user._id
+    });
+    await recordDefinitionChange('custom_role_create', role, req.user, [], reason);
+
+    res.status(201).json(role);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'A role with this name already exists in the community' });
+    }
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Update a custom role's name, description or permissions
+exports.updateCustomRole = async (req, res) => {
+  try {
+    const role = await findCommunityRole(req);
+    if (!role) return res.status(404).json({ error: 'Custom role not found' });
+
+    const { name, description, permissions, reason } = req.body;
+    const before = [...role.permissions];
+    if (permissions !== undefined) {
+      const permissionError = checkPermissions(permissions);
+      if (permissionError) return res.status(400).json({ error: permissionError });
+      role.permissions = [...new Set(permissions)];
+    }
+    if (name !== undefined) role.name = name;
+    if (description !== undefined) role.description = description;
+    role.updatedBy = req.user._id;
+
+    await role.save();
+    RoleCache.invalidateCustomRole(role._id);
+    await recordDefinitionChange('custom_role_update', role, req.user, before, reason);
+
+    res.json(role);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'A role with this name already exists in the community' });
+    }
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Delete a custom role and end every assignment of it
+exports.deleteCustomRole = async (req, res) => {
+  try {
+    const role = await findCommunityRole(req);
+    if (!role) return res.status(404).json({ error: 'Custom role not found' });
+
+    const { reason } = req.body;
+    const before = [...role.permissions];
+    role.isActive = false;
+    role.updatedBy = req.user._id;
+    await role.save();
+
+    const holders = await UserRole.find({ customRoleId: role._id, isActive: true });
+    await UserRole.updateMany(
+      { customRoleId: role._id, isActive: true },
+      { $set: { isActive: false, deactivatedAt: new Date() } }
+    );
+    RoleCache.invalidateCustomRole(role._id);
+    holders.forEach(holder => RoleCache.invalidateUserRoles(holder.userId));
+
+    await recordDefinitionChange('custom_role_delete', role, req.user, before, reason);
+    for (const holder of holders) {
+      await RoleAuditService.recordUserRole('remove', holder, {
+        actor: req.user,
+        before: [...before, ...holder.permissions],
+        after: [],
+        reason,
+        details: { cause: 'custom_role_deleted' }
+      });
+    }
+
+    res.json({ success: true, message: 'Custom role deleted', removedAssignments: holders.length });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Give a user a custom role, community-wide or in one group of the community
+exports.assignCustomRole = async (req, res) => {
+  try {
+    const role = await findCommunityRole(req);
+    if (!role) return res.status(404).json({ error: 'Custom role not found' });
+
+    const { userId, groupId, validFrom, validUntil, reason } = req.body;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Valid userId is required' });
+    }
+    if (groupId) {
+      const group = mongoose.isValidObjectId(groupId)
+        ? await Group.findOne({ _id: groupId, communityId: role.communityId }).select('_id')
+        : null;
+      if (!group) return res.status(404).json({ error: 'Group not found in this community' });
+    }
+
+    const userRole = await RoleAssignmentService.assignRole({
+      userId,
+      role: 'custom',
+      customRoleId: role._id,
+      communityId: role.communityId,
+      groupId,
+      validFrom,
+      validUntil,
+      assignedBy: req.user._id
+    }, { reason, details: { name: role.name, permissions: role.permissions } });
+
+    const populatedRole = await UserRole.findById(userRole._id)
+      .populate('userId', 'name email avatar')
+      .populate('customRoleId', 'name permissions');
+
+    res.status(201).json(populatedRole);
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message });
+  }
+};
+
+// Take a custom role away from a user (every scope it was given in)
+exports.removeCustomRole = async (req, res) => {
+  try {
+    const role = await findCommunityRole(req);
+    if (!role) return res.status(404).json({ error: 'Custom role not found' });
+
+    const { userId } = req.params;
+    const assignments = await UserRole.find({ userId, customRoleId: role._id, isActive: true });
+    if (assignments.length === 0) {
+      return res.status(404).json({ error: 'User does not hold this role' });
+    }
+
+    await UserRole.updateMany(
+      { _id: { $in: assignments.map(assignment => assignment._id) } },
+      { $set: { isActive: false, deactivatedAt: new Date() } }
+    );
+    RoleCache.invalidateUserRoles(userId);
+    for (const assignment of assignments) {
+      await RoleAuditService.recordUserRole('remove', assignment, {
+        actor: req.user,
+        before: [...role.permissions, ...assignment.permissions],
+        after: [],
+        reason: req.body.reason
+      });
+    }
+
+    res.json({ success: true, message: 'Custom role removed' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
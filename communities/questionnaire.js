@@ -0,0 +1,149 @@
+// Community onboarding questionnaire. Community.questionnaire holds the
+// questions; answers are copied onto the CommunityMembership or the
+// GroupMembership join request together with the question prompt, so they
+// keep their meaning after the questionnaire changes.
+const mongoose = require('mongoose');
+const { AGE_BAND_KEYS } = require('../users/ageBands');
+
+const QUESTION_TYPES = ['text', 'single_choice', 'multi_choice', 'age_band'];
+const MAX_QUESTIONS = 10;
+const MAX_OPTIONS = 20;
+const MAX_TEXT_ANSWER_LENGTH = 1000;
+
+const questionSchema = new mongoose.Schema({
+  prompt: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 300
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true
+  },
+  // Choices for single_choice / multi_choice; age_band uses the age band keys
+  options: [{
+    type: String,
+    trim: true,
+    maxlength: 100
+  }],
+  required: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const answerSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  prompt: {
+    type: String
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES
+  },
+  // String for text and single_choice, array of strings otherwise
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Error messages for a questionnaire definition sent by a community admin
+const validateQuestions = (questions) => {
+  if (!Array.isArray(questions)) return ['questions must be an array'];
+  if (questions.length > MAX_QUESTIONS) return [`A questionnaire can have at most ${MAX_QUESTIONS} questions`];
+
+  const errors = [];
+  questions.forEach((question, index) => {
+    const label = `Question ${index + 1}`;
+    if (!question || typeof question.prompt !== 'string' || !question.prompt.trim()) {
+      errors.push(`${label}: prompt is required`);
+    }
+    if (!question || !QUESTION_TYPES.includes(question.type)) {
+      errors.push(`${label}: type must be one of ${QUESTION_TYPES.join(', ')}`);
+      return;
+    }
+    if (['single_choice', 'multi_choice'].includes(question.type)) {
+      const options = Array.isArray(question.options) ? question.options.filter(option => typeof option === 'string' && option.trim()) : [];
+      if (options.length < 2) errors.push(`${label}: choice questions need at least two options`);
+      if (options.length > MAX_OPTIONS) errors.push(`${label}: at most ${MAX_OPTIONS} options`);
+      if (new Set(options.map(option => option.trim())).size !== options.length) {
+        errors.push(`${label}: options must be unique`);
+      }
+    }
+  });
+  return errors;
+};
+
+/**
+ * Check answers against a questionnaire
+ * @param {Array} questions - Community.questionnaire.questions
+ * @param {Array} answers - [{ questionId, value }] from the request
+ * @returns {{ answers: Array, errors: Array<string> }} Answers ready to store, or errors
+ */
+const validateAnswers = (questions = [], answers = []) => {
+  if (!Array.isArray(answers)) return { answers: [], errors: ['answers must be an array'] };
+
+  const given = new Map();
+  answers.forEach(answer => {
+    if (answer && answer.questionId) given.set(answer.questionId.toString(), answer.value);
+  });
+
+  const errors = [];
+  const stored = [];
+  questions.forEach(question => {
+    let value = given.get(question._id.toString());
+    if (isBlank(value)) {
+      if (question.required) errors.push(`"${question.prompt}" is required`);
+      return;
+    }
+
+    switch (question.type) {
+      case 'text':
+        if (typeof value !== 'string') {
+          errors.push(`"${question.prompt}" must be text`);
+          return;
+        }
+        value = value.trim().slice(0, MAX_TEXT_ANSWER_LENGTH);
+        break;
+      case 'single_choice':
+        if (!question.options.includes(value)) {
+          errors.push(`"${question.prompt}" must be one of the listed options`);
+          return;
+        }
+        break;
+      case 'multi_choice':
+      case 'age_band': {
+        const allowed = question.type === 'age_band' ? AGE_BAND_KEYS : question.options;
+        value = [...new Set(Array.isArray(value) ? value : [value])];
+        if (!value.every(choice => allowed.includes(choice))) {
+          errors.push(`"${question.prompt}" has an invalid choice`);
+          return;
+        }
+        break;
+      }
+      default:
+        return;
+    }
+
+    stored.push({ questionId: question._id, prompt: question.prompt, type: question.type, value });
+  });
+
+  return { answers: stored, errors };
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  MAX_QUESTIONS,
+  questionSchema,
+  answerSchema,
+  validateQuestions,
+  validateAnswers
+};
@@ -15,8 +15,95 @@ console.log(
 const PORT = process.env.PORT || 3000;
 const MONGODB_URI = process.env.MONGO_URI;
 const newUserRewards = 100;
+// Auth / session settings
+// Signs access tokens and OTP hashes; production must set its own
+const JWT_SECRET = process.env.JWT_SECRET || (process.env.NODE_ENV === "production" ? undefined : "your_jwt_secret");
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+// Mail settings ("console" or "file" transport in development and tests;
+// production must name a registered transport explicitly)
+const APP_BASE_URL = process.env.APP_BASE_URL || `http://localhost:${PORT}`;
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? undefined : "console");
+const MAIL_FROM = process.env.MAIL_FROM || "SkipCry <no-reply@skipcry.com>";
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.resolve(__dirname, "data/mail");
+// Phone OTP login
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || "+91";
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES) || 5;
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const OTP_MAX_SENDS_PER_HOUR = Number(process.env.OTP_MAX_SENDS_PER_HOUR) || 5;
+// SMS settings ("twilio" or "memory"; production requires "twilio")
+const SMS_PROVIDER = process.env.SMS_PROVIDER || (process.env.TWILIO_ACCOUNT_SID ? "twilio" : "memory");
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const TWILIO_FROM_NUMBER = process.env.TWILIO_FROM_NUMBER;
+// Account deletion
+const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const ACCOUNT_DELETION_JOB_INTERVAL_MINUTES = Number(process.env.ACCOUNT_DELETION_JOB_INTERVAL_MINUTES) || 60;
+// Rate limiting and login lockout
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== "false";
+const LOGIN_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_BASE_MINUTES = Number(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 1;
+const LOGIN_LOCKOUT_MAX_MINUTES = Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60;
+// Failed logins are forgotten after this long without another failure
+const LOGIN_FAILURE_RESET_MINUTES = Number(process.env.LOGIN_FAILURE_RESET_MINUTES) || 24 * 60;
+// Express "trust proxy" setting, so req.ip (used by rate limits) is the
+// client address behind a load balancer. "false" (default) trusts no proxy;
+// use a hop count ("1"), "true", or a comma-separated list of proxy addresses.
+const TRUST_PROXY = process.env.TRUST_PROXY || "false";
+// Role lookups cached in each process
+const ROLE_CACHE_TTL_SECONDS = Number(process.env.ROLE_CACHE_TTL_SECONDS) || 30;
+// Time-bounded roles
+const ROLE_EXPIRY_JOB_INTERVAL_MINUTES = Number(process.env.ROLE_EXPIRY_JOB_INTERVAL_MINUTES) || 5;
+const MAX_DELEGATION_DAYS = Number(process.env.MAX_DELEGATION_DAYS) || 30;
+// Community landing page
+const COMMUNITY_OVERVIEW_CACHE_SECONDS = Number(process.env.COMMUNITY_OVERVIEW_CACHE_SECONDS) || 60;
+// Deleted communities are purged for good after the retention period
+const COMMUNITY_RETENTION_DAYS = Number(process.env.COMMUNITY_RETENTION_DAYS) || 30;
+const COMMUNITY_PURGE_JOB_INTERVAL_MINUTES = Number(process.env.COMMUNITY_PURGE_JOB_INTERVAL_MINUTES) || 60;
+// Scheduled group posts
+const SCHEDULED_POST_MAX_DAYS = Number(process.env.SCHEDULED_POST_MAX_DAYS) || 90;
+const SCHEDULED_POST_JOB_INTERVAL_MINUTES = Number(process.env.SCHEDULED_POST_JOB_INTERVAL_MINUTES) || 1;
 module.exports = {
   PORT,
   MONGODB_URI,
   newUserRewards,
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  PASSWORD_RESET_TTL_MINUTES,
+  APP_BASE_URL,
+  MAIL_TRANSPORT,
+  MAIL_FROM,
+  MAIL_OUTBOX_DIR,
+  DEFAULT_COUNTRY_CODE,
+  OTP_LENGTH,
+  OTP_TTL_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_MAX_SENDS_PER_HOUR,
+  SMS_PROVIDER,
+  TWILIO_ACCOUNT_SID,
+  TWILIO_AUTH_TOKEN,
+  TWILIO_FROM_NUMBER,
+  ACCOUNT_DELETION_GRACE_DAYS,
+  ACCOUNT_DELETION_JOB_INTERVAL_MINUTES,
+  RATE_LIMIT_ENABLED,
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_BASE_MINUTES,
+  LOGIN_LOCKOUT_MAX_MINUTES,
+  LOGIN_FAILURE_RESET_MINUTES,
+  TRUST_PROXY,
+  ROLE_CACHE_TTL_SECONDS,
+  ROLE_EXPIRY_JOB_INTERVAL_MINUTES,
+  MAX_DELEGATION_DAYS,
+  COMMUNITY_OVERVIEW_CACHE_SECONDS,
+  COMMUNITY_RETENTION_DAYS,
+  COMMUNITY_PURGE_JOB_INTERVAL_MINUTES,
+  SCHEDULED_POST_MAX_DAYS,
+  SCHEDULED_POST_JOB_INTERVAL_MINUTES,
 };
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { AGE_BAND_KEYS } = require('../users/ageBands');
 
 const RSVP_SCHEMA = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'ParentUser', required: true },
@@ -39,7 +40,9 @@ const EventSchema = new mongoose.Schema({
   category: { type: String, required: true },
   maxAttendees: { type: Number },
   visibility: { type: String, enum: ['Public', 'Private', 'Group-only'], default: 'Public' },
+  ageBands: [{ type: String, enum: AGE_BAND_KEYS }], // Children's age bands the event is aimed at
   host: { type: mongoose.Schema.Types.ObjectId, ref: 'ParentUser', required: true },
+  communityId: { type: mongoose.Schema.Types.ObjectId, ref: 'Community', default: null }, // Community the event belongs to, if any
   attendees: [RSVP_SCHEMA],
   comments: [COMMENT_SCHEMA],
   feedback: [FEEDBACK_SCHEMA],
@@ -50,5 +53,11 @@ const EventSchema = new mongoose.Schema({
 });
 
 EventSchema.index({ date: 1, time: 1 });
+EventSchema.index({ ageBands: 1 });
+EventSchema.index({ communityId: 1, date: 1 });
+EventSchema.index(
+  { title: 'text', description: 'text', location: 'text', category: 'text' },
+  { weights: { title: 5, category: 2, location: 2, description: 1 } }
+);
 
 module.exports = mongoose.model('Event', EventSchema);
\ No newline at end of file
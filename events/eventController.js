@@ -1,4 +1,10 @@
 const Event = require('./event'); // Your Mongoose Event model
+const mongoose = require('mongoose');
+const PolicyEngine = require('../services/policyEngine');
+const RoleCache = require('../services/roleCache');
+const CommunityMembershipService = require('../services/communityMembershipService');
+const { parseAgeBandFilter } = require('../users/ageBands');
+const { maskUser } = require('../users/profilePrivacy');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -48,18 +54,39 @@ exports.uploadEventMedia = (req, res) => {
   });
 };
 
+// Why the user may not link an event to a community, or null if they may.
+// Members can, as can anyone who edits the community or runs its announcements.
+const checkCommunityLink = async (req, communityId) => {
+  if (!mongoose.isValidObjectId(communityId)) {
+    return { status: 400, error: 'Invalid communityId' };
+  }
+  const scope = await PolicyEngine.resolveScope({ communityId });
+  if (!scope || !scope.community || scope.community.status !== 'active') {
+    return { status: 404, error: 'Community not found' };
+  }
+  if ((await CommunityMembershipService.getStatus(req.user._id, communityId)) === 'member') return null;
+  const cache = RoleCache.forRequest(req);
+  if (await PolicyEngine.can(req.user, 'edit_community', scope, cache)) return null;
+  if (await PolicyEngine.can(req.user, 'manage_announcements', scope, cache)) return null;
+  return { status: 403, error: 'Only members of the community can add events to it' };
+};
+
 // Create Event (secure: whitelist fields, set host from JWT)
 exports.createEvent = async (req, res) => {
   try {
     const allowedFields = [
       'title', 'description', 'date', 'time', 'coverImageUrl', 'eventType',
-      'location', 'meetingLink', 'category', 'maxAttendees', 'visibility', 'duration'
+      'location', 'meetingLink', 'category', 'maxAttendees', 'visibility', 'duration', 'ageBands', 'communityId'
     ];
     const eventData = {};
     allowedFields.forEach(field => {
       if (req.body[field] !== undefined) eventData[field] = req.body[field];
     });
     eventData.host = req.user._id; // Always set host from JWT
+    if (eventData.communityId) {
+      const linkError = await checkCommunityLink(req, eventData.communityId);
+      if (linkError) return res.status(linkError.status).json({ error: linkError.error });
+    }
     const event = new Event(eventData);
     await event.save();
     // Fetch the event again with host populated
@@ -76,12 +103,20 @@ exports.createEvent = async (req, res) => {
 // Get All Events (with filters, pagination)
 exports.getEvents = async (req, res) => {
   try {
-    const { page = 1, limit = 10, category, type, location, past } = req.query;
+    const { page = 1, limit = 10, category, type, location, past, ageBand, communityId } = req.query;
     const now = new Date();
     let filter = { isCancelled: false };
+    if (communityId) {
+      if (!mongoose.isValidObjectId(communityId)) {
+        return res.status(400).json({ error: 'Invalid communityId' });
+      }
+      filter.communityId = communityId;
+    }
     if (category) filter.category = category;
     if (type) filter.eventType = type;
     if (location) filter.location = location;
+    const ageBands = parseAgeBandFilter(ageBand, req.user);
+    if (ageBands) filter.ageBands = { $in: ageBands };
     if (past === 'true') {
       // Only completed events: endTime < now
       filter.$expr = {
@@ -111,10 +146,11 @@ exports.getEvents = async (req, res) => {
     delete filter.date;
 
     const events = await Event.find(filter)
-      .populate('host', 'name avatar bio')
+      .populate('host', 'name avatar bio privacySettings')
       .sort({ date: 1 })
       .skip((page - 1) * limit)
       .limit(Number(limit));
+    events.forEach(event => maskUser(event.host, req.user));
     console.log('[getEvents] Returned events:', events.map(e => ({ title: e.title, date: e.date, duration: e.duration })));
     res.json(events);
   } catch (err) {
@@ -152,8 +188,12 @@ exports.updateEvent = async (req, res) => {
     }
     const allowedFields = [
       'title', 'description', 'date', 'time', 'coverImageUrl', 'eventType',
-      'location', 'meetingLink', 'category', 'maxAttendees', 'visibility'
+      'location', 'meetingLink', 'category', 'maxAttendees', 'visibility', 'ageBands', 'communityId'
     ];
+    if (req.body.communityId && String(req.body.communityId) !== String(event.communityId)) {
+      const linkError = await checkCommunityLink(req, req.body.communityId);
+      if (linkError) return res.status(linkError.status).json({ error: linkError.error });
+    }
     allowedFields.forEach(field => {
       if (req.body[field] !== undefined) event[field] = req.body[field];
     });
@@ -407,11 +447,12 @@ exports.getUserEvents = async (req, res) => {
   try {
     const userId = req.params.userId;
     // Events created by user
-    const createdEvents = await Event.find({ host: userId }).populate('host', 'name avatar bio');
+    const createdEvents = await Event.find({ host: userId }).populate('host', 'name avatar bio privacySettings');
     // Map to add 'id' property
     const eventsWithId = createdEvents.map(event => {
       const obj = event.toObject();
       obj.id = obj._id;
+      maskUser(obj.host, req.user);
       return obj;
     });
     res.json(eventsWithId);
@@ -1,6 +1,7 @@
 const ExpertApplication = require('./expertApplication');
 const UserRole = require('../users/userRole');
 const Community = require('../communities/community');
+const RoleAssignmentService = require('../services/roleAssignmentService');
 
 // Submit Expert Application
 exports.submitApplication = async (req, res) => {
@@ -22,6 +23,9 @@ exports.submitApplication = async (req, res) => {
     if (!community) {
       return res.status(404).json({ error: 'Community not found' });
     }
+    if (community.status !== 'active') {
+      return res.status(400).json({ error: `Community is ${community.status}` });
+    }
 
     // Check if user already has an application for this community
     const existingApplication = await ExpertApplication.getUserApplication(req.user._id, communityId);
@@ -93,12 +97,6 @@ exports.getPendingApplications = async (req, res) => {
   try {
     const { communityId } = req.params;
 
-    // Check if user has permission to view applications
-    const hasPermission = await UserRole.userHasPermission(req.user._id, 'approve_experts', communityId);
-    if (!hasPermission) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
-
     const applications = await ExpertApplication.getPendingApplications(communityId);
     
     res.json({
@@ -117,12 +115,6 @@ exports.getAllApplications = async (req, res) => {
     const { communityId } = req.params;
     const { status, page = 1, limit = 10 } = req.query;
 
-    // Check if user has permission to view applications
-    const hasPermission = await UserRole.userHasPermission(req.user._id, 'approve_experts', communityId);
-    if (!hasPermission) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
-
     const query = { communityId, isActive: true };
     if (status) query.status = status;
 
@@ -150,19 +142,9 @@ exports.getAllApplications = async (req, res) => {
 // Approve Application (Admin only)
 exports.approveApplication = async (req, res) => {
   try {
-    const { applicationId } = req.params;
     const { expertiseAreas } = req.body;
 
-    const application = await ExpertApplication.findById(applicationId);
-    if (!application) {
-      return res.status(404).json({ error: 'Application not found' });
-    }
-
-    // Check if user has permission to approve applications
-    const hasPermission = await UserRole.userHasPermission(req.user._id, 'approve_experts', application.communityId);
-    if (!hasPermission) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
+    const application = req.resource;
 
     if (application.status !== 'pending') {
       return res.status(400).json({ error: 'Application has already been reviewed' });
@@ -172,7 +154,7 @@ exports.approveApplication = async (req, res) => {
     await application.approve(req.user._id);
 
     // Create expert role for the user in this community
-    const expertRole = new UserRole({
+    await RoleAssignmentService.assignRole({
       userId: application.userId,
       role: 'expert',
       communityId: application.communityId,
@@ -182,9 +164,7 @@ exports.approveApplication = async (req, res) => {
       verificationStatus: 'verified',
       verifiedAt: new Date(),
       verifiedBy: req.user._id
-    });
-
-    await expertRole.save();
+    }, { details: { applicationId: application._id } });
 
     // Update community expert count
     const community = await Community.findById(application.communityId);
@@ -223,19 +203,9 @@ exports.approveApplication = async (req, res) => {
 // Reject Application (Admin only)
 exports.rejectApplication = async (req, res) => {
   try {
-    const { applicationId } = req.params;
     const { rejectionReason } = req.body;
 
-    const application = await ExpertApplication.findById(applicationId);
-    if (!application) {
-      return res.status(404).json({ error: 'Application not found' });
-    }
-
-    // Check if user has permission to reject applications
-    const hasPermission = await UserRole.userHasPermission(req.user._id, 'approve_experts', application.communityId);
-    if (!hasPermission) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
+    const application = req.resource;
 
     if (application.status !== 'pending') {
       return res.status(400).json({ error: 'Application has already been reviewed' });
@@ -272,14 +242,6 @@ exports.getApplicationById = async (req, res) => {
       return res.status(404).json({ error: 'Application not found' });
     }
 
-    // Check if user is the applicant or has admin permissions
-    const isApplicant = application.userId._id.toString() === req.user._id.toString();
-    const hasPermission = await UserRole.userHasPermission(req.user._id, 'approve_experts', application.communityId);
-
-    if (!isApplicant && !hasPermission) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     res.json(application);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -289,13 +251,8 @@ exports.getApplicationById = async (req, res) => {
 // Update Application (Only if pending and by applicant)
 exports.updateApplication = async (req, res) => {
   try {
-    const { applicationId } = req.params;
     const updateData = req.body;
-
-    const application = await ExpertApplication.findById(applicationId);
-    if (!application) {
-      return res.status(404).json({ error: 'Application not found' });
-    }
+    const application = req.resource;
 
     // Check if user is the applicant
     if (application.userId.toString() !== req.user._id.toString()) {
@@ -2,7 +2,7 @@ const express = require("express");
 const router = express.Router();
 const expertApplicationController = require("./expertApplicationController");
 const auth = require("../middleware/auth");
-const adminAuth = require("../middleware/adminAuth");
+const { authorize, loadCommunity, loadExpertApplication } = require("../middleware/authorize");
 
 // Submit expert application
 router.post("/communities/:communityId/apply", auth, expertApplicationController.submitApplication);
@@ -11,15 +11,15 @@ router.post("/communities/:communityId/apply", auth, expertApplicationController
 router.get("/communities/:communityId/my-application", auth, expertApplicationController.getUserApplication);
 
 // Update user's pending application
-router.put("/applications/:applicationId", auth, expertApplicationController.updateApplication);
+router.put("/applications/:applicationId", auth, authorize("approve_experts", loadExpertApplication(), { allowOwner: true }), expertApplicationController.updateApplication);
 
 // Get application by ID (admin or applicant)
-router.get("/applications/:applicationId", auth, expertApplicationController.getApplicationById);
+router.get("/applications/:applicationId", auth, authorize("approve_experts", loadExpertApplication(), { allowOwner: true }), expertApplicationController.getApplicationById);
 
 // Admin routes for managing applications
-router.get("/communities/:communityId/applications/pending", auth, adminAuth("approve_experts"), expertApplicationController.getPendingApplications);
-router.get("/communities/:communityId/applications", auth, adminAuth("approve_experts"), expertApplicationController.getAllApplications);
-router.post("/applications/:applicationId/approve", auth, adminAuth("approve_experts"), expertApplicationController.approveApplication);
-router.post("/applications/:applicationId/reject", auth, adminAuth("approve_experts"), expertApplicationController.rejectApplication);
+router.get("/communities/:communityId/applications/pending", auth, authorize("approve_experts", loadCommunity("communityId")), expertApplicationController.getPendingApplications);
+router.get("/communities/:communityId/applications", auth, authorize("approve_experts", loadCommunity("communityId")), expertApplicationController.getAllApplications);
+router.post("/applications/:applicationId/approve", auth, authorize("approve_experts", loadExpertApplication()), expertApplicationController.approveApplication);
+router.post("/applications/:applicationId/reject", auth, authorize("approve_experts", loadExpertApplication()), expertApplicationController.rejectApplication);
 
 module.exports = router;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { AGE_BAND_KEYS } = require('../users/ageBands');
 
 const groupSchema = new mongoose.Schema({
   groupId: {
@@ -50,6 +51,34 @@ const groupSchema = new mongoose.Schema({
     enum: ['active', 'inactive', 'archived', 'deleted'],
     default: 'active'
   },
+  archivedAt: {
+    type: Date
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser'
+  },
+  // Status and isActive the group had before its community was archived or
+  // deleted; put back when the community is restored
+  beforeCommunityStatus: {
+    status: { type: String },
+    isActive: { type: Boolean }
+  },
+  // Children's age bands the group is aimed at (empty = all ages)
+  ageBands: [{
+    type: String,
+    enum: AGE_BAND_KEYS
+  }],
+  // Town or area the group is for, if any; used to suggest local groups
+  location: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
   communityId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Community',
@@ -123,6 +152,7 @@ const groupSchema = new mongoose.Schema({
 // Indexes for better query performance
 groupSchema.index({ communityId: 1, type: 1, status: 1 });
 groupSchema.index({ category: 1, type: 1 });
+groupSchema.index({ ageBands: 1 });
 groupSchema.index({ createdAt: -1 });
 groupSchema.index({ title: 'text', intro: 'text' });
 
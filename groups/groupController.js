@@ -1,7 +1,16 @@
+const mongoose = require('mongoose');
 const Group = require('./group');
 const GroupMembership = require('./groupMembership');
 const Community = require('../communities/community');
-const UserRole = require('../users/userRole');
+const PolicyEngine = require('../services/policyEngine');
+const RoleCache = require('../services/roleCache');
+const RoleAuditService = require('../services/roleAuditService');
+const CommunityMembershipService = require('../services/communityMembershipService');
+const GroupDiscoveryService = require('../services/groupDiscoveryService');
+const { GROUP_ADMIN_ROLES, GROUP_ROLE_PERMISSIONS, normalizeGroupRole } = require('../users/permissions');
+const { parseAgeBandFilter } = require('../users/ageBands');
+const { maskUser } = require('../users/profilePrivacy');
+const { validateAnswers } = require('../communities/questionnaire');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -54,7 +63,7 @@ exports.uploadGroupMedia = (req, res) => {
 exports.createGroup = async (req, res) => {
   try {
     const allowedFields = [
-      'title', 'intro', 'image', 'category', 'type', 'communityId', 'rules'
+      'title', 'intro', 'image', 'category', 'type', 'communityId', 'rules', 'ageBands', 'location'
     ];
     const groupData = {};
     allowedFields.forEach(field => {
@@ -66,6 +75,9 @@ exports.createGroup = async (req, res) => {
     if (!community) {
       return res.status(404).json({ error: 'Community not found' });
     }
+    if (community.status !== 'active') {
+      return res.status(400).json({ error: `Community is ${community.status}` });
+    }
 
     groupData.createdBy = req.user._id;
     const group = new Group(groupData);
@@ -76,11 +88,13 @@ exports.createGroup = async (req, res) => {
       groupId: group._id,
       userId: req.user._id,
       status: 'active',
-      role: 'admin',
+      role: 'groupAdmin',
       approvedAt: new Date(),
       approvedBy: req.user._id
     });
     await membership.save();
+    RoleCache.invalidateMembership(req.user._id, group._id);
+    await CommunityMembershipService.join(req.user._id, group.communityId);
 
     // Fetch the group again with creator populated
     const populatedGroup = await Group.findById(group._id)
@@ -98,13 +112,14 @@ exports.createGroup = async (req, res) => {
 // Get Groups by Community (with filters, pagination)
 exports.getGroupsByCommunity = async (req, res) => {
   try {
-    const { page = 1, limit = 10, type, category, search } = req.query;
+    const { page = 1, limit = 10, type, category, search, ageBand } = req.query;
     const { communityId } = req.params;
     
+    // Archived groups stay listed (read-only) until the community is restored
     let filter = { 
       communityId, 
       isActive: true,
-      status: 'active'
+      status: { $in: ['active', 'archived'] }
     };
     
     // For secret groups, only show if user is a member
@@ -125,6 +140,8 @@ exports.getGroupsByCommunity = async (req, res) => {
     
     if (type && type !== 'all') filter.type = type;
     if (category) filter.category = category;
+    const ageBands = parseAgeBandFilter(ageBand, req.user);
+    if (ageBands) filter.ageBands = { $in: ageBands };
     if (search) {
       filter.$text = { $search: search };
     }
@@ -156,7 +173,7 @@ exports.getGroupsByCommunity = async (req, res) => {
         });
         groupObj.userMembership = membership ? {
           status: membership.status,
-          role: membership.role
+          role: normalizeGroupRole(membership.role)
         } : null;
       }
       
@@ -169,28 +186,43 @@ exports.getGroupsByCommunity = async (req, res) => {
   }
 };
 
+// Recommended groups for the current user, with why each was suggested
+exports.discoverGroups = async (req, res) => {
+  try {
+    const { communityId, limit } = req.query;
+    if (communityId && !mongoose.isValidObjectId(communityId)) {
+      return res.status(400).json({ error: 'Invalid communityId' });
+    }
+
+    const recommendations = await GroupDiscoveryService.discover(req.user, { communityId, limit });
+    res.json({ recommendations });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
 // Get Group by ID
 exports.getGroupById = async (req, res) => {
   try {
     const group = await Group.findById(req.params.id)
       .populate('communityId', 'title category')
-      .populate('createdBy', 'name avatar bio')
+      .populate('createdBy', 'name avatar bio privacySettings')
       .populate('admins.userId', 'name avatar')
       .populate('moderators.userId', 'name avatar');
     
     if (!group) return res.status(404).json({ error: 'Group not found' });
     
-    // Check if user has access to this group
-    if (group.type === 'Secret' && req.user) {
-      const membership = await GroupMembership.findOne({
-        groupId: group._id,
-        userId: req.user._id,
-        status: 'active'
-      });
-      if (!membership) {
-        return res.status(403).json({ error: 'Access denied to secret group' });
-      }
-    } else if (group.type === 'Secret') {
+    // Permissions of the current user in this group, from every role source
+    const scope = await PolicyEngine.resolveScope({ groupId: group._id });
+    const permissions = req.user ? await PolicyEngine.getEffectivePermissions(req.user._id, scope, RoleCache.forRequest(req)) : [];
+
+    // Deleted groups only exist for those who can restore them
+    if (group.status === 'deleted' && !permissions.includes('delete_community')) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    // Secret groups are only visible to those who can read them
+    if (group.type === 'Secret' && !permissions.includes('view_group_posts')) {
       return res.status(403).json({ error: 'Access denied to secret group' });
     }
     
@@ -203,33 +235,34 @@ exports.getGroupById = async (req, res) => {
     const groupObj = group.toObject();
     groupObj.id = groupObj._id;
     groupObj.memberCount = memberCount;
+    maskUser(groupObj.createdBy, req.user);
     
     // Check current user's membership status
     if (req.user) {
-  const membership = await GroupMembership.findOne({
-    groupId: group._id,
-    userId: req.user._id,
-    status: { $in: ['active', 'pending'] }
-  });
-
-  if (membership) {
-    groupObj.userMembership = {
-      status: membership.status,
-      role: membership.role,
-      joinedAt: membership.joinedAt
-    };
-  } else if (req.user.role === 'admin') {
-    // Manually treat platform admin as group admin with full access
-    groupObj.userMembership = {
-      status: 'active',
-      role: 'admin',
-      joinedAt: null // or new Date() if needed
-    };
-  } else {
-    groupObj.userMembership = null;
-  }
-}
+      const membership = await GroupMembership.findOne({
+        groupId: group._id,
+        userId: req.user._id,
+        status: { $in: ['active', 'pending'] }
+      });
 
+      if (membership) {
+        groupObj.userMembership = {
+          status: membership.status,
+          role: normalizeGroupRole(membership.role),
+          joinedAt: membership.joinedAt
+        };
+      } else if (permissions.includes('edit_group')) {
+        // Platform/community admins and Group.admins act as group admin without a membership
+        groupObj.userMembership = {
+          status: 'active',
+          role: 'groupAdmin',
+          joinedAt: null
+        };
+      } else {
+        groupObj.userMembership = null;
+      }
+      groupObj.permissions = permissions;
+    }
     
     res.json(groupObj);
   } catch (err) {
@@ -237,62 +270,35 @@ exports.getGroupById = async (req, res) => {
   }
 };
 
-// Update Group (Group creator or Platform admin only)
-exports.updateGroup = async (req, res) => {
-  try {
-    const group = await Group.findById(req.params.id);
-    if (!group) return res.status(404).json({ error: 'Group not found' });
+// Questionnaire answers for a group join. Needed for Private groups and for
+// anyone not yet a member of the group's community, when it has questions.
+const getJoinAnswers = async (group, userId, given) => {
+  const community = await Community.findById(group.communityId).select('questionnaire');
+  const questions = community ? community.questionnaire.questions : [];
+  if (questions.length === 0) return { answers: [], errors: [] };
 
-    // Check if user is platform admin (global admin, no communityId restriction)
-    const isPlatformAdmin = !!(await UserRole.findOne({
-      userId: req.user._id,
-      role: 'admin',
-      isActive: true
-    }));
-    if (isPlatformAdmin) {
-      // Platform admin can always edit
-    } else {
-      // Check if user is the group creator
-      const isCreator = group.createdBy.toString() === req.user._id.toString();
-      // Check if user is group admin or moderator
-      const membership = await GroupMembership.findOne({
-        groupId: group._id,
-        userId: req.user._id,
-        status: 'active',
-        role: { $in: ['admin', 'groupAdmin', 'moderator'] }
-      });
-      const isGroupAdminOrMod = !!membership;
-      if (!isCreator && !isGroupAdminOrMod) {
-        return res.status(403).json({ error: 'Access denied. Only group creator, platform admin, group admin, or moderator can edit this group.' });
-      }
-    }
-
-    const allowedFields = [
-      'title', 'intro', 'image', 'type', 'status', 'rules'
-    ];
-    // Category should not be editable as it inherits from community
-    allowedFields.forEach(field => {
-      if (req.body[field] !== undefined) group[field] = req.body[field];
-    });
+  const communityMembership = await CommunityMembershipService.getMembership(userId, group.communityId);
+  const isCommunityMember = !!communityMembership && communityMembership.status === 'member';
+  if (group.type === 'Public' && isCommunityMember) return { answers: [], errors: [] };
 
-    await group.save();
-    
-    const populatedGroup = await Group.findById(group._id)
-      .populate('communityId', 'title category')
-      .populate('createdBy', 'name avatar bio');
-    
-    res.json(populatedGroup);
-  } catch (err) {
-    res.status(400).json({ error: err.message });
+  // Reuse the answers given when joining the community unless new ones are sent
+  if (!given && isCommunityMember && communityMembership.answers && communityMembership.answers.length > 0) {
+    return { answers: communityMembership.answers, errors: [] };
   }
+  return validateAnswers(questions, given || []);
 };
 
 // Join Group
 exports.joinGroup = async (req, res) => {
   try {
     const { requestMessage } = req.body;
-    const group = await Group.findById(req.params.id);
-    if (!group) return res.status(404).json({ error: 'Group not found' });
+    const scope = await PolicyEngine.resolveScope({ groupId: req.params.id });
+    if (!scope) return res.status(404).json({ error: 'Group not found' });
+    const group = scope.group;
+
+    // Archived and deleted communities and groups take no new members
+    const readOnly = PolicyEngine.getReadOnlyReason(scope);
+    if (readOnly) return res.status(400).json({ error: `${readOnly} and read-only` });
 
     // Check if user is already a member (active or pending)
     let existingMembership = await GroupMembership.findOne({
@@ -300,15 +306,23 @@ exports.joinGroup = async (req, res) => {
       userId: req.user._id,
     });
 
+    if (existingMembership && ['active', 'pending'].includes(existingMembership.status)) {
+      return res.status(400).json({ 
+        error: existingMembership.status === 'active' ? 'Already a member' : 'Join request already pending'
+      });
+    }
+
+    const { answers, errors } = await getJoinAnswers(group, req.user._id, req.body.answers);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Please answer the community questionnaire', errors });
+    }
+
     if (existingMembership) {
-      if (['active', 'pending'].includes(existingMembership.status)) {
-        return res.status(400).json({ 
-          error: existingMembership.status === 'active' ? 'Already a member' : 'Join request already pending'
-        });
-      } else if (existingMembership.status === 'left') {
+      if (existingMembership.status === 'left') {
         // Reactivate membership
         existingMembership.status = group.type === 'Public' ? 'active' : 'pending';
         existingMembership.requestMessage = requestMessage;
+        existingMembership.answers = answers;
         existingMembership.joinedAt = new Date();
         existingMembership.leftAt = undefined;
         if (group.type === 'Public') {
@@ -319,9 +333,11 @@ exports.joinGroup = async (req, res) => {
           existingMembership.approvedBy = undefined;
         }
         await existingMembership.save();
+        RoleCache.invalidateMembership(req.user._id, group._id);
         if (existingMembership.status === 'active') {
           group.memberCount += 1;
           await group.save();
+          await CommunityMembershipService.join(req.user._id, group.communityId, answers);
         }
         return res.json({ 
           success: true, 
@@ -334,7 +350,8 @@ exports.joinGroup = async (req, res) => {
     let membershipData = {
       groupId: group._id,
       userId: req.user._id,
-      requestMessage
+      requestMessage,
+      answers
     };
 
     // Auto-approve for public groups
@@ -348,11 +365,13 @@ exports.joinGroup = async (req, res) => {
 
     const membership = new GroupMembership(membershipData);
     await membership.save();
+    RoleCache.invalidateMembership(req.user._id, group._id);
 
     // Update group member count if approved
     if (membershipData.status === 'active') {
       group.memberCount += 1;
       await group.save();
+      await CommunityMembershipService.join(req.user._id, group.communityId, answers);
     }
 
     res.json({ 
@@ -368,8 +387,7 @@ exports.joinGroup = async (req, res) => {
 // Leave Group
 exports.leaveGroup = async (req, res) => {
   try {
-    const group = await Group.findById(req.params.id);
-    if (!group) return res.status(404).json({ error: 'Group not found' });
+    const group = req.resource;
 
     const membership = await GroupMembership.findOne({
       groupId: group._id,
@@ -387,6 +405,7 @@ exports.leaveGroup = async (req, res) => {
     }
 
     await membership.leave();
+    RoleCache.invalidateMembership(req.user._id, group._id);
 
     // Update group member count
     if (membership.status === 'active') {
@@ -400,62 +419,10 @@ exports.leaveGroup = async (req, res) => {
   }
 };
 
-// Get Group Members
-exports.getGroupMembers = async (req, res) => {
-  try {
-    const { page = 1, limit = 20, role } = req.query;
-    const group = await Group.findById(req.params.id);
-    if (!group) return res.status(404).json({ error: 'Group not found' });
-
-    // Check if user has access to view members
-    if (group.type === 'Secret' && req.user) {
-      const membership = await GroupMembership.findOne({
-        groupId: group._id,
-        userId: req.user._id,
-        status: 'active'
-      });
-      if (!membership) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
-    }
-
-    let filter = {
-      groupId: group._id,
-      status: 'active'
-    };
-
-    if (role) filter.role = role;
-
-    const members = await GroupMembership.find(filter)
-      .populate('userId', 'name avatar bio')
-      .sort({ joinedAt: 1 })
-      .skip((page - 1) * limit)
-      .limit(Number(limit));
-
-    res.json(members);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-};
-
-// Get Pending Join Requests (Admin/Moderator only)
+// Get Pending Join Requests (Admin/Moderator only); each request carries its questionnaire answers
 exports.getPendingRequests = async (req, res) => {
   try {
-    const group = await Group.findById(req.params.id);
-    if (!group) return res.status(404).json({ error: 'Group not found' });
-
-    // Check if user is admin or moderator
-    const membership = await GroupMembership.findOne({
-      groupId: group._id,
-      userId: req.user._id,
-      status: 'active',
-      role: { $in: ['admin', 'moderator'] }
-    });
-
-    if (!membership) {
-      return res.status(403).json({ error: 'Access denied. Admin or moderator privileges required.' });
-    }
-
+    const group = req.resource;
     const pendingRequests = await GroupMembership.getPendingRequests(group._id);
     res.json(pendingRequests);
   } catch (err) {
@@ -467,22 +434,9 @@ exports.getPendingRequests = async (req, res) => {
 // Approve Join Request (Admin/Moderator only) - new RESTful endpoint: POST /groups/:id/join-requests/:membershipId/accept
 exports.approveJoinRequest = async (req, res) => {
   try {
-    // Support both legacy and RESTful routes
-    const groupId = req.params.groupId || req.params.id;
-    const membershipId = req.params.membershipId || req.params.membershipId || req.body.membershipId || req.params.id;
-    const group = await Group.findById(groupId);
-    if (!group) return res.status(404).json({ error: 'Group not found' });
-
-    // Check if user is admin or moderator
-    const adminMembership = await GroupMembership.findOne({
-      groupId: group._id,
-      userId: req.user._id,
-      status: 'active',
-      role: { $in: ['admin', 'moderator'] }
-    });
-    if (!adminMembership) {
-      return res.status(403).json({ error: 'Access denied. Admin or moderator privileges required.' });
-    }
+    // Support both legacy and RESTful routes; the group is loaded by authorize()
+    const membershipId = req.params.membershipId || req.body.membershipId || req.params.id;
+    const group = req.resource;
 
     const membership = await GroupMembership.findById(membershipId);
     if (!membership || membership.groupId.toString() !== group._id.toString() || membership.status !== 'pending') {
@@ -490,8 +444,10 @@ exports.approveJoinRequest = async (req, res) => {
     }
 
     await membership.approve(req.user._id);
+    RoleCache.invalidateMembership(membership.userId, group._id);
     group.memberCount += 1;
     await group.save();
+    await CommunityMembershipService.join(membership.userId, group.communityId, membership.answers);
     res.json({ success: true, message: 'Join request approved' });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -501,22 +457,9 @@ exports.approveJoinRequest = async (req, res) => {
 // Reject Join Request (Admin/Moderator only) - new RESTful endpoint: POST /groups/:id/join-requests/:membershipId/reject
 exports.rejectJoinRequest = async (req, res) => {
   try {
-    // Support both legacy and RESTful routes
-    const groupId = req.params.groupId || req.params.id;
-    const membershipId = req.params.membershipId || req.params.membershipId || req.body.membershipId || req.params.id;
-    const group = await Group.findById(groupId);
-    if (!group) return res.status(404).json({ error: 'Group not found' });
-
-    // Check if user is admin or moderator
-    const adminMembership = await GroupMembership.findOne({
-      groupId: group._id,
-      userId: req.user._id,
-      status: 'active',
-      role: { $in: ['admin', 'moderator'] }
-    });
-    if (!adminMembership) {
-      return res.status(403).json({ error: 'Access denied. Admin or moderator privileges required.' });
-    }
+    // Support both legacy and RESTful routes; the group is loaded by authorize()
+    const membershipId = req.params.membershipId || req.body.membershipId || req.params.id;
+    const group = req.resource;
 
     const membership = await GroupMembership.findById(membershipId);
     if (!membership || membership.groupId.toString() !== group._id.toString() || membership.status !== 'pending') {
@@ -534,20 +477,7 @@ exports.rejectJoinRequest = async (req, res) => {
 exports.addGroupRule = async (req, res) => {
   try {
     const { title, description } = req.body;
-    const group = await Group.findById(req.params.id);
-    if (!group) return res.status(404).json({ error: 'Group not found' });
-
-    // Check if user is admin
-    const membership = await GroupMembership.findOne({
-      groupId: group._id,
-      userId: req.user._id,
-      status: 'active',
-      role: 'admin'
-    });
-
-    if (!membership) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
+    const group = req.resource;
 
     await group.addRule(title, description);
     res.json({ success: true, rules: group.rules });
@@ -560,20 +490,7 @@ exports.addGroupRule = async (req, res) => {
 exports.removeGroupRule = async (req, res) => {
   try {
     const { ruleId } = req.params;
-    const group = await Group.findById(req.params.id);
-    if (!group) return res.status(404).json({ error: 'Group not found' });
-
-    // Check if user is admin
-    const membership = await GroupMembership.findOne({
-      groupId: group._id,
-      userId: req.user._id,
-      status: 'active',
-      role: 'admin'
-    });
-
-    if (!membership) {
-      return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-    }
+    const group = req.resource;
 
     await group.removeRule(ruleId);
     res.json({ success: true, rules: group.rules });
@@ -583,35 +500,10 @@ exports.removeGroupRule = async (req, res) => {
 };
 
 
-// Delete Group (Group creator or Platform admin only)
+// Delete Group (Group admin or Platform admin only)
 exports.deleteGroup = async (req, res) => {
   try {
-    const group = await Group.findById(req.params.id);
-    if (!group) return res.status(404).json({ error: 'Group not found' });
-
-    // Check if user is platform admin (global admin, no communityId restriction)
-    const isPlatformAdmin = !!(await UserRole.findOne({
-      userId: req.user._id,
-      role: 'admin',
-      isActive: true
-    }));
-    if (isPlatformAdmin) {
-      // Platform admin can always delete
-    } else {
-      // Check if user is the group creator
-      const isCreator = group.createdBy.toString() === req.user._id.toString();
-      // Check if user is group admin or moderator
-      const membership = await GroupMembership.findOne({
-        groupId: group._id,
-        userId: req.user._id,
-        status: 'active',
-        role: { $in: ['admin', 'groupAdmin', 'moderator'] }
-      });
-      const isGroupAdminOrMod = !!membership;
-      if (!isCreator && !isGroupAdminOrMod) {
-        return res.status(403).json({ error: 'Access denied. Only group creator, platform admin, group admin, or moderator can delete this group.' });
-      }
-    }
+    const group = req.resource;
 
     // Soft delete the group
     group.status = 'deleted';
@@ -620,7 +512,6 @@ exports.deleteGroup = async (req, res) => {
     await group.save();
 
     // Update community group count
-    const Community = require('../communities/community');
     const community = await Community.findById(group.communityId);
     if (community) {
       community.groupCount = Math.max(0, community.groupCount - 1);
@@ -637,29 +528,12 @@ exports.deleteGroup = async (req, res) => {
 exports.getGroupMembers = async (req, res) => {
   try {
     const { page = 1, limit = 20, role } = req.query;
-    const group = await Group.findById(req.params.id);
-    if (!group) return res.status(404).json({ error: 'Group not found' });
-
-    // Check if current user is a member for detailed info
-    let isMember = false;
-    let isAdmin = false;
-    
-    if (req.user) {
-      const membership = await GroupMembership.findOne({
-        groupId: group._id,
-        userId: req.user._id,
-        status: 'active'
-      });
-      isMember = !!membership;
+    const scope = await PolicyEngine.resolveScope({ groupId: req.params.id });
+    if (!scope) return res.status(404).json({ error: 'Group not found' });
+    const group = scope.group;
 
-      // Check if user is platform admin
-      const userRole = await UserRole.findOne({
-        userId: req.user._id,
-        role: 'admin',
-        isActive: true
-      });
-      isAdmin = !!userRole;
-    }
+    // Members (and anyone who can read the group's posts) get detailed info
+    const canViewDetails = await PolicyEngine.can(req.user, 'view_group_posts', scope, RoleCache.forRequest(req));
 
     let filter = {
       groupId: group._id,
@@ -669,7 +543,7 @@ exports.getGroupMembers = async (req, res) => {
     if (role) filter.role = role;
 
     const members = await GroupMembership.find(filter)
-      .populate('userId', isMember || isAdmin ? 'name avatar bio' : 'name avatar')
+      .populate('userId', canViewDetails ? 'name avatar bio privacySettings' : 'name avatar')
       .sort({ role: 1, joinedAt: 1 }) // Admins first, then by join date
       .skip((page - 1) * limit)
       .limit(Number(limit));
@@ -678,11 +552,12 @@ exports.getGroupMembers = async (req, res) => {
 
     const membersWithRoles = members.map(member => {
       const memberObj = member.toObject();
+      maskUser(memberObj.userId, req.user);
       
       // Add role labels
       if (member.userId._id.toString() === group.createdBy.toString()) {
         memberObj.roleLabel = 'Group Admin';
-      } else if (member.role === 'admin') {
+      } else if (GROUP_ADMIN_ROLES.includes(member.role)) {
         memberObj.roleLabel = 'Admin';
       } else if (member.role === 'moderator') {
         memberObj.roleLabel = 'Moderator';
@@ -706,30 +581,11 @@ exports.getGroupMembers = async (req, res) => {
   }
 };
 
-// Update Group (Group creator or Platform admin only)
+// Update Group (Group admin or Platform admin only)
 exports.updateGroup = async (req, res) => {
   try {
-    const { title, intro, type, category, rules } = req.body;
-    const group = await Group.findById(req.params.id);
-    if (!group) return res.status(404).json({ error: 'Group not found' });
-
-    // Check if user is the group creator
-    const isCreator = group.createdBy.toString() === req.user._id.toString();
-    
-    // Check if user is platform admin
-    const userRole = await UserRole.findOne({
-      userId: req.user._id,
-      role: 'admin',
-      communityId: null,
-      isActive: true
-    });
-    const isPlatformAdmin = !!userRole;
-
-    if (!isCreator && !isPlatformAdmin) {
-      return res.status(403).json({ 
-        error: 'Access denied. Only group creator or platform admin can edit this group.' 
-      });
-    }
+    const { title, intro, type, category, rules, ageBands, location } = req.body;
+    const group = req.resource;
 
     // Update allowed fields
     if (title !== undefined) group.title = title;
@@ -741,6 +597,10 @@ exports.updateGroup = async (req, res) => {
     if (rules !== undefined && Array.isArray(rules)) {
       group.rules = rules;
     }
+    if (ageBands !== undefined && Array.isArray(ageBands)) {
+      group.ageBands = ageBands;
+    }
+    if (location !== undefined) group.location = location;
 
     group.updatedAt = new Date();
     await group.save();
@@ -779,7 +639,7 @@ exports.assignModerator = async (req, res) => {
       return res.status(404).json({ error: "User is not an active member of this group." });
     }
 
-    if (membership.role === "admin") {
+    if (GROUP_ADMIN_ROLES.includes(membership.role)) {
       return res.status(400).json({ error: "Cannot change role of group admin." });
     }
 
@@ -789,6 +649,19 @@ exports.assignModerator = async (req, res) => {
 
     membership.role = "moderator";
     await membership.save();
+    RoleCache.invalidateMembership(userId, groupId);
+    await RoleAuditService.record({
+      action: "assign",
+      actorId: req.user._id,
+      targetUserId: userId,
+      source: "groupMembership",
+      role: "moderator",
+      communityId: req.resource ? req.resource.communityId : null,
+      groupId,
+      permissionsBefore: GROUP_ROLE_PERMISSIONS.member,
+      permissionsAfter: GROUP_ROLE_PERMISSIONS.moderator,
+      reason: req.body.reason,
+    });
 
     res.json({ success: true, message: "User assigned as moderator successfully.", membership });
   } catch (err) {
@@ -811,7 +684,7 @@ exports.removeModerator = async (req, res) => {
       return res.status(404).json({ error: "User is not an active member of this group." });
     }
 
-    if (membership.role === "admin") {
+    if (GROUP_ADMIN_ROLES.includes(membership.role)) {
       return res.status(400).json({ error: "Cannot change role of group admin." });
     }
 
@@ -819,8 +692,22 @@ exports.removeModerator = async (req, res) => {
       return res.status(400).json({ error: "User is not a moderator." });
     }
 
+    const previousRole = membership.role;
     membership.role = "member";
     await membership.save();
+    RoleCache.invalidateMembership(userId, groupId);
+    await RoleAuditService.record({
+      action: "remove",
+      actorId: req.user._id,
+      targetUserId: userId,
+      source: "groupMembership",
+      role: previousRole,
+      communityId: req.resource ? req.resource.communityId : null,
+      groupId,
+      permissionsBefore: GROUP_ROLE_PERMISSIONS[previousRole] || [],
+      permissionsAfter: GROUP_ROLE_PERMISSIONS.member,
+      reason: req.body.reason,
+    });
 
     res.json({ success: true, message: "User removed as moderator successfully.", membership });
   } catch (err) {
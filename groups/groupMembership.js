@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { answerSchema } = require('../communities/questionnaire');
 
 const groupMembershipSchema = new mongoose.Schema({
   groupId: {
@@ -49,7 +50,9 @@ const groupMembershipSchema = new mongoose.Schema({
   requestMessage: {
     type: String,
     maxlength: 500
-  }
+  },
+  // Community questionnaire answers sent with the join request
+  answers: [answerSchema]
 }, {
   timestamps: true
 });
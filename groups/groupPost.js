@@ -73,6 +73,52 @@ const commentSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// 'after_vote': a viewer only sees the tallies once they voted or the poll closed
+const POLL_RESULTS_VISIBILITY = ['always', 'after_vote'];
+
+const pollOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  voteCount: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Poll of a 'poll' post; the votes themselves are PollVote documents
+const pollSchema = new mongoose.Schema({
+  options: [pollOptionSchema],
+  allowMultiple: {
+    type: Boolean,
+    default: false
+  },
+  // Visible polls let members see who voted for each option
+  anonymousVotes: {
+    type: Boolean,
+    default: false
+  },
+  resultsVisibility: {
+    type: String,
+    enum: POLL_RESULTS_VISIBILITY,
+    default: 'always'
+  },
+  closesAt: {
+    type: Date,
+    default: null
+  },
+  voterCount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Drafts and scheduled posts are only visible to their author until published;
+// 'failed' posts could not be published and wait for the author to fix them
+const POST_STATUSES = ['draft', 'scheduled', 'published', 'failed'];
+
 const groupPostSchema = new mongoose.Schema({
   postId: {
     type: String,
@@ -124,6 +170,27 @@ const groupPostSchema = new mongoose.Schema({
     enum: ['general', 'help', 'question', 'event', 'poll'],
     default: 'general'
   },
+  poll: {
+    type: pollSchema,
+    default: undefined
+  },
+  status: {
+    type: String,
+    enum: POST_STATUSES,
+    default: 'published'
+  },
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
+  publishedAt: {
+    type: Date
+  },
+  publishError: {
+    message: String,
+    flags: [String],
+    failedAt: Date
+  },
   isPinned: {
     type: Boolean,
     default: false
@@ -237,7 +304,10 @@ groupPostSchema.index({ authorId: 1, createdAt: -1 });
 groupPostSchema.index({ postType: 1, urgencyLevel: 1 });
 groupPostSchema.index({ isPinned: 1, createdAt: -1 });
 groupPostSchema.index({ tags: 1 });
+groupPostSchema.index({ content: 'text', tags: 'text' }, { weights: { content: 1, tags: 3 } });
 groupPostSchema.index({ 'reports.status': 1 });
+groupPostSchema.index({ status: 1, scheduledFor: 1 });
+groupPostSchema.index({ authorId: 1, status: 1, updatedAt: -1 });
 
 // Instance method to add like
 groupPostSchema.methods.addLike = function(userId) {
@@ -336,6 +406,7 @@ groupPostSchema.statics.getGroupPostsWithDetails = function(groupId, query = {})
   return this.find({ 
     groupId, 
     isDeleted: false, 
+    status: 'published',
     ...query 
   })
     .populate('authorId', 'name email avatar')
@@ -345,5 +416,7 @@ groupPostSchema.statics.getGroupPostsWithDetails = function(groupId, query = {})
 };
 
 module.exports = mongoose.model('GroupPost', groupPostSchema, 'groupposts');
+module.exports.POST_STATUSES = POST_STATUSES;
+module.exports.POLL_RESULTS_VISIBILITY = POLL_RESULTS_VISIBILITY;
 
 
@@ -1,8 +1,15 @@
+const mongoose = require("mongoose");
 const GroupPost = require("./groupPost");
 const Group = require("./group");
-const GroupMembership = require("./groupMembership");
-const UserRole = require("../users/userRole");
+const User = require("../users/parentUser");
 const RoleAggregationService = require("../services/roleAggregateService");
+const PolicyEngine = require("../services/policyEngine");
+const RoleCache = require("../services/roleCache");
+const AnnouncementService = require("../services/announcementService");
+const GroupPostPublishService = require("../services/groupPostPublishService");
+const PollService = require("../services/pollService");
+const { maskUser } = require("../users/profilePrivacy");
+const { SCHEDULED_POST_MAX_DAYS } = require("../constants");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
@@ -130,47 +137,71 @@ exports.uploadPostMedia = (req, res) => {
   });
 };
 
-// Profanity filter middleware
-const profanityFilter = (text) => {
-  const profanityWords = [
-    "spam",
-    "scam",
-    "fake",
-    "stupid",
-    "idiot",
-    "hate",
-    "kill",
-    "die",
-    "damn",
-    "hell",
-    // Add more words as needed
-  ];
+// Profanity filter, shared with the scheduled post publisher
+const profanityFilter = GroupPostPublishService.maskProfanity;
+
+const MEDIA_TYPES = ["image", "video", "audio", "document"];
+const UNPUBLISHED_STATUSES = ["draft", "scheduled", "failed"];
+
+// Error message for a mediaUrls list, or null
+const checkMediaUrls = (mediaUrls) => {
+  if (!Array.isArray(mediaUrls)) return "mediaUrls must be an array.";
+  for (const media of mediaUrls) {
+    if (!media || !media.url || !media.mediaType || !MEDIA_TYPES.includes(media.mediaType)) {
+      return "Each media must have url and valid mediaType.";
+    }
+  }
+  return null;
+};
 
-  let filteredText = text;
-  profanityWords.forEach((word) => {
-    const regex = new RegExp(word, "gi");
-    filteredText = filteredText.replace(regex, "*".repeat(word.length));
+// Status and publish time of an unpublished post from the request body:
+// a draft, or a post scheduled up to SCHEDULED_POST_MAX_DAYS ahead
+const parseSchedule = (status, scheduledFor) => {
+  if (status === "draft") return { status: "draft", scheduledFor: null };
+  if (status !== "scheduled") return { error: "status must be draft or scheduled" };
+
+  const publishAt = new Date(scheduledFor);
+  if (!scheduledFor || Number.isNaN(publishAt.getTime())) {
+    return { error: "scheduledFor must be a valid date" };
+  }
+  if (publishAt <= new Date()) return { error: "scheduledFor must be in the future" };
+  if (publishAt.getTime() > Date.now() + SCHEDULED_POST_MAX_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `scheduledFor must be within ${SCHEDULED_POST_MAX_DAYS} days` };
+  }
+  return { status: "scheduled", scheduledFor: publishAt };
+};
+
+// Current user's unpublished post from the route, or null
+const findOwnDraft = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return GroupPost.findOne({
+    _id: req.params.id,
+    authorId: req.user._id,
+    status: { $in: UNPUBLISHED_STATUSES },
+    isDeleted: false,
   });
+};
 
-  return filteredText;
+// Whether a user reference (id or populated user) is in `hiddenUserIds` (blocks)
+const isHiddenUser = (hiddenUserIds, userRef) => {
+  const id = userRef && (userRef._id || userRef);
+  return !!id && hiddenUserIds.some((hiddenId) => hiddenId.toString() === id.toString());
+};
+
+// Comments and replies of a post object left after dropping hidden users
+const withoutHiddenComments = (comments, hiddenUserIds) => {
+  if (hiddenUserIds.length === 0) return comments;
+  return comments
+    .filter((c) => !isHiddenUser(hiddenUserIds, c.userId))
+    .map((c) => ({ ...c, replies: (c.replies || []).filter((r) => !isHiddenUser(hiddenUserIds, r.userId)) }));
 };
 
 // Create Post (Group members only)
 exports.createPost = async (req, res) => {
   try {
     const { groupId } = req.params;
-
-    // Check if group exists
-    const group = await Group.findById(groupId);
-    if (!group) return res.status(404).json({ error: "Group not found" });
-
-    // Check if user can post in this group using RoleAggregationService
-    const canPost = await RoleAggregationService.canUserPostInGroup(req.user._id, groupId);
-    if (!canPost) {
-      return res
-        .status(403)
-        .json({ error: "Access denied. Must be a group member to post." });
-    }
+    // Loaded and checked by authorize('create_group_post')
+    const group = req.resource;
 
     const allowedFields = [
       "content",
@@ -188,31 +219,40 @@ exports.createPost = async (req, res) => {
 
     // Validate mediaUrls structure if present
     if (postData.mediaUrls) {
-      if (!Array.isArray(postData.mediaUrls)) {
-        return res.status(400).json({ error: 'mediaUrls must be an array.' });
-      }
-      for (const media of postData.mediaUrls) {
-        if (
-          !media.url ||
-          !media.mediaType ||
-          !['image', 'video', 'audio', 'document'].includes(media.mediaType)
-        ) {
-          return res.status(400).json({ error: 'Each media must have url and valid mediaType.' });
-        }
+      const mediaError = checkMediaUrls(postData.mediaUrls);
+      if (mediaError) return res.status(400).json({ error: mediaError });
+    }
+
+    // Drafts and scheduled posts are published later by the author or the
+    // scheduled post job, which filter the content at that point
+    const { status = req.body.scheduledFor ? "scheduled" : "published", scheduledFor } = req.body;
+    if (status !== "published") {
+      const schedule = parseSchedule(status, scheduledFor);
+      if (schedule.error) return res.status(400).json({ error: schedule.error });
+      Object.assign(postData, schedule);
+    } else {
+      postData.publishedAt = new Date();
+      // Apply profanity filter to content
+      if (postData.content) {
+        postData.content = profanityFilter(postData.content);
       }
     }
 
-    // Apply profanity filter to content
-    if (postData.content) {
-      postData.content = profanityFilter(postData.content);
+    // Poll posts carry their options and settings
+    if (postData.postType === "poll") {
+      const parsed = PollService.parsePoll(req.body.poll, postData.scheduledFor || new Date());
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      postData.poll = parsed.poll;
     }
 
     const post = new GroupPost(postData);
     await post.save();
 
     // Update group post count
-    group.postCount += 1;
-    await group.save();
+    if (post.status === "published") {
+      group.postCount += 1;
+      await group.save();
+    }
 
     // Fetch the post again with author populated
     const populatedPost = await GroupPost.findById(post._id)
@@ -225,7 +265,7 @@ exports.createPost = async (req, res) => {
     // Add role information to the author
     if (typeof postObj.authorId === "object" && postObj.authorId !== null) {
       try {
-        const userRoles = await RoleAggregationService.getUserRolesInGroup(req.user._id, groupId);
+        const userRoles = await RoleAggregationService.getUserRolesInGroup(req.user._id, groupId, RoleCache.forRequest(req));
         postObj.authorId.roles = userRoles;
         postObj.authorId.roleDisplay = RoleAggregationService.formatRoleDisplay(userRoles);
       } catch (error) {
@@ -254,36 +294,21 @@ exports.getPostsByGroup = async (req, res) => {
     } = req.query;
 
     // Check if group exists
-    const group = await Group.findById(groupId);
-    if (!group) return res.status(404).json({ error: "Group not found" });
+    const scope = await PolicyEngine.resolveScope({ groupId });
+    if (!scope || scope.group.status === "deleted") return res.status(404).json({ error: "Group not found" });
 
     // Posts are visible to all users, but interactions are restricted to members
-    let isMember = false;
-    let isAdmin = false;
-
-    if (req.user) {
-      // Check if user is a member of the group
-      const membership = await GroupMembership.findOne({
-        groupId,
-        userId: req.user._id,
-        status: "active",
-      });
-      isMember = !!membership;
-
-      // Check if user is platform admin
-      const userRole = await UserRole.findOne({
-        userId: req.user._id,
-        role: "admin",
-        isActive: true,
-      });
-      isAdmin = !!userRole;
-    }
+    const canInteract = await PolicyEngine.can(req.user, "interact_group_posts", scope, RoleCache.forRequest(req));
 
     // Build query
-    const query = { groupId, isDeleted: false };
+    const query = { groupId, isDeleted: false, status: "published" };
     if (postType) query.postType = postType;
     if (urgencyLevel) query.urgencyLevel = urgencyLevel;
 
+    // Hide posts and comments from blocked users in both directions
+    const hiddenUserIds = req.user ? await User.getHiddenUserIds(req.user._id) : [];
+    if (hiddenUserIds.length > 0) query.authorId = { $nin: hiddenUserIds };
+
     // Sort options
     let sortOptions = {};
     switch (sortBy) {
@@ -298,7 +323,7 @@ exports.getPostsByGroup = async (req, res) => {
     }
 
     const posts = await GroupPost.find(query)
-      .populate("authorId", "name avatar bio") // ✅ Keep only this
+      .populate("authorId", "name avatar bio privacySettings") // ✅ Keep only this
       .populate("groupId", "title type")
       .populate("comments.userId", "name avatar")
       .populate("pinnedBy", "name")
@@ -307,6 +332,7 @@ exports.getPostsByGroup = async (req, res) => {
       .skip((page - 1) * limit);
 
     const totalPosts = await GroupPost.countDocuments(query);
+    const pollResults = await PollService.getResults(posts, req.user && req.user._id);
 
     // After fetching posts (after .populate().sort().limit().skip())
     const postsWithDetails = await Promise.all(
@@ -314,12 +340,15 @@ exports.getPostsByGroup = async (req, res) => {
         const postObj = post.toObject();
 
         postObj.id = postObj._id;
+        maskUser(postObj.authorId, req.user);
+        postObj.comments = withoutHiddenComments(postObj.comments, hiddenUserIds);
         postObj.likeCount = post.likes.length;
-        postObj.commentCount = post.comments.filter((c) => !c.isDeleted).length;
+        postObj.commentCount = postObj.comments.filter((c) => !c.isDeleted).length;
         postObj.bookmarkCount = post.bookmarks.length;
-        postObj.canInteract = isMember || isAdmin;
+        postObj.canInteract = canInteract;
+        if (pollResults.has(post._id.toString())) postObj.poll = pollResults.get(post._id.toString());
 
-        if (req.user && (isMember || isAdmin)) {
+        if (req.user && canInteract) {
           postObj.isLiked = post.likes.some(
             (like) => like.userId.toString() === req.user._id.toString()
           );
@@ -335,7 +364,7 @@ exports.getPostsByGroup = async (req, res) => {
         if (typeof postObj.authorId === "object" && postObj.authorId !== null) {
           const authorId = postObj.authorId._id;
           try {
-            const userRoles = await RoleAggregationService.getUserRolesInGroup(authorId, groupId);
+            const userRoles = await RoleAggregationService.getUserRolesInGroup(authorId, groupId, RoleCache.forRequest(req));
             postObj.authorId.roles = userRoles;
             postObj.authorId.roleDisplay = RoleAggregationService.formatRoleDisplay(userRoles);
           } catch (error) {
@@ -349,7 +378,13 @@ exports.getPostsByGroup = async (req, res) => {
       })
     );
 
+    // Community announcements are pinned above the first page
+    const announcements = parseInt(page) === 1
+      ? await AnnouncementService.getFeedAnnouncements(scope.communityId, req.user && req.user._id)
+      : [];
+
     res.json({
+      announcements,
       posts: postsWithDetails,
       totalPages: Math.ceil(totalPosts / limit),
       currentPage: parseInt(page),
@@ -366,38 +401,29 @@ exports.getPostsByGroup = async (req, res) => {
 exports.getPostById = async (req, res) => {
   try {
     const post = await GroupPost.findById(req.params.id)
-      .populate("authorId", "name avatar bio")
+      .populate("authorId", "name avatar bio privacySettings")
       .populate("groupId", "title type")
       .populate("comments.userId", "name avatar")
       .populate("comments.replies.userId", "name avatar")
       .populate("pinnedBy", "name");
 
-    if (!post) return res.status(404).json({ error: "Post not found" });
-
-    // Check if user has access to view this post
-    if (req.user) {
-      const membership = await GroupMembership.findOne({
-        groupId: post.groupId._id,
-        userId: req.user._id,
-        status: "active",
-      });
-
-      if (!membership) {
-        return res
-          .status(403)
-          .json({
-            error: "Access denied. Must be a group member to view this post.",
-          });
-      }
-    } else {
-      return res.status(401).json({ error: "Authentication required" });
+    // Posts by blocked users, in either direction, do not exist for the viewer
+    const hiddenUserIds = await User.getHiddenUserIds(req.user._id);
+    if (!post || isHiddenUser(hiddenUserIds, post.authorId)) {
+      return res.status(404).json({ error: "Post not found" });
     }
 
     const postObj = post.toObject();
     postObj.id = postObj._id;
+    maskUser(postObj.authorId, req.user);
+    postObj.comments = withoutHiddenComments(postObj.comments, hiddenUserIds);
     postObj.likeCount = post.likes.length;
-    postObj.commentCount = post.comments.filter((c) => !c.isDeleted).length;
+    postObj.commentCount = postObj.comments.filter((c) => !c.isDeleted).length;
     postObj.bookmarkCount = post.bookmarks.length;
+    if (post.poll) {
+      const pollResults = await PollService.getResults([post], req.user && req.user._id);
+      postObj.poll = pollResults.get(post._id.toString());
+    }
 
     // Check if current user has liked/bookmarked
     if (req.user) {
@@ -418,24 +444,11 @@ exports.getPostById = async (req, res) => {
 // Update Post (Author or Admin/Moderator only)
 exports.updatePost = async (req, res) => {
   try {
-    const post = await GroupPost.findById(req.params.id);
-    if (!post) return res.status(404).json({ error: "Post not found" });
-
-    // Check if user is the author or has moderation privileges
-    const isAuthor = post.authorId.toString() === req.user._id.toString();
-    const membership = await GroupMembership.findOne({
-      groupId: post.groupId,
-      userId: req.user._id,
-      status: "active",
-      role: { $in: ["admin", "moderator"] },
-    });
+    const post = req.resource;
 
-    if (!isAuthor && !membership) {
-      return res
-        .status(403)
-        .json({
-          error: "Access denied. Only author or moderators can edit posts.",
-        });
+    // Published posts cannot become polls or stop being one
+    if (req.body.postType !== undefined && (req.body.postType === "poll") !== (post.postType === "poll")) {
+      return res.status(400).json({ error: "Polls cannot be turned into other posts or back" });
     }
 
     // Store edit history if content is being changed
@@ -461,8 +474,9 @@ exports.updatePost = async (req, res) => {
     await post.save();
 
     const updatedPost = await GroupPost.findById(post._id)
-      .populate("authorId", "name avatar bio")
+      .populate("authorId", "name avatar bio privacySettings")
       .populate("groupId", "title type");
+    maskUser(updatedPost.authorId, req.user);
 
     res.json(updatedPost);
   } catch (err) {
@@ -473,25 +487,7 @@ exports.updatePost = async (req, res) => {
 // Delete Post (Author or Admin/Moderator only)
 exports.deletePost = async (req, res) => {
   try {
-    const post = await GroupPost.findById(req.params.id);
-    if (!post) return res.status(404).json({ error: "Post not found" });
-
-    // Check if user is the author or has moderation privileges
-    const isAuthor = post.authorId.toString() === req.user._id.toString();
-    const membership = await GroupMembership.findOne({
-      groupId: post.groupId,
-      userId: req.user._id,
-      status: "active",
-      role: { $in: ["admin", "moderator"] },
-    });
-
-    if (!isAuthor && !membership) {
-      return res
-        .status(403)
-        .json({
-          error: "Access denied. Only author or moderators can delete posts.",
-        });
-    }
+    const post = req.resource;
 
     await post.softDelete(req.user._id);
 
@@ -508,34 +504,133 @@ exports.deletePost = async (req, res) => {
   }
 };
 
-// Like/Unlike Post
-exports.toggleLike = async (req, res) => {
+// List the current user's drafts, scheduled posts and posts that failed to publish
+exports.getMyDrafts = async (req, res) => {
   try {
-    const post = await GroupPost.findById(req.params.id);
-    if (!post) return res.status(404).json({ error: "Post not found" });
+    const { page = 1, limit = 20, status, groupId } = req.query;
 
-    // Check if user is a member of the group or is an admin
-    const membership = await GroupMembership.findOne({
-      groupId: post.groupId,
-      userId: req.user._id,
-      status: "active",
+    const query = { authorId: req.user._id, isDeleted: false, status: { $in: UNPUBLISHED_STATUSES } };
+    if (status) {
+      if (!UNPUBLISHED_STATUSES.includes(status)) {
+        return res.status(400).json({ error: "status must be draft, scheduled or failed" });
+      }
+      query.status = status;
+    }
+    if (groupId) {
+      if (!mongoose.isValidObjectId(groupId)) return res.status(400).json({ error: "Invalid groupId" });
+      query.groupId = groupId;
+    }
+
+    const [posts, total] = await Promise.all([
+      GroupPost.find(query)
+        .select("-likes -comments -bookmarks -reports -editHistory")
+        .populate("groupId", "title type image")
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+        .lean(),
+      GroupPost.countDocuments(query),
+    ]);
+
+    res.json({
+      posts: posts.map((post) => ({ ...post, id: post._id })),
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
     });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
 
-    // Check if user is platform admin
-    const userRole = await UserRole.findOne({
-      userId: req.user._id,
-      role: "admin",
-      isActive: true,
+// Edit a draft or scheduled post, or reschedule it. A post that failed to
+// publish goes back to being a draft unless it is scheduled again.
+exports.updateDraft = async (req, res) => {
+  try {
+    const post = await findOwnDraft(req);
+    if (!post) return res.status(404).json({ error: "Draft not found" });
+
+    if (req.body.mediaUrls !== undefined) {
+      const mediaError = checkMediaUrls(req.body.mediaUrls);
+      if (mediaError) return res.status(400).json({ error: mediaError });
+    }
+
+    const { status, scheduledFor } = req.body;
+    if (status !== undefined || scheduledFor !== undefined) {
+      // A new publish time alone reschedules; scheduledFor: null unschedules
+      const nextStatus = status || (scheduledFor === null ? "draft" : "scheduled");
+      const schedule = parseSchedule(nextStatus, scheduledFor);
+      if (schedule.error) return res.status(400).json({ error: schedule.error });
+      post.set(schedule);
+    } else if (post.status === "failed") {
+      post.status = "draft";
+    }
+    post.publishError = undefined;
+
+    const allowedFields = ["content", "mediaUrls", "tags", "isAnonymous", "urgencyLevel", "postType"];
+    allowedFields.forEach((field) => {
+      if (req.body[field] !== undefined) post[field] = req.body[field];
     });
 
-    if (!membership && !userRole) {
-      return res
-        .status(403)
-        .json({
-          error: "Access denied. Must be a group member to like posts.",
-        });
+    // Nobody has voted on a draft, so its poll can still be replaced
+    if (post.postType === "poll" && (req.body.poll !== undefined || !post.poll)) {
+      const parsed = PollService.parsePoll(req.body.poll, post.scheduledFor || new Date());
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      post.poll = parsed.poll;
+    } else if (post.postType !== "poll") {
+      post.poll = undefined;
     }
 
+    await post.save();
+
+    const updatedPost = await GroupPost.findById(post._id).populate("groupId", "title type image");
+    res.json(updatedPost);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Publish a draft or scheduled post right away
+exports.publishDraft = async (req, res) => {
+  try {
+    const post = await findOwnDraft(req);
+    if (!post) return res.status(404).json({ error: "Draft not found" });
+
+    const result = await GroupPostPublishService.publish(post, { recordFailure: false });
+    if (result.status === "skipped") return res.status(409).json({ error: result.error });
+    if (result.status === "failed") {
+      return res.status(400).json({ error: result.error, flags: result.flags });
+    }
+
+    const publishedPost = await GroupPost.findById(post._id)
+      .populate("authorId", "name avatar bio")
+      .populate("groupId", "title type");
+    res.json(publishedPost);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Discard a draft or cancel a scheduled post before it is published
+exports.cancelDraft = async (req, res) => {
+  try {
+    const post = await findOwnDraft(req);
+    if (!post) return res.status(404).json({ error: "Draft not found" });
+
+    // Never published, so nothing else refers to it
+    await GroupPost.deleteOne({ _id: post._id, status: { $in: UNPUBLISHED_STATUSES } });
+
+    res.json({ success: true, message: "Draft discarded successfully" });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
+// Like/Unlike Post
+exports.toggleLike = async (req, res) => {
+  try {
+    const post = req.resource;
+
     const existingLike = post.likes.find(
       (like) => like.userId.toString() === req.user._id.toString()
     );
@@ -566,21 +661,7 @@ exports.toggleLike = async (req, res) => {
 exports.addComment = async (req, res) => {
   try {
     const { content } = req.body;
-    const post = await GroupPost.findById(req.params.id);
-    if (!post) return res.status(404).json({ error: "Post not found" });
-
-    // Check if user is a member of the group
-    const membership = await GroupMembership.findOne({
-      groupId: post.groupId,
-      userId: req.user._id,
-      status: "active",
-    });
-
-    if (!membership) {
-      return res
-        .status(403)
-        .json({ error: "Access denied. Must be a group member to comment." });
-    }
+    const post = req.resource;
 
     const filteredContent = profanityFilter(content);
     await post.addComment(req.user._id, filteredContent);
@@ -602,21 +683,7 @@ exports.addReply = async (req, res) => {
   try {
     const { content } = req.body;
     const { commentId } = req.params;
-    const post = await GroupPost.findById(req.params.id);
-    if (!post) return res.status(404).json({ error: "Post not found" });
-
-    // Check if user is a member of the group
-    const membership = await GroupMembership.findOne({
-      groupId: post.groupId,
-      userId: req.user._id,
-      status: "active",
-    });
-
-    if (!membership) {
-      return res
-        .status(403)
-        .json({ error: "Access denied. Must be a group member to reply." });
-    }
+    const post = req.resource;
 
     const comment = post.comments.id(commentId);
     if (!comment) return res.status(404).json({ error: "Comment not found" });
@@ -647,23 +714,7 @@ exports.addReply = async (req, res) => {
 // Toggle Bookmark
 exports.toggleBookmark = async (req, res) => {
   try {
-    const post = await GroupPost.findById(req.params.id);
-    if (!post) return res.status(404).json({ error: "Post not found" });
-
-    // Check if user is a member of the group
-    const membership = await GroupMembership.findOne({
-      groupId: post.groupId,
-      userId: req.user._id,
-      status: "active",
-    });
-
-    if (!membership) {
-      return res
-        .status(403)
-        .json({
-          error: "Access denied. Must be a group member to bookmark posts.",
-        });
-    }
+    const post = req.resource;
 
     const existingBookmark = post.bookmarks.find(
       (bookmark) => bookmark.userId.toString() === req.user._id.toString()
@@ -691,32 +742,7 @@ exports.toggleBookmark = async (req, res) => {
 // Pin/Unpin Post (Group Admin/Moderator or Platform Admin)
 exports.togglePin = async (req, res) => {
   try {
-    const post = await GroupPost.findById(req.params.id);
-    if (!post) return res.status(404).json({ error: "Post not found" });
-
-    // Check if user has moderation privileges in the group
-    const membership = await GroupMembership.findOne({
-      groupId: post.groupId,
-      userId: req.user._id,
-      status: "active",
-      role: { $in: ["admin", "moderator"] },
-    });
-
-    // Check if user is platform admin
-    const userRole = await UserRole.findOne({
-      userId: req.user._id,
-      role: "admin",
-      isActive: true,
-    });
-    const isPlatformAdmin = !!userRole;
-
-    if (!membership && !isPlatformAdmin) {
-      return res
-        .status(403)
-        .json({
-          error: "Access denied. Admin or moderator privileges required.",
-        });
-    }
+    const post = req.resource;
 
     if (post.isPinned) {
       await post.unpin();
@@ -734,36 +760,11 @@ exports.togglePin = async (req, res) => {
   }
 };
 
-// Mark Best Answer (Expert only)
+// Mark Best Answer (Verified expert or group expert)
 exports.markBestAnswer = async (req, res) => {
   try {
     const { commentId } = req.body;
-    const post = await GroupPost.findById(req.params.id);
-    if (!post) return res.status(404).json({ error: "Post not found" });
-
-    // Check if user is an expert
-    const hasPermission = await UserRole.userHasPermission(
-      req.user._id,
-      "mark_best_answer"
-    );
-    if (!hasPermission) {
-      return res
-        .status(403)
-        .json({ error: "Access denied. Expert privileges required." });
-    }
-
-    // Check if user is a member of the group
-    const membership = await GroupMembership.findOne({
-      groupId: post.groupId,
-      userId: req.user._id,
-      status: "active",
-    });
-
-    if (!membership) {
-      return res
-        .status(403)
-        .json({ error: "Access denied. Must be a group member." });
-    }
+    const post = req.resource;
 
     const comment = post.comments.id(commentId);
     if (!comment) return res.status(404).json({ error: "Comment not found" });
@@ -780,23 +781,7 @@ exports.markBestAnswer = async (req, res) => {
 exports.reportPost = async (req, res) => {
   try {
     const { reason, description } = req.body;
-    const post = await GroupPost.findById(req.params.id);
-    if (!post) return res.status(404).json({ error: "Post not found" });
-
-    // Check if user is a member of the group
-    const membership = await GroupMembership.findOne({
-      groupId: post.groupId,
-      userId: req.user._id,
-      status: "active",
-    });
-
-    if (!membership) {
-      return res
-        .status(403)
-        .json({
-          error: "Access denied. Must be a group member to report posts.",
-        });
-    }
+    const post = req.resource;
 
     await post.addReport(req.user._id, reason, description);
 
@@ -805,3 +790,63 @@ exports.reportPost = async (req, res) => {
     res.status(400).json({ error: err.message });
   }
 };
+
+// Only active members of the post's group may vote
+const isActiveMember = async (req, post) =>
+  !!(await RoleCache.getActiveMembership(req.user._id, post.groupId, RoleCache.forRequest(req)));
+
+// Vote in a poll post
+exports.votePoll = async (req, res) => {
+  try {
+    const post = req.resource;
+    if (!(await isActiveMember(req, post))) {
+      return res.status(403).json({ error: "Only active group members can vote" });
+    }
+
+    const { optionIds = req.body.optionId } = req.body;
+    await PollService.vote(post, req.user._id, optionIds || []);
+
+    const updatedPost = await GroupPost.findById(post._id).select("authorId postType poll");
+    const pollResults = await PollService.getResults([updatedPost], req.user._id);
+    res.json({ success: true, message: "Vote recorded", poll: pollResults.get(post._id.toString()) });
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message });
+  }
+};
+
+// Take back a vote while the poll is open
+exports.unvotePoll = async (req, res) => {
+  try {
+    const post = req.resource;
+    if (!(await isActiveMember(req, post))) {
+      return res.status(403).json({ error: "Only active group members can vote" });
+    }
+
+    await PollService.unvote(post, req.user._id);
+
+    const updatedPost = await GroupPost.findById(post._id).select("authorId postType poll");
+    const pollResults = await PollService.getResults([updatedPost], req.user._id);
+    res.json({ success: true, message: "Vote removed", poll: pollResults.get(post._id.toString()) });
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message });
+  }
+};
+
+// List who voted for an option of a poll with visible votes
+exports.getPollVoters = async (req, res) => {
+  try {
+    const { optionId, page, limit } = req.query;
+    if (!mongoose.isValidObjectId(optionId)) return res.status(400).json({ error: "Invalid optionId" });
+
+    const hiddenUserIds = await User.getHiddenUserIds(req.user._id);
+    const voters = await PollService.getVoters(req.resource, optionId, {
+      viewerId: req.user._id,
+      hiddenUserIds,
+      page,
+      limit,
+    });
+    res.json(voters);
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message });
+  }
+};
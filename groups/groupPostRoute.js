@@ -2,11 +2,9 @@ const express = require('express');
 const router = express.Router();
 const groupPostController = require('./groupPostController');
 const auth = require('../middleware/auth');
-const { 
-  requireGroupMembership, 
-  requirePermission,
-  canModeratePost 
-} = require('../middleware/authorization');
+const { requireVerifiedAccount, optionalAuth } = require('../middleware/authorization');
+const { authorize, loadGroup, loadGroupPost } = require('../middleware/authorize');
+const rateLimiters = require('../middleware/rateLimiters');
 const { filterPostContent, filterCommentContent } = require('../middleware/contentFilter');
 
 // Media upload route (authenticated users only)
@@ -15,7 +13,9 @@ router.post('/upload-media', auth, groupPostController.uploadPostMedia);
 // Post CRUD routes
 router.post('/group/:groupId', 
   auth, 
-  requireGroupMembership('active'), 
+  rateLimiters.createPost,
+  requireVerifiedAccount, 
+  authorize('create_group_post', loadGroup('groupId')), 
   filterPostContent, 
   groupPostController.createPost
 );
@@ -23,65 +23,114 @@ router.post('/group/:groupId',
 router.get('/group/:groupId', 
   // auth, 
   // requireGroupMembership('active'), 
+  optionalAuth,
   groupPostController.getPostsByGroup
 );
 
+// Drafts and scheduled posts (author only)
+router.get('/drafts', auth, groupPostController.getMyDrafts);
+
+router.put('/drafts/:id', 
+  auth, 
+  filterPostContent, 
+  groupPostController.updateDraft
+);
+
+router.post('/drafts/:id/publish', 
+  auth, 
+  rateLimiters.createPost,
+  requireVerifiedAccount, 
+  groupPostController.publishDraft
+);
+
+router.delete('/drafts/:id', auth, groupPostController.cancelDraft);
+
 router.get('/:id', 
   auth, 
+  authorize('view_group_posts', loadGroupPost()), 
   groupPostController.getPostById
 );
 
 router.put('/:id', 
   auth, 
+  authorize('moderate_posts', loadGroupPost(), { allowOwner: true }), 
   filterPostContent, 
   groupPostController.updatePost
 );
 
 router.delete('/:id', 
   auth, 
+  authorize('moderate_posts', loadGroupPost(), { allowOwner: true }), 
   groupPostController.deletePost
 );
 
 // Post interaction routes (require group membership)
 router.post('/:id/like', 
   auth, 
+  authorize('interact_group_posts', loadGroupPost()), 
   groupPostController.toggleLike
 );
 
 router.post('/:id/bookmark', 
   auth, 
+  authorize('interact_group_posts', loadGroupPost()), 
   groupPostController.toggleBookmark
 );
 
+// Poll routes (voting requires active group membership)
+router.post('/:id/poll/vote', 
+  auth, 
+  authorize('interact_group_posts', loadGroupPost()), 
+  groupPostController.votePoll
+);
+
+router.delete('/:id/poll/vote', 
+  auth, 
+  authorize('interact_group_posts', loadGroupPost()), 
+  groupPostController.unvotePoll
+);
+
+router.get('/:id/poll/voters', 
+  auth, 
+  authorize('view_group_posts', loadGroupPost()), 
+  groupPostController.getPollVoters
+);
+
 router.post('/:id/pin', 
   auth, 
-  canModeratePost, 
+  authorize('pin_posts', loadGroupPost()), 
   groupPostController.togglePin
 );
 
 // Comment routes (require group membership)
 router.post('/:id/comments', 
   auth, 
+  rateLimiters.comment,
+  authorize('interact_group_posts', loadGroupPost()), 
   filterCommentContent, 
   groupPostController.addComment
 );
 
 router.post('/:id/comments/:commentId/replies', 
   auth, 
+  rateLimiters.comment,
+  authorize('interact_group_posts', loadGroupPost()), 
   filterCommentContent, 
   groupPostController.addReply
 );
 
-// Expert features (require expert permission)
+// Expert features (verified experts and group experts)
 router.post('/:id/best-answer', 
   auth, 
-  requirePermission('mark_best_answer'), 
+  authorize('mark_best_answer', loadGroupPost()), 
   groupPostController.markBestAnswer
 );
 
 // Reporting (require group membership)
 router.post('/:id/report', 
   auth, 
+  rateLimiters.report,
+  authorize('interact_group_posts', loadGroupPost()), 
   groupPostController.reportPost
 );
 
@@ -2,13 +2,8 @@ const express = require('express');
 const router = express.Router();
 const groupController = require('./groupController');
 const auth = require('../middleware/auth');
-const { 
-  requireGroupMembership, 
-  requireGroupModerator, 
-  requireGroupAdmin,
-  optionalAuth 
-} = require('../middleware/authorization');
-const isGroupAdmin = require("../middleware/isGroupAdmin"); // Adjust path as needed
+const { optionalAuth } = require('../middleware/authorization');
+const { authorize, loadGroup } = require('../middleware/authorize');
 
 // Media upload route (authenticated users only)
 router.post('/upload-media', auth, groupController.uploadGroupMedia);
@@ -16,30 +11,31 @@ router.post('/upload-media', auth, groupController.uploadGroupMedia);
 // Group CRUD routes
 router.post('/', auth, groupController.createGroup);
 router.get('/community/:communityId', optionalAuth, groupController.getGroupsByCommunity);
+router.get('/discover', auth, groupController.discoverGroups);
 router.get('/:id', optionalAuth, groupController.getGroupById);
-router.put("/:id", auth, isGroupAdmin, groupController.updateGroup);
-router.delete("/:id", auth, isGroupAdmin, groupController.deleteGroup);// New delete route
+router.put("/:id", auth, authorize('edit_group', loadGroup()), groupController.updateGroup);
+router.delete("/:id", auth, authorize('delete_group', loadGroup()), groupController.deleteGroup);// New delete route
 
 // Group membership routes
 router.post('/:id/join', auth, groupController.joinGroup);
-router.post('/:id/leave', auth, requireGroupMembership('active'), groupController.leaveGroup);
+router.post('/:id/leave', auth, authorize('leave_group', loadGroup()), groupController.leaveGroup);
 router.get('/:id/members', optionalAuth, groupController.getGroupMembers); // Updated to show members to all
 
 // Join request management routes (Admin/Moderator only)
-router.get('/:id/join-requests', auth, requireGroupModerator, groupController.getPendingRequests);
+router.get('/:id/join-requests', auth, authorize('manage_members', loadGroup()), groupController.getPendingRequests);
 // RESTful: Accept/reject join request by membershipId
-router.post('/:groupId/join-requests/:membershipId/accept', auth, requireGroupModerator, groupController.approveJoinRequest);
-router.post('/:groupId/join-requests/:membershipId/reject', auth, requireGroupModerator, groupController.rejectJoinRequest);
+router.post('/:groupId/join-requests/:membershipId/accept', auth, authorize('manage_members', loadGroup('groupId')), groupController.approveJoinRequest);
+router.post('/:groupId/join-requests/:membershipId/reject', auth, authorize('manage_members', loadGroup('groupId')), groupController.rejectJoinRequest);
 // Legacy (if still used anywhere)
-router.post('/:id/accept', auth, requireGroupModerator, groupController.approveJoinRequest);
-router.post('/:id/reject-request', auth, requireGroupModerator, groupController.rejectJoinRequest);
+router.post('/:id/accept', auth, authorize('manage_members', loadGroup()), groupController.approveJoinRequest);
+router.post('/:id/reject-request', auth, authorize('manage_members', loadGroup()), groupController.rejectJoinRequest);
 
 // Group rules management (Admin only)
-router.post('/:id/rules', auth, requireGroupAdmin, groupController.addGroupRule);
-router.delete('/:id/rules/:ruleId', auth, requireGroupAdmin, groupController.removeGroupRule);
+router.post('/:id/rules', auth, authorize('manage_group_rules', loadGroup()), groupController.addGroupRule);
+router.delete('/:id/rules/:ruleId', auth, authorize('manage_group_rules', loadGroup()), groupController.removeGroupRule);
 // // Moderator assignment routes (Group Admin only)
-// router.post("/:groupId/members/:userId/assign-moderator", auth, requireGroupAdmin, groupController.assignModerator);
-// router.post("/:groupId/members/:userId/remove-moderator", auth, requireGroupAdmin, groupController.removeModerator);
+// router.post("/:groupId/members/:userId/assign-moderator", auth, authorize('edit_group', loadGroup('groupId')), groupController.assignModerator);
+// router.post("/:groupId/members/:userId/remove-moderator", auth, authorize('edit_group', loadGroup('groupId')), groupController.removeModerator);
 
 
 module.exports = router;
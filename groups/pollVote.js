@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One user's vote in a group post poll. Single-choice polls hold exactly one
+// option id; the per-option tallies are kept on GroupPost.poll.options.
+const pollVoteSchema = new mongoose.Schema({
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupPost',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser',
+    required: true
+  },
+  optionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }],
+  votedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+pollVoteSchema.index({ postId: 1, userId: 1 }, { unique: true });
+pollVoteSchema.index({ postId: 1, optionIds: 1, votedAt: -1 });
+pollVoteSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('PollVote', pollVoteSchema);
@@ -0,0 +1,20 @@
+const AccountDeletionService = require('../services/accountDeletionService');
+const { ACCOUNT_DELETION_JOB_INTERVAL_MINUTES } = require('../constants');
+
+// Purge accounts whose deletion grace period has passed
+const runAccountDeletionJob = async () => {
+  try {
+    const purged = await AccountDeletionService.purgeDueAccounts();
+    if (purged > 0) {
+      console.log(`Account deletion job: purged ${purged} account(s)`);
+    }
+  } catch (err) {
+    console.error('Account deletion job failed:', err);
+  }
+};
+
+module.exports = {
+  name: 'accountDeletion',
+  intervalMs: ACCOUNT_DELETION_JOB_INTERVAL_MINUTES * 60 * 1000,
+  run: runAccountDeletionJob
+};
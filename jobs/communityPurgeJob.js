@@ -0,0 +1,20 @@
+const CommunityLifecycleService = require('../services/communityLifecycleService');
+const { COMMUNITY_PURGE_JOB_INTERVAL_MINUTES } = require('../constants');
+
+// Purge deleted communities whose retention period has passed
+const runCommunityPurgeJob = async () => {
+  try {
+    const purged = await CommunityLifecycleService.purgeDueCommunities();
+    if (purged > 0) {
+      console.log(`Community purge job: purged ${purged} communit${purged === 1 ? 'y' : 'ies'}`);
+    }
+  } catch (err) {
+    console.error('Community purge job failed:', err);
+  }
+};
+
+module.exports = {
+  name: 'communityPurge',
+  intervalMs: COMMUNITY_PURGE_JOB_INTERVAL_MINUTES * 60 * 1000,
+  run: runCommunityPurgeJob
+};
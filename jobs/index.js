@@ -0,0 +1,27 @@
+// Background jobs run in-process on a fixed interval. Each job module exports
+// { name, intervalMs, run }; run() must handle its own errors.
+const jobs = [
+  require('./accountDeletionJob'),
+  require('./roleExpiryJob'),
+  require('./communityPurgeJob'),
+  require('./scheduledPostJob')
+];
+
+const timers = [];
+
+// Start every job: once right away, then on its interval
+const startJobs = () => {
+  jobs.forEach(job => {
+    job.run();
+    const timer = setInterval(job.run, job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+    console.log(`Started job ${job.name} (every ${Math.round(job.intervalMs / 60000)} min)`);
+  });
+};
+
+const stopJobs = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+module.exports = { startJobs, stopJobs };
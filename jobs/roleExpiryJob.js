@@ -0,0 +1,20 @@
+const RoleAssignmentService = require('../services/roleAssignmentService');
+const { ROLE_EXPIRY_JOB_INTERVAL_MINUTES } = require('../constants');
+
+// Deactivate roles whose validUntil has passed, and roles delegated from them
+const runRoleExpiryJob = async () => {
+  try {
+    const deactivated = await RoleAssignmentService.deactivateExpiredRoles();
+    if (deactivated > 0) {
+      console.log(`Role expiry job: deactivated ${deactivated} role(s)`);
+    }
+  } catch (err) {
+    console.error('Role expiry job failed:', err);
+  }
+};
+
+module.exports = {
+  name: 'roleExpiry',
+  intervalMs: ROLE_EXPIRY_JOB_INTERVAL_MINUTES * 60 * 1000,
+  run: runRoleExpiryJob
+};
@@ -0,0 +1,20 @@
+const GroupPostPublishService = require('../services/groupPostPublishService');
+const { SCHEDULED_POST_JOB_INTERVAL_MINUTES } = require('../constants');
+
+// Publish scheduled group posts whose publish time has come
+const runScheduledPostJob = async () => {
+  try {
+    const { published, failed } = await GroupPostPublishService.publishDuePosts();
+    if (published > 0 || failed > 0) {
+      console.log(`Scheduled post job: published ${published} post(s), ${failed} failed`);
+    }
+  } catch (err) {
+    console.error('Scheduled post job failed:', err);
+  }
+};
+
+module.exports = {
+  name: 'scheduledPosts',
+  intervalMs: SCHEDULED_POST_JOB_INTERVAL_MINUTES * 60 * 1000,
+  run: runScheduledPostJob
+};
@@ -1,7 +1,4 @@
-const jwt = require('jsonwebtoken');
-const User = require('../users/parentUser');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret';
+const TokenService = require('../services/tokenService');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -21,20 +18,12 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
+    // Verify token and the session it belongs to
+    const { user, session } = await TokenService.verifyAccessToken(token);
 
-    // Find user by ID from token
-    const user = await User.findById(decoded.userId).select('-password');
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token is not valid. User not found.'
-      });
-    }
-
-    // Attach user info to request
+    // Attach user and session info to request
     req.user = user;
+    req.authSession = session;
     next();
 
   } catch (error) {
@@ -54,6 +43,20 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
+    if (error.name === 'SessionRevokedError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Session is no longer valid. Please log in again.'
+      });
+    }
+
+    if (error.name === 'UserNotFoundError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is not valid. User not found.'
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: 'Server error during authentication.'
@@ -61,4 +64,4 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
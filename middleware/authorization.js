@@ -1,194 +1,20 @@
-const UserRole = require('../users/userRole');
-const GroupMembership = require('../groups/groupMembership');
-
-// Check if user has specific permission
-const requirePermission = (permission) => {
-  return async (req, res, next) => {
-    try {
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Authentication required.'
-        });
-      }
-
-      const hasPermission = await UserRole.userHasPermission(req.user._id, permission);
-      if (!hasPermission) {
-        return res.status(403).json({
-          success: false,
-          message: `Access denied. ${permission} permission required.`
-        });
-      }
-
-      next();
-    } catch (error) {
-      console.error('Permission check error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Server error during permission check.'
-      });
-    }
-  };
-};
-
-// Check if user has specific role
-const requireRole = (roles) => {
-  const roleArray = Array.isArray(roles) ? roles : [roles];
-  
-  return async (req, res, next) => {
-    try {
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Authentication required.'
-        });
-      }
-
-      const userRoles = await UserRole.find({ 
-        userId: req.user._id, 
-        isActive: true 
-      });
-
-      const hasRole = userRoles.some(userRole => roleArray.includes(userRole.role));
-      if (!hasRole) {
-        return res.status(403).json({
-          success: false,
-          message: `Access denied. Required role: ${roleArray.join(' or ')}.`
-        });
-      }
-
-      next();
-    } catch (error) {
-      console.error('Role check error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Server error during role check.'
-      });
-    }
-  };
-};
-
-// Check if user is admin
-const requireAdmin = requireRole('admin');
-
-// Check if user is expert
-const requireExpert = requireRole('expert');
-
-// Check if user is admin or expert
-const requireAdminOrExpert = requireRole(['admin', 'expert']);
-
-// Check if user is member of specific group
-const requireGroupMembership = (membershipStatus = 'active', roles = null) => {
-  return async (req, res, next) => {
-    try {
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          message: 'Authentication required.'
-        });
-      }
-
-      const groupId = req.params.groupId || req.params.id;
-      if (!groupId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Group ID required.'
-        });
-      }
-
-      const statusArray = Array.isArray(membershipStatus) ? membershipStatus : [membershipStatus];
-      const roleArray = roles ? (Array.isArray(roles) ? roles : [roles]) : null;
-
-      const membership = await GroupMembership.findOne({
-        groupId,
-        userId: req.user._id,
-        status: { $in: statusArray }
-      });
-
-      // Check if user is platform admin (global admin, no communityId restriction)
-      const UserRole = require('../users/userRole');
-      const isPlatformAdmin = !!(await UserRole.findOne({
-        userId: req.user._id,
-        role: 'admin',
-        isActive: true
-      }));
-
-      if (!membership && !isPlatformAdmin) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. Group membership required.'
-        });
-      }
-
-      if (roleArray && membership && !roleArray.includes(membership.role) && !isPlatformAdmin) {
-        return res.status(403).json({
-          success: false,
-          message: `Access denied. Required role: ${roleArray.join(' or ')}.`
-        });
-      }
-
-      // Attach membership info to request (if any)
-      if (membership) req.groupMembership = membership;
-      next();
-    } catch (error) {
-      console.error('Group membership check error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Server error during membership check.'
-      });
-    }
-  };
-};
-
-// Check if user is group admin or moderator
-const requireGroupModerator = requireGroupMembership('active', ['admin', 'moderator']);
-
-// Check if user is group admin
-const requireGroupAdmin = requireGroupMembership('active', 'admin');
-
-// Check if user can moderate posts (admin, expert, or group moderator)
-const canModeratePost = async (req, res, next) => {
-  try {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required.'
-      });
-    }
-
-    // Check if user is admin or expert
-    const hasGlobalPermission = await UserRole.userHasPermission(req.user._id, 'moderate_posts');
-    if (hasGlobalPermission) {
-      req.canModerate = true;
-      return next();
-    }
-
-    // Check if user is group moderator/admin
-    const groupId = req.params.groupId || req.body.groupId;
-    if (groupId) {
-      const membership = await GroupMembership.findOne({
-        groupId,
-        userId: req.user._id,
-        status: 'active',
-        role: { $in: ['admin', 'moderator'] }
-      });
-
-      if (membership) {
-        req.canModerate = true;
-        req.groupMembership = membership;
-        return next();
-      }
-    }
+// Check that the user has verified their email address or phone number
+const requireVerifiedAccount = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
 
-    req.canModerate = false;
-    next();
-  } catch (error) {
-    console.error('Moderation check error:', error);
-    return res.status(500).json({
+  if (!req.user.emailVerified && !req.user.phoneVerified) {
+    return res.status(403).json({
       success: false,
-      message: 'Server error during moderation check.'
+      message: 'Please verify your email address or phone number before posting.'
     });
   }
+
+  next();
 };
 
 // Optional authentication (doesn't fail if no token)
@@ -204,18 +30,12 @@ const optionalAuth = async (req, res, next) => {
       return next(); // Continue without authentication
     }
 
-    const jwt = require('jsonwebtoken');
-    const User = require('../users/parentUser');
-    const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret';
+    const TokenService = require('../services/tokenService');
 
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
-
-    // Find user by ID from token
-    const user = await User.findById(decoded.userId).select('-password');
-    if (user) {
-      req.user = user;
-    }
+    // Verify token and the session it belongs to
+    const { user, session } = await TokenService.verifyAccessToken(token);
+    req.user = user;
+    req.authSession = session;
 
     next();
   } catch (error) {
@@ -225,15 +45,6 @@ const optionalAuth = async (req, res, next) => {
 };
 
 module.exports = {
-  requirePermission,
-  requireRole,
-  requireAdmin,
-  requireExpert,
-  requireAdminOrExpert,
-  requireGroupMembership,
-  requireGroupModerator,
-  requireGroupAdmin,
-  canModeratePost,
+  requireVerifiedAccount,
   optionalAuth
 };
-
@@ -0,0 +1,116 @@
+// Single authorization middleware. Every protected route names the action
+// (a permission from users/permissions.js) and how to find the resource it
+// acts on; the policy engine decides from all role sources.
+const mongoose = require('mongoose');
+const PolicyEngine = require('../services/policyEngine');
+const RoleCache = require('../services/roleCache');
+const GroupPost = require('../groups/groupPost');
+const ExpertApplication = require('../expert-application/expertApplication');
+const { PERMISSIONS } = require('../users/permissions');
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// Attach a label used in the 404 message
+const resourceLoader = (label, load) => Object.assign(load, { label });
+
+// Group from a route param (or body field); the group is the resource
+const loadGroup = (param = 'id', source = 'params') => resourceLoader('Group', async (req) => {
+  const scope = await PolicyEngine.resolveScope({ groupId: req[source][param] });
+  if (scope) scope.resource = scope.group;
+  return scope;
+});
+
+const loadCommunity = (param = 'id', source = 'params') => resourceLoader('Community', (req) => {
+  return PolicyEngine.resolveScope({ communityId: req[source][param] });
+});
+
+// Group post, scoped to its group and owned by its author
+const loadGroupPost = (param = 'id', source = 'params') => resourceLoader('Post', async (req) => {
+  const postId = req[source][param];
+  if (!mongoose.isValidObjectId(postId)) return null;
+  const post = await GroupPost.findById(postId);
+  // Drafts and scheduled posts are only reachable through the drafts routes
+  if (!post || post.status !== 'published') return null;
+  const scope = await PolicyEngine.resolveScope({ groupId: post.groupId });
+  // Posts of deleted groups are hidden until the group is restored
+  if (!scope || scope.group.status === 'deleted') return null;
+  return { ...scope, resource: post, ownerId: post.authorId };
+});
+
+// Expert application, scoped to its community and owned by the applicant
+const loadExpertApplication = (param = 'applicationId') => resourceLoader('Application', async (req) => {
+  const applicationId = req.params[param];
+  if (!mongoose.isValidObjectId(applicationId)) return null;
+  const application = await ExpertApplication.findById(applicationId);
+  if (!application) return null;
+  const scope = await PolicyEngine.resolveScope({ communityId: application.communityId });
+  if (!scope) return null;
+  return { ...scope, resource: application, ownerId: application.userId };
+});
+
+/**
+ * Require a permission for the resource a request acts on.
+ * @param {string} action - Permission name from users/permissions.js
+ * @param {Function} [loader] - (req) => scope or null; omit for platform actions
+ * @param {Object} [options]
+ * @param {boolean} [options.allowOwner=false] - Let the resource owner through without the permission
+ */
+const authorize = (action, loader = null, { allowOwner = false } = {}) => {
+  if (!PERMISSIONS.includes(action)) {
+    throw new Error(`Unknown permission "${action}"`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required.'
+        });
+      }
+
+      const scope = loader ? await loader(req) : {};
+      if (!scope) {
+        return res.status(404).json({
+          success: false,
+          message: `${loader.label || 'Resource'} not found.`
+        });
+      }
+
+      const permissions = await PolicyEngine.getEffectivePermissions(req.user._id, scope, RoleCache.forRequest(req));
+      const isOwner = allowOwner && sameId(scope.ownerId, req.user._id);
+      // Archived and deleted communities and groups are read-only, owners included
+      const readOnly = PolicyEngine.getReadOnlyReason(scope);
+      if (readOnly && !permissions.includes(action)) {
+        return res.status(403).json({
+          success: false,
+          message: `${readOnly} and read-only.`
+        });
+      }
+      if (!isOwner && !permissions.includes(action)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. ${action} permission required.`
+        });
+      }
+
+      req.authorization = { action, scope, permissions, isOwner };
+      if (scope.resource) req.resource = scope.resource;
+      next();
+    } catch (error) {
+      console.error('Authorization error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error during authorization.'
+      });
+    }
+  };
+};
+
+module.exports = {
+  authorize,
+  loadGroup,
+  loadCommunity,
+  loadGroupPost,
+  loadExpertApplication
+};
@@ -0,0 +1,12 @@
+// Marks responses served from a pre-versioning path as deprecated and points
+// clients at the versioned successor (RFC 8594 style headers).
+const deprecatedAlias = (successorBasePath) => {
+  return (req, res, next) => {
+    const successorUrl = `${successorBasePath}${req.url === "/" ? "" : req.url}`;
+    res.set("Deprecation", "true");
+    res.set("Link", `<${successorUrl}>; rel="successor-version"`);
+    next();
+  };
+};
+
+module.exports = deprecatedAlias;
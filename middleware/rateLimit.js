@@ -0,0 +1,104 @@
+// Rate limiting middleware with fixed-window counters.
+//
+// Requests are keyed on req.ip. Behind a reverse proxy or load balancer set
+// TRUST_PROXY (see constants.js) so req.ip is the client, not the proxy.
+//
+// Counters live in a store. The default MemoryStore keeps them in this
+// process; for several app instances plug in a shared store (e.g. Redis)
+// with `rateLimit.setStore(store)`. A store implements:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//   reset(key)               -> Promise<void>
+const { RATE_LIMIT_ENABLED } = require('../constants');
+
+class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+    // Drop expired windows so the map does not grow without bound
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+let store = new MemoryStore();
+
+const keyGenerators = {
+  ip: (req) => req.ip,
+  // Falls back to the IP for anonymous requests
+  user: (req) => (req.user ? `user:${req.user._id}` : req.ip)
+};
+
+/**
+ * Create a rate limiting middleware.
+ * @param {Object} options
+ * @param {string} options.name - Bucket name, unique per limited action
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per window
+ * @param {string|Function} [options.by='ip'] - 'ip', 'user' or (req) => key
+ * @param {string} [options.message] - Error message for limited requests
+ */
+const rateLimit = ({ name, windowMs, max, by = 'ip', message = 'Too many requests, please try again later' }) => {
+  if (!name || !windowMs || !max) {
+    throw new Error('rateLimit requires name, windowMs and max');
+  }
+  const keyFor = typeof by === 'function' ? by : keyGenerators[by];
+  if (!keyFor) {
+    throw new Error(`Unknown rate limit key "${by}"`);
+  }
+
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED) return next();
+
+    try {
+      const { count, resetAt } = await store.increment(`${name}:${keyFor(req)}`, windowMs);
+      const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+      res.set('RateLimit-Reset', String(resetSeconds));
+
+      if (count > max) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({ message, retryAfter: resetSeconds });
+      }
+      next();
+    } catch (err) {
+      // A broken store should not take the API down
+      console.error('Rate limit store error:', err);
+      next();
+    }
+  };
+};
+
+rateLimit.setStore = (newStore) => {
+  if (!newStore || typeof newStore.increment !== 'function' || typeof newStore.reset !== 'function') {
+    throw new Error('Rate limit store must implement increment(key, windowMs) and reset(key)');
+  }
+  store = newStore;
+};
+
+rateLimit.getStore = () => store;
+rateLimit.MemoryStore = MemoryStore;
+
+module.exports = rateLimit;
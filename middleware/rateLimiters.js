@@ -0,0 +1,32 @@
+// Rate limits applied to auth and write routes. Write routes are limited both
+// per IP and per signed-in user, so place them after `auth`.
+const rateLimit = require('./rateLimit');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const perIpAndUser = (name, { ipMax, userMax, windowMs }) => [
+  rateLimit({ name: `${name}:ip`, windowMs, max: ipMax, by: 'ip' }),
+  rateLimit({ name: `${name}:user`, windowMs, max: userMax, by: 'user' })
+];
+
+module.exports = {
+  login: rateLimit({
+    name: 'login',
+    windowMs: 15 * MINUTE,
+    max: 20,
+    message: 'Too many login attempts, please try again later'
+  }),
+  register: rateLimit({
+    name: 'register',
+    windowMs: HOUR,
+    max: 10,
+    message: 'Too many accounts created from this IP, please try again later'
+  }),
+  passwordReset: rateLimit({ name: 'password-reset', windowMs: HOUR, max: 10 }),
+  otp: rateLimit({ name: 'otp', windowMs: 15 * MINUTE, max: 15 }),
+  createPost: perIpAndUser('create-post', { ipMax: 60, userMax: 20, windowMs: HOUR }),
+  comment: perIpAndUser('comment', { ipMax: 120, userMax: 60, windowMs: HOUR }),
+  report: perIpAndUser('report', { ipMax: 60, userMax: 20, windowMs: HOUR }),
+  rsvp: perIpAndUser('rsvp', { ipMax: 120, userMax: 60, windowMs: HOUR })
+};
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Community = require('../communities/community');
+const CommunityMembership = require('../communities/communityMembership');
+const GroupMembership = require('../groups/groupMembership');
+
+// Migration script to create a CommunityMembership for everyone with an active
+// membership in one of a community's groups, then recompute the distinct
+// Community.memberCount / followerCount. Safe to run more than once.
+async function backfillCommunityMemberships() {
+  try {
+    console.log('Starting migration: Backfilling community memberships from group memberships...');
+
+    const pairs = await GroupMembership.aggregate([
+      { $match: { status: 'active' } },
+      { $lookup: { from: 'groups', localField: 'groupId', foreignField: '_id', as: 'group' } },
+      { $unwind: '$group' },
+      {
+        $group: {
+          _id: { communityId: '$group.communityId', userId: '$userId' },
+          joinedAt: { $min: '$joinedAt' }
+        }
+      }
+    ]);
+
+    console.log(`Found ${pairs.length} community/user pairs`);
+
+    if (pairs.length > 0) {
+      const result = await CommunityMembership.bulkWrite(pairs.map(pair => ({
+        updateOne: {
+          filter: { communityId: pair._id.communityId, userId: pair._id.userId },
+          update: { $setOnInsert: { status: 'member', joinedAt: pair.joinedAt || new Date() } },
+          upsert: true
+        }
+      })), { ordered: false });
+      console.log(`Created ${result.upsertedCount} community memberships`);
+    }
+
+    // Recompute the counters from scratch
+    const counts = await CommunityMembership.aggregate([
+      { $match: { status: { $in: ['member', 'follower'] } } },
+      { $group: { _id: { communityId: '$communityId', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    await Community.updateMany({}, { $set: { memberCount: 0, followerCount: 0 } });
+    for (const { _id, count } of counts) {
+      const field = _id.status === 'member' ? 'memberCount' : 'followerCount';
+      await Community.updateOne({ _id: _id.communityId }, { $set: { [field]: count } });
+    }
+
+    console.log(`Migration completed successfully!`);
+    console.log(`Updated counts for ${new Set(counts.map(count => count._id.communityId.toString())).size} communities`);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/parenting-community')
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return backfillCommunityMemberships();
+  })
+  .then(() => {
+    console.log('Migration completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = backfillCommunityMemberships;
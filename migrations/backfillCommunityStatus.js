@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Community = require('../communities/community');
+
+// Migration script to give existing communities a lifecycle status from their
+// isActive flag. Communities deleted before statuses existed get no purgeAfter
+// date, so the purge job leaves them alone until an admin deletes them again
+// or restores them. Safe to run more than once.
+async function backfillCommunityStatus() {
+  try {
+    console.log('Starting migration: Backfilling community status...');
+
+    const active = await Community.updateMany(
+      { status: { $exists: false }, isActive: { $ne: false } },
+      { $set: { status: 'active' } }
+    );
+    console.log(`Marked ${active.modifiedCount} communities as active`);
+
+    const deleted = await Community.collection.updateMany(
+      { status: { $exists: false }, isActive: false },
+      [{ $set: { status: 'deleted', deletedAt: '$updatedAt', purgeAfter: null } }]
+    );
+    console.log(`Marked ${deleted.modifiedCount} communities as deleted`);
+
+    console.log(`Migration completed successfully!`);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/parenting-community')
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return backfillCommunityStatus();
+  })
+  .then(() => {
+    console.log('Migration completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = backfillCommunityStatus;
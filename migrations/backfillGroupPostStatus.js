@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const GroupPost = require('../groups/groupPost');
+
+// Migration script to mark group posts created before drafts and scheduled
+// posts existed as published, dated to when they were created. Feeds, search
+// and counts only include published posts. Safe to run more than once.
+async function backfillGroupPostStatus() {
+  try {
+    console.log('Starting migration: Backfilling group post status...');
+
+    const result = await GroupPost.collection.updateMany(
+      { status: { $exists: false } },
+      [{ $set: { status: 'published', publishedAt: '$createdAt', scheduledFor: null } }]
+    );
+    console.log(`Marked ${result.modifiedCount} group posts as published`);
+
+    console.log(`Migration completed successfully!`);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/parenting-community')
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return backfillGroupPostStatus();
+  })
+  .then(() => {
+    console.log('Migration completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = backfillGroupPostStatus;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const User = require('../users/parentUser');
+
+// Migration script to rebuild the unique email index as sparse so phone-only
+// accounts (no email) do not collide with each other
+async function makeUserEmailIndexSparse() {
+  try {
+    console.log('Starting migration: Rebuilding users email index as sparse...');
+
+    const indexes = await User.collection.indexes();
+    const emailIndex = indexes.find(index => index.name === 'email_1');
+
+    if (emailIndex && emailIndex.sparse) {
+      console.log('Email index is already sparse. Migration completed.');
+      return;
+    }
+
+    if (emailIndex) {
+      await User.collection.dropIndex('email_1');
+      console.log('Dropped non-sparse email index');
+    }
+
+    // Recreates email_1 (unique, sparse) and phone_1 from the schema
+    await User.syncIndexes();
+
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/parenting-community')
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return makeUserEmailIndexSparse();
+  })
+  .then(() => {
+    console.log('Migration completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = makeUserEmailIndexSparse;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const User = require('../users/parentUser');
+
+// Migration script to mark users created before email verification existed as verified,
+// so the new verified-email gate on group posting does not lock them out
+async function markExistingUsersEmailVerified() {
+  try {
+    console.log('Starting migration: Marking existing users as email verified...');
+
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    console.log(`Migration completed successfully!`);
+    console.log(`Updated ${result.modifiedCount} users`);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/parenting-community')
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return markExistingUsersEmailVerified();
+  })
+  .then(() => {
+    console.log('Migration completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = markExistingUsersEmailVerified;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const User = require('../users/parentUser');
+
+// Migration script to convert legacy child entries ({ name, age }) into
+// first-class subdocuments with an _id and an approximate dateOfBirth.
+// The birthday is assumed to be today minus `age` years; parents can
+// correct it from their profile.
+async function migrateChildrenDateOfBirth() {
+  try {
+    console.log('Starting migration: Converting children age to dateOfBirth...');
+
+    // Work on the raw collection: legacy children fail the new schema
+    const cursor = User.collection.find({ 'children.0': { $exists: true } });
+    const now = new Date();
+    let updatedCount = 0;
+
+    for await (const user of cursor) {
+      let changed = false;
+      const children = user.children.map(child => {
+        const migrated = { ...child };
+        if (!migrated._id) {
+          migrated._id = new mongoose.Types.ObjectId();
+          changed = true;
+        }
+        if (!migrated.dateOfBirth && typeof migrated.age === 'number') {
+          const dateOfBirth = new Date(now);
+          dateOfBirth.setFullYear(now.getFullYear() - migrated.age);
+          migrated.dateOfBirth = dateOfBirth;
+          changed = true;
+        }
+        if (migrated.age !== undefined) {
+          delete migrated.age;
+          changed = true;
+        }
+        if (!migrated.privacy) migrated.privacy = 'only_me';
+        return migrated;
+      });
+
+      if (changed) {
+        await User.collection.updateOne({ _id: user._id }, { $set: { children } });
+        updatedCount++;
+      }
+    }
+
+    console.log(`Updated children for ${updatedCount} users`);
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/parenting-community')
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return migrateChildrenDateOfBirth();
+  })
+  .then(() => {
+    console.log('Migration completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = migrateChildrenDateOfBirth;
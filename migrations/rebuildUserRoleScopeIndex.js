@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const UserRole = require('../users/userRole');
+
+const OLD_INDEX = 'userId_1_role_1_communityId_1_groupId_1';
+
+// Migration script to replace the unique (userId, role, communityId, groupId)
+// index with one that also includes customRoleId, so a user can hold several
+// custom roles in the same community
+async function rebuildUserRoleScopeIndex() {
+  try {
+    console.log('Starting migration: Rebuilding userroles scope index with customRoleId...');
+
+    const indexes = await UserRole.collection.indexes();
+    if (indexes.some(index => index.name === OLD_INDEX)) {
+      await UserRole.collection.dropIndex(OLD_INDEX);
+      console.log(`Dropped index ${OLD_INDEX}`);
+    }
+
+    // Existing roles predate custom roles; store customRoleId explicitly
+    const result = await UserRole.updateMany(
+      { customRoleId: { $exists: false } },
+      { $set: { customRoleId: null } }
+    );
+    console.log(`Set customRoleId on ${result.modifiedCount} roles`);
+
+    // Creates the new unique index and the customRoleId lookup index
+    await UserRole.syncIndexes();
+
+    console.log('Migration completed successfully!');
+  } catch (error) {
+    console.error('Migration failed:', error);
+    throw error;
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/parenting-community')
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return rebuildUserRoleScopeIndex();
+  })
+  .then(() => {
+    console.log('Migration completed successfully');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = rebuildUserRoleScopeIndex;
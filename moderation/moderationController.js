@@ -1,9 +1,8 @@
 const GroupPost = require('../groups/groupPost');
 const GroupMembership = require('../groups/groupMembership');
 const Group = require('../groups/group');
-const Community = require('../communities/community');
-const UserRole = require('../users/userRole');
 const User = require('../users/parentUser');
+const RoleCache = require('../services/roleCache');
 
 // Get all reported content (Admin/Moderator only)
 exports.getReportedContent = async (req, res) => {
@@ -65,12 +64,10 @@ exports.getReportedContent = async (req, res) => {
 exports.reviewReport = async (req, res) => {
   try {
     const { reportId, action, reason } = req.body; // action: 'dismiss', 'resolve', 'escalate'
-    const { contentType, contentId } = req.params;
+    const { contentType } = req.params;
 
-    let content;
-    if (contentType === 'post') {
-      content = await GroupPost.findById(contentId);
-    }
+    // Only group posts can be reported so far; loaded by authorize()
+    const content = contentType === 'post' ? req.resource : null;
 
     if (!content) {
       return res.status(404).json({ error: 'Content not found' });
@@ -108,19 +105,6 @@ exports.banUserFromGroup = async (req, res) => {
   try {
     const { groupId, userId, reason, duration } = req.body; // duration in days, 0 for permanent
 
-    // Check if user is group admin/moderator or has global moderation rights
-    const hasGlobalPermission = await UserRole.userHasPermission(req.user._id, 'ban_users');
-    const groupMembership = await GroupMembership.findOne({
-      groupId,
-      userId: req.user._id,
-      status: 'active',
-      role: { $in: ['admin', 'moderator'] }
-    });
-
-    if (!hasGlobalPermission && !groupMembership) {
-      return res.status(403).json({ error: 'Access denied. Moderation privileges required.' });
-    }
-
     // Find user's membership
     const userMembership = await GroupMembership.findOne({
       groupId,
@@ -133,13 +117,14 @@ exports.banUserFromGroup = async (req, res) => {
     }
 
     // Don't allow banning group creator
-    const group = await Group.findById(groupId);
+    const group = req.resource;
     if (group.createdBy.toString() === userId) {
       return res.status(400).json({ error: 'Cannot ban group creator' });
     }
 
     // Ban the user
     await userMembership.ban(req.user._id, reason);
+    RoleCache.invalidateMembership(userId, groupId);
 
     // Update group member count
     group.memberCount = Math.max(0, group.memberCount - 1);
@@ -156,19 +141,6 @@ exports.unbanUserFromGroup = async (req, res) => {
   try {
     const { groupId, userId } = req.body;
 
-    // Check permissions
-    const hasGlobalPermission = await UserRole.userHasPermission(req.user._id, 'ban_users');
-    const groupMembership = await GroupMembership.findOne({
-      groupId,
-      userId: req.user._id,
-      status: 'active',
-      role: { $in: ['admin', 'moderator'] }
-    });
-
-    if (!hasGlobalPermission && !groupMembership) {
-      return res.status(403).json({ error: 'Access denied. Moderation privileges required.' });
-    }
-
     // Find banned user's membership
     const userMembership = await GroupMembership.findOne({
       groupId,
@@ -186,9 +158,10 @@ exports.unbanUserFromGroup = async (req, res) => {
     userMembership.bannedBy = null;
     userMembership.banReason = null;
     await userMembership.save();
+    RoleCache.invalidateMembership(userId, groupId);
 
     // Update group member count
-    const group = await Group.findById(groupId);
+    const group = req.resource;
     group.memberCount += 1;
     await group.save();
 
@@ -201,25 +174,9 @@ exports.unbanUserFromGroup = async (req, res) => {
 // Delete post (Admin/Moderator only)
 exports.deletePost = async (req, res) => {
   try {
-    const { postId, reason } = req.body;
-
-    const post = await GroupPost.findById(postId);
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
+    const { reason } = req.body;
 
-    // Check permissions
-    const hasGlobalPermission = await UserRole.userHasPermission(req.user._id, 'moderate_posts');
-    const groupMembership = await GroupMembership.findOne({
-      groupId: post.groupId,
-      userId: req.user._id,
-      status: 'active',
-      role: { $in: ['admin', 'moderator'] }
-    });
-
-    if (!hasGlobalPermission && !groupMembership) {
-      return res.status(403).json({ error: 'Access denied. Moderation privileges required.' });
-    }
+    const post = req.resource;
 
     // Soft delete the post
     await post.softDelete(req.user._id);
@@ -246,25 +203,9 @@ exports.deletePost = async (req, res) => {
 // Edit post content (Admin/Moderator only)
 exports.editPost = async (req, res) => {
   try {
-    const { postId, content, reason } = req.body;
+    const { content, reason } = req.body;
 
-    const post = await GroupPost.findById(postId);
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
-
-    // Check permissions
-    const hasGlobalPermission = await UserRole.userHasPermission(req.user._id, 'moderate_posts');
-    const groupMembership = await GroupMembership.findOne({
-      groupId: post.groupId,
-      userId: req.user._id,
-      status: 'active',
-      role: { $in: ['admin', 'moderator'] }
-    });
-
-    if (!hasGlobalPermission && !groupMembership) {
-      return res.status(403).json({ error: 'Access denied. Moderation privileges required.' });
-    }
+    const post = req.resource;
 
     // Store edit history
     post.editHistory.push({
@@ -293,19 +234,6 @@ exports.getBannedUsers = async (req, res) => {
     const { groupId } = req.params;
     const { page = 1, limit = 20 } = req.query;
 
-    // Check permissions
-    const hasGlobalPermission = await UserRole.userHasPermission(req.user._id, 'view_reports');
-    const groupMembership = await GroupMembership.findOne({
-      groupId,
-      userId: req.user._id,
-      status: 'active',
-      role: { $in: ['admin', 'moderator'] }
-    });
-
-    if (!hasGlobalPermission && !groupMembership) {
-      return res.status(403).json({ error: 'Access denied. Moderation privileges required.' });
-    }
-
     const bannedUsers = await GroupMembership.find({
       groupId,
       status: 'banned'
@@ -2,63 +2,63 @@ const express = require('express');
 const router = express.Router();
 const moderationController = require('./moderationController');
 const auth = require('../middleware/auth');
-const { requireAdmin, requirePermission, canModeratePost } = require('../middleware/authorization');
+const { authorize, loadGroup, loadGroupPost } = require('../middleware/authorize');
 
 // Reported content management
 router.get('/reports', 
   auth, 
-  requirePermission('view_reports'), 
+  authorize('view_reports'), 
   moderationController.getReportedContent
 );
 
 router.post('/reports/:contentType/:contentId/review', 
   auth, 
-  requirePermission('moderate_posts'), 
+  authorize('moderate_posts', loadGroupPost('contentId')), 
   moderationController.reviewReport
 );
 
 // User moderation
 router.post('/ban-user', 
   auth, 
-  canModeratePost, 
+  authorize('ban_users', loadGroup('groupId', 'body')), 
   moderationController.banUserFromGroup
 );
 
 router.post('/unban-user', 
   auth, 
-  canModeratePost, 
+  authorize('ban_users', loadGroup('groupId', 'body')), 
   moderationController.unbanUserFromGroup
 );
 
 router.get('/banned-users/:groupId', 
   auth, 
-  requirePermission('view_reports'), 
+  authorize('view_reports', loadGroup('groupId')), 
   moderationController.getBannedUsers
 );
 
 // Content moderation
 router.post('/delete-post', 
   auth, 
-  canModeratePost, 
+  authorize('moderate_posts', loadGroupPost('postId', 'body')), 
   moderationController.deletePost
 );
 
 router.post('/edit-post', 
   auth, 
-  canModeratePost, 
+  authorize('moderate_posts', loadGroupPost('postId', 'body')), 
   moderationController.editPost
 );
 
 // Moderation logs and statistics (Admin only)
 router.get('/logs', 
   auth, 
-  requireAdmin, 
+  authorize('view_moderation_logs'), 
   moderationController.getModerationLogs
 );
 
 router.get('/stats', 
   auth, 
-  requireAdmin, 
+  authorize('view_moderation_logs'), 
   moderationController.getModerationStats
 );
 
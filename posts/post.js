@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { AGE_BAND_KEYS } = require('../users/ageBands');
 
 const postSchema = new mongoose.Schema({
   postId: {
@@ -61,6 +62,11 @@ const postSchema = new mongoose.Schema({
     enum: ['thought', 'photo', 'video'],
     required: true
   },
+  // Children's age bands the post is relevant to
+  ageBands: [{
+    type: String,
+    enum: AGE_BAND_KEYS
+  }],
   likes: [{
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -108,6 +114,8 @@ postSchema.index({ authorId: 1, createdAt: -1 });
 postSchema.index({ category: 1, createdAt: -1 });
 postSchema.index({ postType: 1, createdAt: -1 });
 postSchema.index({ createdAt: -1 });
+postSchema.index({ ageBands: 1, createdAt: -1 });
+postSchema.index({ content: 'text' });
 
 // // Virtual for like count
 // postSchema.virtual('likeCount').get(function() {
@@ -5,6 +5,17 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const mongoose = require('mongoose');
+const { parseAgeBandFilter } = require('../users/ageBands');
+const { maskUser } = require('../users/profilePrivacy');
+
+// Comments left after dropping those by users in `hiddenUserSet` (blocks)
+const filterHiddenComments = (comments, hiddenUserSet) => {
+  if (hiddenUserSet.size === 0) return comments || [];
+  return (comments || []).filter(comment => {
+    const commenterId = comment.userId && (comment.userId._id || comment.userId);
+    return !commenterId || !hiddenUserSet.has(commenterId.toString());
+  });
+};
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -50,7 +61,7 @@ const upload = multer({
 // Create a new post
 exports.createPost = async (req, res) => {
   try {
-    const { authorId, content, category, mediaType, mediaUrl, mediaSize, postType } = req.body;
+    const { authorId, content, category, mediaType, mediaUrl, mediaSize, postType, ageBands } = req.body;
     
     // Validate required fields
     if (!authorId || !category || !postType) {
@@ -107,7 +118,8 @@ exports.createPost = async (req, res) => {
       mediaType: mediaType || '',
       mediaUrl: mediaUrl || '',
       mediaSize: mediaSize || 0,
-      postType
+      postType,
+      ageBands: Array.isArray(ageBands) ? ageBands : []
     });
 
     const savedPost = await newPost.save();
@@ -194,11 +206,30 @@ exports.getAllPosts = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
+    const filter = { isActive: true };
+    const ageBands = parseAgeBandFilter(req.query.ageBand, req.user);
+    if (ageBands) filter.ageBands = { $in: ageBands };
+
+    // "following" feed: only posts from people the user follows
+    if (req.query.feed === 'following') {
+      if (!req.user) {
+        return res.status(401).json({ success: false, message: 'Login required for the following feed' });
+      }
+      filter.authorId = { $in: req.user.following };
+    }
+
+    // Hide posts and comments from blocked users in both directions
+    const hiddenUserIds = req.user ? await User.getHiddenUserIds(req.user._id) : [];
+    if (hiddenUserIds.length > 0) {
+      filter.authorId = { ...filter.authorId, $nin: hiddenUserIds };
+    }
+    const hiddenUserSet = new Set(hiddenUserIds.map(id => id.toString()));
+
     // console.log('=== DEBUGGING POST RETRIEVAL ===');
     // console.log('Fetching posts with pagination:', { page, limit, skip });
 
     // Step 1: Check raw posts without populate
-    const rawPosts = await Post.find({ isActive: true })
+    const rawPosts = await Post.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -219,10 +250,10 @@ exports.getAllPosts = async (req, res) => {
     // console.log('Existing users found:', existingUsers);
 
     // Step 3: Try populate with better error handling
-    const posts = await Post.find({ isActive: true })
+    const posts = await Post.find(filter)
       .populate({
         path: 'authorId',
-        select: 'name email avatar bio',
+        select: 'name email avatar bio privacySettings',
         options: { strictPopulate: false }
       })
       .populate('comments.userId', 'name avatar')
@@ -241,6 +272,10 @@ exports.getAllPosts = async (req, res) => {
     //   });
     // });
 
+    posts.forEach(post => {
+      post.comments = filterHiddenComments(post.comments, hiddenUserSet);
+    });
+
     // Step 4: Manual population for null authors (fallback)
     const processedPosts = await Promise.all(posts.map(async (post) => {
       if (!post.authorId && post.authorId !== null) {
@@ -248,8 +283,9 @@ exports.getAllPosts = async (req, res) => {
         const rawPost = rawPosts.find(rp => rp._id.toString() === post._id.toString());
         if (rawPost && rawPost.authorId) {
           try {
-            const author = await User.findById(rawPost.authorId).select('name email avatar bio').lean();
+            const author = await User.findById(rawPost.authorId).select('name email avatar bio privacySettings').lean();
             if (author) {
+              maskUser(author, req.user);
               console.log(`Manual population successful for post ${post._id}`);
               return { ...post, authorId: author };
             }
@@ -258,10 +294,11 @@ exports.getAllPosts = async (req, res) => {
           }
         }
       }
+      maskUser(post.authorId, req.user);
       return post;
     }));
 
-    const totalPosts = await Post.countDocuments({ isActive: true });
+    const totalPosts = await Post.countDocuments(filter);
     const totalPages = Math.ceil(totalPosts / limit);
 
     // console.log('=== FINAL RESPONSE ===');
@@ -345,11 +382,25 @@ exports.getPostsByCategory = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const posts = await Post.getPostsWithAuthor({ category })
+    // Hide posts and comments from blocked users in both directions
+    const hiddenUserIds = req.user ? await User.getHiddenUserIds(req.user._id) : [];
+    const hiddenUserSet = new Set(hiddenUserIds.map(id => id.toString()));
+    const filter = { category, isActive: true };
+    if (hiddenUserIds.length > 0) filter.authorId = { $nin: hiddenUserIds };
+
+    const posts = await Post.find(filter)
+      .populate('authorId', 'name email avatar privacySettings')
+      .populate('comments.userId', 'name avatar')
+      .sort({ createdAt: -1 })
       .skip(skip)
-      .limit(limit);
+      .limit(limit)
+      .lean();
+    posts.forEach(post => {
+      maskUser(post.authorId, req.user);
+      post.comments = filterHiddenComments(post.comments, hiddenUserSet);
+    });
 
-    const totalPosts = await Post.countDocuments({ category, isActive: true });
+    const totalPosts = await Post.countDocuments(filter);
     const totalPages = Math.ceil(totalPosts / limit);
 
     res.status(200).json({
@@ -383,9 +434,28 @@ exports.getUserPosts = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const posts = await Post.getPostsWithAuthor({ authorId: userId })
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user id' });
+    }
+    // Blocked users do not see each other's posts
+    if (req.user && await User.isBlockedBetween(req.user._id, userId)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    const hiddenUserSet = new Set(
+      (req.user ? await User.getHiddenUserIds(req.user._id) : []).map(id => id.toString())
+    );
+
+    const posts = await Post.find({ authorId: userId, isActive: true })
+      .populate('authorId', 'name email avatar privacySettings')
+      .populate('comments.userId', 'name avatar')
+      .sort({ createdAt: -1 })
       .skip(skip)
-      .limit(limit);
+      .limit(limit)
+      .lean();
+    posts.forEach(post => {
+      maskUser(post.authorId, req.user);
+      post.comments = filterHiddenComments(post.comments, hiddenUserSet);
+    });
 
     const totalPosts = await Post.countDocuments({ authorId: userId, isActive: true });
     const totalPages = Math.ceil(totalPosts / limit);
@@ -419,19 +489,27 @@ exports.getPostById = async (req, res) => {
     const { postId } = req.params;
 
     const post = await Post.findOne({ postId, isActive: true })
-      .populate('authorId', 'name email avatar')
+      .populate('authorId', 'name email avatar privacySettings')
       .populate('comments.userId', 'name avatar');
 
-    if (!post) {
+    const authorId = post && post.authorId && (post.authorId._id || post.authorId);
+    if (!post || (req.user && authorId && await User.isBlockedBetween(req.user._id, authorId))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
       });
     }
 
+    const hiddenUserSet = new Set(
+      (req.user ? await User.getHiddenUserIds(req.user._id) : []).map(id => id.toString())
+    );
+    const postObj = post.toJSON();
+    maskUser(postObj.authorId, req.user);
+    postObj.comments = filterHiddenComments(postObj.comments, hiddenUserSet);
+
     res.status(200).json({
       success: true,
-      post
+      post: postObj
     });
 
   } catch (error) {
@@ -688,8 +766,11 @@ exports.getComments = async (req, res) => {
     const post = await Post.findOne({ postId, isActive: true })
       .populate('comments.userId', 'name avatar')
       .lean();
-    
-    if (!post) {
+
+    // Blocked users, in either direction, see neither the post nor each other's comments
+    const hiddenUserIds = req.user ? await User.getHiddenUserIds(req.user._id) : [];
+    const hiddenUserSet = new Set(hiddenUserIds.map(id => id.toString()));
+    if (!post || (post.authorId && hiddenUserSet.has(post.authorId.toString()))) {
       return res.status(404).json({ 
         success: false, 
         message: 'Post not found' 
@@ -697,7 +778,7 @@ exports.getComments = async (req, res) => {
     }
 
     // Transform comments to frontend format and sort by newest first
-    const transformedComments = post.comments
+    const transformedComments = filterHiddenComments(post.comments, hiddenUserSet)
       .map(comment => ({
         _id: comment._id,
         comment: comment.content, // Map content to comment
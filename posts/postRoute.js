@@ -2,22 +2,24 @@ const express = require('express');
 const router = express.Router();
 const postController = require('./postController');
 const authMiddleware = require('../middleware/auth');
+const { optionalAuth } = require('../middleware/authorization');
+const rateLimiters = require('../middleware/rateLimiters');
 
 // ✅ Public routes
-router.get('/', postController.getAllPosts); // Feed
-router.get('/category/:category', postController.getPostsByCategory);
-router.get('/user/:userId', postController.getUserPosts);
-router.get('/:postId', postController.getPostById);
+router.get('/', optionalAuth, postController.getAllPosts); // Feed (optional auth for ageBand=mine)
+router.get('/category/:category', optionalAuth, postController.getPostsByCategory);
+router.get('/user/:userId', optionalAuth, postController.getUserPosts);
+router.get('/:postId', optionalAuth, postController.getPostById);
 router.get('/:postId/like-status/:userId', postController.getLikeStatus); // Like status
-router.get('/:postId/comments', postController.getComments); // Get all comments for a post
+router.get('/:postId/comments', optionalAuth, postController.getComments); // Get all comments for a post
 
 // ✅ Protected routes
-router.post('/', authMiddleware, postController.createPost);
+router.post('/', authMiddleware, rateLimiters.createPost, postController.createPost);
 router.post('/upload', authMiddleware, postController.uploadMedia, postController.handleMediaUpload);
 router.put('/:postId', authMiddleware, postController.updatePost);
 router.delete('/:postId', authMiddleware, postController.deletePost);
 router.post('/:postId/like', authMiddleware, postController.toggleLike);
-router.post('/:postId/comment', authMiddleware, postController.addComment);
+router.post('/:postId/comment', authMiddleware, rateLimiters.comment, postController.addComment);
 
 
 module.exports = router;
\ No newline at end of file
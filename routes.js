@@ -1,20 +1,58 @@
 const express = require("express");
 const router = express.Router();
 // const connectToMongoDB = require("./config");
-const communityRoute = require("./main/parenting/communities/communityRoute");
-const groupRoute = require("./main/parenting/groups/groupRoute");
-const groupPostRoute = require("./main/parenting/groups/groupPostRoute");
-const expertApplicationRoute=require("./main/parenting/expert-application/expertApplicationRoute")
+const deprecatedAlias = require("./middleware/deprecatedAlias");
+
+const API_PREFIX = "/api/v1/parenting";
+const LEGACY_PREFIX = "/api/parenting";
+
+// Every module router is mounted under API_PREFIX. Entries marked `legacy`
+// were served from LEGACY_PREFIX before versioning and keep that path as a
+// deprecated alias.
+const routeRegistry = [
+  { path: "/communities", module: "./communities/communityRoute", legacy: true },
+  { path: "/groups", module: "./groups/groupRoute", legacy: true },
+  { path: "/group-posts", module: "./groups/groupPostRoute", legacy: true },
+  { path: "/expert-application", module: "./expert-application/expertApplicationRoute", legacy: true },
+  { path: "/posts", module: "./posts/postRoute" },
+  { path: "/events", module: "./events/eventRoute" },
+  { path: "/moderation", module: "./moderation/moderationRoute" },
+  { path: "/roles", module: "./users/userRoleRoute" },
+  { path: "/users", module: "./users/parentUserRoute" },
+  { path: "/search", module: "./search/searchRoute" }
+];
+
+// Resolve a route module up front so a bad registry entry stops the boot
+// instead of surfacing later as a 404.
+const loadRouteModule = (modulePath) => {
+  let resolvedPath;
+  try {
+    resolvedPath = require.resolve(modulePath);
+  } catch (err) {
+    throw new Error(`Route module "${modulePath}" not found. Check the route registry in routes.js.`);
+  }
+
+  const routeModule = require(resolvedPath);
+  if (typeof routeModule !== "function") {
+    throw new Error(`Route module "${modulePath}" does not export an Express router.`);
+  }
+  return routeModule;
+};
 
 router.get("/api", async (req, res) => {
   // root connection
-  res.json({ message: "Hello from SkipCry API!" });
+  res.json({ message: "Hello from SkipCry API!", version: "v1", basePath: API_PREFIX });
   // connectToMongoDB();
 });
 
-router.use("/api/parenting/communities", communityRoute);
-router.use("/api/parenting/groups", groupRoute);
-router.use("/api/parenting/group-posts", groupPostRoute);
-router.use("/api/parenting/expert-application",expertApplicationRoute)
+routeRegistry.forEach(({ path, module, legacy }) => {
+  const moduleRouter = loadRouteModule(module);
+  router.use(`${API_PREFIX}${path}`, moduleRouter);
+  if (legacy) {
+    router.use(`${LEGACY_PREFIX}${path}`, deprecatedAlias(`${API_PREFIX}${path}`), moduleRouter);
+  }
+});
 
 module.exports = router;
+module.exports.API_PREFIX = API_PREFIX;
+module.exports.routeRegistry = routeRegistry;
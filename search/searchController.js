@@ -0,0 +1,49 @@
+const SearchService = require('../services/searchService');
+
+const MAX_LIMIT = 50;
+
+// Parse a from/to query value; undefined when absent, null when invalid
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Search groups, group posts, posts and events
+exports.search = async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (q.length < 2 || q.length > 100) {
+      return res.status(400).json({ error: 'q must be between 2 and 100 characters' });
+    }
+
+    const types = req.query.type
+      ? [...new Set(String(req.query.type).split(',').map(type => type.trim()).filter(Boolean))]
+      : SearchService.SEARCH_TYPES;
+    const unknown = types.filter(type => !SearchService.SEARCH_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown type: ${unknown.join(', ')}. Use ${SearchService.SEARCH_TYPES.join(', ')}` });
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_LIMIT);
+    if (page * limit > SearchService.MAX_RESULT_WINDOW) {
+      return res.status(400).json({ error: `Only the first ${SearchService.MAX_RESULT_WINDOW} results can be paged through; refine the search` });
+    }
+
+    const tag = typeof req.query.tag === 'string' && req.query.tag.trim() ? req.query.tag.trim() : undefined;
+    const result = await SearchService.search(
+      { q, types, tag, from, to, page, limit },
+      req.user
+    );
+    res.json({ query: q, ...result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
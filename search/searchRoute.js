@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('./searchController');
+const { optionalAuth } = require('../middleware/authorization');
+
+// Unified search; logged-in users also see content of their Private/Secret groups
+router.get('/', optionalAuth, searchController.search);
+
+module.exports = router;
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../users/parentUser');
+const Session = require('../users/session');
+const UserToken = require('../users/userToken');
+const UserRole = require('../users/userRole');
+const OtpChallenge = require('../users/otpChallenge');
+const GroupMembership = require('../groups/groupMembership');
+const Group = require('../groups/group');
+const GroupPost = require('../groups/groupPost');
+const Post = require('../posts/post');
+const Event = require('../events/event');
+const ExpertApplication = require('../expert-application/expertApplication');
+const RoleCache = require('./roleCache');
+const RoleAssignmentService = require('./roleAssignmentService');
+const CommunityMembershipService = require('./communityMembershipService');
+const AnnouncementService = require('./announcementService');
+const PollService = require('./pollService');
+const CommunityMembership = require('../communities/communityMembership');
+const { ACCOUNT_DELETION_GRACE_DAYS } = require('../constants');
+
+const DELETED_USER_NAME = 'Deleted user';
+const AVATAR_UPLOAD_DIR = 'uploads/avatar';
+
+/**
+ * Account Deletion Service
+ * Schedules account deletion with a grace period, purges accounts once it has
+ * passed and builds the data export bundle. Purged users keep their document
+ * (so authored content still resolves) but it is scrubbed to "Deleted user".
+ */
+class AccountDeletionService {
+
+  /**
+   * Schedule a user's account for deletion after the grace period
+   * @param {string} userId - ParentUser id
+   * @returns {Promise<Date>} When the account will be purged
+   */
+  static async requestDeletion(userId) {
+    const now = new Date();
+    const deletionScheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await User.updateOne(
+      { _id: userId },
+      { $set: { deletionRequestedAt: now, deletionScheduledFor } }
+    );
+    return deletionScheduledFor;
+  }
+
+  /**
+   * Cancel a pending deletion request
+   * @param {string} userId - ParentUser id
+   */
+  static async cancelDeletion(userId) {
+    await User.updateOne(
+      { _id: userId },
+      { $unset: { deletionRequestedAt: '', deletionScheduledFor: '' } }
+    );
+  }
+
+  /**
+   * Delete an uploaded avatar file. External URLs are ignored.
+   * @param {string} avatar - Avatar URL stored on the user
+   */
+  static async removeAvatarFile(avatar) {
+    if (!avatar || !avatar.startsWith(`/${AVATAR_UPLOAD_DIR}/`)) return;
+
+    const filePath = path.join(AVATAR_UPLOAD_DIR, path.basename(avatar));
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  /**
+   * Permanently anonymise a user. Authored posts, group posts and comments
+   * stay but show as "Deleted user"; memberships, sessions and tokens are
+   * removed and roles are deactivated.
+   * @param {string} userId - ParentUser id
+   * @returns {Promise<boolean>} True if the user was purged
+   */
+  static async purgeUser(userId) {
+    const user = await User.findById(userId);
+    if (!user || user.deletedAt) return false;
+
+    const avatar = user.avatar;
+    const phone = user.phone;
+
+    // Event comments and feedback store a copy of the author's name/avatar
+    await Promise.all([
+      Event.updateMany(
+        { 'comments.userId': user._id },
+        { $set: { 'comments.$[c].authorName': DELETED_USER_NAME, 'comments.$[c].authorAvatar': '' } },
+        { arrayFilters: [{ 'c.userId': user._id }] }
+      ),
+      Event.updateMany(
+        { 'feedback.userId': user._id },
+        { $set: { 'feedback.$[f].authorName': DELETED_USER_NAME, 'feedback.$[f].authorAvatar': '' } },
+        { arrayFilters: [{ 'f.userId': user._id }] }
+      ),
+      // Withdraw RSVPs from events that have not happened yet
+      Event.updateMany(
+        { date: { $gte: new Date() }, 'attendees.userId': user._id },
+        { $pull: { attendees: { userId: user._id } } }
+      )
+    ]);
+
+    // Decrement community and group counters, so runs before the bulk deletes
+    await CommunityMembershipService.removeUser(user._id);
+    await AccountDeletionService.removeGroupMemberships(user._id);
+
+    await Promise.all([
+      // Deactivated and audited rather than deleted; ends their delegations too
+      RoleAssignmentService.removeUser(user._id),
+      UserToken.deleteMany({ userId: user._id }),
+      AnnouncementService.removeUser(user._id),
+      PollService.removeUser(user._id),
+      Session.revokeAllForUser(user._id, 'account_deleted'),
+      phone ? OtpChallenge.deleteOne({ phone }) : Promise.resolve(),
+      User.updateMany(
+        { $or: [{ followers: user._id }, { following: user._id }, { blockedUsers: user._id }] },
+        { $pull: { followers: user._id, following: user._id, blockedUsers: user._id } }
+      )
+    ]);
+
+    // Scrub the user document itself; bypasses validation as email/password go away
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          name: DELETED_USER_NAME,
+          avatar: '',
+          bio: '',
+          location: '',
+          children: [],
+          joinedGroups: [],
+          followers: [],
+          following: [],
+          blockedUsers: [],
+          emailVerified: false,
+          phoneVerified: false,
+          deletedAt: new Date()
+        },
+        $unset: {
+          email: '',
+          phone: '',
+          password: '',
+          emailVerifiedAt: '',
+          phoneVerifiedAt: '',
+          deletionRequestedAt: '',
+          deletionScheduledFor: '',
+          privacySettings: ''
+        }
+      }
+    );
+
+    RoleCache.invalidateUser(user._id);
+    await AccountDeletionService.removeAvatarFile(avatar);
+    return true;
+  }
+
+  /**
+   * Remove every group membership of a user, taking active ones out of the
+   * group's memberCount the way leaving a group does
+   * @param {string} userId - ParentUser id
+   */
+  static async removeGroupMemberships(userId) {
+    const memberships = await GroupMembership.find({ userId }).select('groupId status').lean();
+    for (const membership of memberships) {
+      const removed = await GroupMembership.findOneAndDelete({ _id: membership._id }).lean();
+      if (removed && removed.status === 'active') {
+        await Group.updateOne(
+          { _id: removed.groupId, memberCount: { $gt: 0 } },
+          { $inc: { memberCount: -1 } }
+        );
+      }
+      RoleCache.invalidateMembership(userId, membership.groupId);
+    }
+  }
+
+  /**
+   * Purge every account whose grace period has passed
+   * @returns {Promise<number>} Number of purged accounts
+   */
+  static async purgeDueAccounts() {
+    const dueUsers = await User.find({
+      deletionScheduledFor: { $lte: new Date() },
+      deletedAt: null
+    }).select('_id');
+
+    let purged = 0;
+    for (const { _id } of dueUsers) {
+      try {
+        if (await AccountDeletionService.purgeUser(_id)) purged++;
+      } catch (err) {
+        console.error(`Failed to purge account ${_id}:`, err);
+      }
+    }
+    return purged;
+  }
+
+  /**
+   * Collect everything a user authored or is a member of
+   * @param {string} userId - ParentUser id
+   * @returns {Promise<Object>} Export bundle
+   */
+  static async buildExport(userId) {
+    const user = await User.findById(userId).select('-password -blockedUsers').lean();
+    if (!user) return null;
+
+    const [
+      posts,
+      postsWithComments,
+      groupPosts,
+      groupPostsWithComments,
+      eventsHosted,
+      eventsWithActivity,
+      groupMemberships,
+      communityMemberships,
+      roles,
+      expertApplications,
+      sessions
+    ] = await Promise.all([
+      Post.find({ authorId: userId }).select('-likes -comments').lean(),
+      Post.find({ 'comments.userId': userId }).select('comments').lean(),
+      GroupPost.find({ authorId: userId }).select('-likes -bookmarks -comments -reports').lean(),
+      GroupPost.find({ 'comments.userId': userId }).select('comments').lean(),
+      Event.find({ host: userId }).select('-attendees -comments -feedback').lean(),
+      Event.find({
+        $or: [{ 'attendees.userId': userId }, { 'comments.userId': userId }, { 'feedback.userId': userId }]
+      }).select('title date attendees comments feedback').lean(),
+      GroupMembership.find({ userId }).populate('groupId', 'title').lean(),
+      CommunityMembership.find({ userId }).populate('communityId', 'title').lean(),
+      UserRole.find({ userId }).lean(),
+      ExpertApplication.find({ userId }).lean(),
+      Session.find({ userId }).select('-refreshTokenHash').lean()
+    ]);
+
+    const isMine = (entry) => entry.userId && entry.userId.toString() === userId.toString();
+
+    return {
+      exportedAt: new Date(),
+      profile: user,
+      posts,
+      postComments: postsWithComments.flatMap(post =>
+        post.comments.filter(isMine).map(comment => ({ ...comment, postId: post._id }))
+      ),
+      groupPosts,
+      groupPostComments: groupPostsWithComments.flatMap(post =>
+        post.comments.filter(isMine).map(comment => ({ ...comment, postId: post._id }))
+      ),
+      eventsHosted,
+      eventRsvps: eventsWithActivity.flatMap(event =>
+        event.attendees.filter(isMine).map(rsvp => ({ ...rsvp, eventId: event._id, eventTitle: event.title, eventDate: event.date }))
+      ),
+      eventComments: eventsWithActivity.flatMap(event =>
+        event.comments.filter(isMine).map(comment => ({ ...comment, eventId: event._id, eventTitle: event.title }))
+      ),
+      eventFeedback: eventsWithActivity.flatMap(event =>
+        event.feedback.filter(isMine).map(feedback => ({ ...feedback, eventId: event._id, eventTitle: event.title }))
+      ),
+      groupMemberships,
+      communityMemberships,
+      roles,
+      expertApplications,
+      sessions
+    };
+  }
+}
+
+AccountDeletionService.DELETED_USER_NAME = DELETED_USER_NAME;
+
+module.exports = AccountDeletionService;
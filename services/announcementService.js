@@ -0,0 +1,150 @@
+const CommunityAnnouncement = require('../communities/communityAnnouncement');
+const AnnouncementReceipt = require('../communities/announcementReceipt');
+const Group = require('../groups/group');
+const GroupMembership = require('../groups/groupMembership');
+const PolicyEngine = require('./policyEngine');
+const RoleCache = require('./roleCache');
+const CommunityMembershipService = require('./communityMembershipService');
+
+// Most announcements shown above a group feed at once
+const FEED_ANNOUNCEMENT_LIMIT = 5;
+
+/**
+ * Announcement Service
+ * Community announcements for group feeds, and per-user read and dismiss
+ * receipts. CommunityAnnouncement.readCount / dismissCount move only when a
+ * receipt changes, so repeated calls do not count a user twice.
+ */
+class AnnouncementService {
+
+  // Announcements of a community that are live now
+  static liveFilter(communityId, now = new Date()) {
+    return {
+      communityId,
+      isDeleted: false,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    };
+  }
+
+  /**
+   * Whether a user is in the audience of a community's announcements: its
+   * members and followers, and anyone who can read posts in one of its groups
+   * @param {Object} user - ParentUser
+   * @param {string} communityId - Community id
+   * @param {Map} [requestCache] - From RoleCache.forRequest()
+   * @returns {Promise<boolean>}
+   */
+  static async isInAudience(user, communityId, requestCache = null) {
+    const status = await CommunityMembershipService.getStatus(user._id, communityId);
+    if (status === 'member' || status === 'follower') return true;
+
+    const communityScope = await PolicyEngine.resolveScope({ communityId });
+    if (!communityScope) return false;
+    if (await PolicyEngine.can(user, 'view_group_posts', communityScope, requestCache)) return true;
+
+    // Groups where the user has a membership or a group-scoped role
+    const groupIds = await Group.find({ communityId }).distinct('_id');
+    if (groupIds.length === 0) return false;
+    const memberGroupIds = await GroupMembership.find({ userId: user._id, status: 'active', groupId: { $in: groupIds } })
+      .distinct('groupId');
+    const roleGroupIds = (await RoleCache.getUserRoles(user._id, requestCache))
+      .filter(role => role.groupId)
+      .map(role => role.groupId);
+    const communityGroupIds = new Set(groupIds.map(String));
+    const candidates = [...new Set([...memberGroupIds, ...roleGroupIds].map(String))]
+      .filter(groupId => communityGroupIds.has(groupId));
+
+    for (const groupId of candidates) {
+      const scope = await PolicyEngine.resolveScope({ groupId });
+      if (scope && await PolicyEngine.can(user, 'view_group_posts', scope, requestCache)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Live announcements to pin above a group feed, newest first. For a
+   * logged-in user, dismissed ones are left out and the rest carry isRead.
+   * @param {string} communityId - Community of the group
+   * @param {string} [userId] - Viewer, if logged in
+   * @returns {Promise<Array>}
+   */
+  static async getFeedAnnouncements(communityId, userId = null) {
+    const announcements = await CommunityAnnouncement.find(AnnouncementService.liveFilter(communityId))
+      .select('communityId authorId title body mediaUrls expiresAt createdAt updatedAt')
+      .populate('authorId', 'name avatar')
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+    if (announcements.length === 0) return [];
+
+    const receipts = userId
+      ? await AnnouncementReceipt.find({ userId, announcementId: { $in: announcements.map(announcement => announcement._id) } }).lean()
+      : [];
+    const receiptById = new Map(receipts.map(receipt => [receipt.announcementId.toString(), receipt]));
+
+    return announcements
+      .filter(announcement => {
+        const receipt = receiptById.get(announcement._id.toString());
+        return !receipt || !receipt.dismissedAt;
+      })
+      .slice(0, FEED_ANNOUNCEMENT_LIMIT)
+      .map(announcement => ({
+        ...announcement,
+        id: announcement._id,
+        isAnnouncement: true,
+        isRead: receiptById.has(announcement._id.toString())
+      }));
+  }
+
+  /**
+   * Record that a user read an announcement
+   * @returns {Promise<boolean>} False if it was already read
+   */
+  static async markRead(announcementId, userId) {
+    try {
+      const previous = await AnnouncementReceipt.findOneAndUpdate(
+        { announcementId, userId },
+        { $setOnInsert: { readAt: new Date() } },
+        { upsert: true, new: false }
+      ).lean();
+      if (previous) return false;
+    } catch (err) {
+      // Read by a concurrent request
+      if (err.code === 11000) return false;
+      throw err;
+    }
+
+    await CommunityAnnouncement.updateOne({ _id: announcementId }, { $inc: { readCount: 1 } });
+    return true;
+  }
+
+  /**
+   * Hide an announcement from a user's feeds; also marks it read
+   * @returns {Promise<boolean>} False if it was already dismissed
+   */
+  static async dismiss(announcementId, userId) {
+    await AnnouncementService.markRead(announcementId, userId);
+    const result = await AnnouncementReceipt.updateOne(
+      { announcementId, userId, dismissedAt: null },
+      { $set: { dismissedAt: new Date() } }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    await CommunityAnnouncement.updateOne({ _id: announcementId }, { $inc: { dismissCount: 1 } });
+    return true;
+  }
+
+  // Remove a community's announcements and their receipts (community purge)
+  static async removeForCommunity(communityId) {
+    const announcementIds = await CommunityAnnouncement.find({ communityId }).distinct('_id');
+    await AnnouncementReceipt.deleteMany({ announcementId: { $in: announcementIds } });
+    await CommunityAnnouncement.deleteMany({ communityId });
+  }
+
+  // Remove a user's receipts (account purge); the counts are left as they are
+  static removeUser(userId) {
+    return AnnouncementReceipt.deleteMany({ userId });
+  }
+}
+
+module.exports = AnnouncementService;
@@ -0,0 +1,301 @@
+const Community = require('../communities/community');
+const CommunityMembership = require('../communities/communityMembership');
+const CustomRole = require('../communities/customRole');
+const Group = require('../groups/group');
+const GroupMembership = require('../groups/groupMembership');
+const GroupPost = require('../groups/groupPost');
+const UserRole = require('../users/userRole');
+const User = require('../users/parentUser');
+const ExpertApplication = require('../expert-application/expertApplication');
+const Event = require('../events/event');
+const RoleCache = require('./roleCache');
+const RoleAuditService = require('./roleAuditService');
+const CommunityOverviewService = require('./communityOverviewService');
+const AnnouncementService = require('./announcementService');
+const PollService = require('./pollService');
+const { COMMUNITY_RETENTION_DAYS } = require('../constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ROLE_FIELDS = '_id userId role customRoleId communityId groupId permissions validUntil delegatedFrom';
+
+class CommunityLifecycleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CommunityLifecycleError';
+    this.status = status;
+  }
+}
+
+// UserRoles scoped to a community or to one of its groups
+const scopedRoleFilter = (communityId, groupIds) => ({
+  $or: [{ communityId }, { groupId: { $in: groupIds } }]
+});
+
+/**
+ * Community Lifecycle Service
+ * Archives, soft-deletes, restores and purges communities. Archiving makes a
+ * community and its groups read-only (see PolicyEngine.getReadOnlyReason);
+ * deleting also hides them and their posts and suspends every role scoped to
+ * them. Both are undone by restore() until the community is purged, which
+ * happens COMMUNITY_RETENTION_DAYS after it was deleted.
+ */
+class CommunityLifecycleService {
+
+  /**
+   * Make a community and its groups read-only
+   * @param {Object} community - Community document
+   * @param {Object} actor - ParentUser archiving it
+   * @returns {Promise<Object>} { groups } - Number of groups archived with it
+   */
+  static async archive(community, actor) {
+    if (community.status !== 'active') {
+      throw new CommunityLifecycleError(`Community is already ${community.status}`);
+    }
+
+    const now = new Date();
+    community.set({ status: 'archived', archivedAt: now, archivedBy: actor._id });
+    await community.save();
+
+    const groups = await CommunityLifecycleService.cascadeToGroups(community._id, ['active', 'inactive'], {
+      status: 'archived',
+      archivedAt: now
+    });
+    CommunityOverviewService.invalidate(community._id);
+    return { groups };
+  }
+
+  /**
+   * Hide a community, delete its groups and suspend the roles scoped to it.
+   * Everything is kept until the purge job runs after COMMUNITY_RETENTION_DAYS.
+   * @param {Object} community - Community document
+   * @param {Object} actor - ParentUser deleting it
+   * @param {string} [reason] - Recorded with the suspended roles
+   * @returns {Promise<Object>} { groups, roles, purgeAfter }
+   */
+  static async softDelete(community, actor, reason) {
+    if (community.status === 'deleted') {
+      throw new CommunityLifecycleError('Community is already deleted');
+    }
+
+    const now = new Date();
+    community.set({
+      status: 'deleted',
+      isActive: false,
+      deletedAt: now,
+      deletedBy: actor._id,
+      purgeAfter: new Date(now.getTime() + COMMUNITY_RETENTION_DAYS * DAY_MS)
+    });
+    await community.save();
+
+    const groups = await CommunityLifecycleService.cascadeToGroups(community._id, ['active', 'inactive', 'archived'], {
+      status: 'deleted',
+      isActive: false,
+      deletedAt: now,
+      deletedBy: actor._id
+    });
+    const roles = await CommunityLifecycleService.suspendRoles(community._id, actor, reason);
+    CommunityOverviewService.invalidate(community._id);
+    return { groups, roles, purgeAfter: community.purgeAfter };
+  }
+
+  /**
+   * Bring an archived or deleted community back, with the groups and roles
+   * the archive/delete cascade changed
+   * @param {Object} community - Community document
+   * @param {Object} actor - ParentUser restoring it
+   * @returns {Promise<Object>} { groups, roles }
+   */
+  static async restore(community, actor) {
+    if (community.status === 'active') {
+      throw new CommunityLifecycleError('Community is not archived or deleted');
+    }
+
+    community.set({
+      status: 'active',
+      isActive: true,
+      archivedAt: undefined,
+      archivedBy: undefined,
+      deletedAt: undefined,
+      deletedBy: undefined,
+      purgeAfter: null
+    });
+    await community.save();
+
+    const groups = await CommunityLifecycleService.restoreGroups(community._id);
+    const roles = await CommunityLifecycleService.reinstateRoles(community._id, actor);
+    CommunityOverviewService.invalidate(community._id);
+    return { groups, roles };
+  }
+
+  // Move the community's groups in one of `from` statuses to a new status,
+  // remembering the status they had before the first cascade
+  static async cascadeToGroups(communityId, from, update) {
+    const groups = await Group.find({ communityId, status: { $in: from } })
+      .select('status isActive beforeCommunityStatus')
+      .lean();
+    if (groups.length === 0) return 0;
+
+    await Group.bulkWrite(groups.map(group => ({
+      updateOne: {
+        filter: { _id: group._id },
+        update: {
+          $set: {
+            ...update,
+            beforeCommunityStatus: group.beforeCommunityStatus && group.beforeCommunityStatus.status
+              ? group.beforeCommunityStatus
+              : { status: group.status, isActive: group.isActive }
+          }
+        }
+      }
+    })));
+    return groups.length;
+  }
+
+  // Put back the groups changed by cascadeToGroups(); groups deleted on their
+  // own before the community stay deleted
+  static async restoreGroups(communityId) {
+    const groups = await Group.find({ communityId, 'beforeCommunityStatus.status': { $exists: true } })
+      .select('beforeCommunityStatus')
+      .lean();
+    if (groups.length === 0) return 0;
+
+    await Group.bulkWrite(groups.map(group => ({
+      updateOne: {
+        filter: { _id: group._id },
+        update: {
+          $set: {
+            status: group.beforeCommunityStatus.status,
+            isActive: group.beforeCommunityStatus.isActive !== false
+          },
+          $unset: { beforeCommunityStatus: '', archivedAt: '', deletedAt: '', deletedBy: '' }
+        }
+      }
+    })));
+    return groups.length;
+  }
+
+  // Deactivate every active role scoped to the community or its groups
+  static async suspendRoles(communityId, actor, reason) {
+    const groupIds = await Group.find({ communityId }).distinct('_id');
+    const roles = await UserRole.find({ isActive: true, ...scopedRoleFilter(communityId, groupIds) })
+      .select(ROLE_FIELDS)
+      .lean();
+    if (roles.length === 0) return 0;
+
+    await UserRole.updateMany(
+      { _id: { $in: roles.map(role => role._id) }, isActive: true },
+      { $set: { isActive: false, deactivatedAt: new Date(), suspendedByCommunity: true } }
+    );
+    roles.forEach(role => RoleCache.invalidateUserRoles(role.userId));
+    await RoleAuditService.recordBulk('suspend', roles, {
+      actor,
+      details: { cause: 'community_deleted', communityId, reason }
+    });
+    return roles.length;
+  }
+
+  // Reactivate the roles suspendRoles() deactivated. Roles that expired in the
+  // meantime, or were delegated from a role that is no longer active, stay off.
+  static async reinstateRoles(communityId, actor) {
+    const groupIds = await Group.find({ communityId }).distinct('_id');
+    const suspended = await UserRole.find({ suspendedByCommunity: true, ...scopedRoleFilter(communityId, groupIds) })
+      .select(ROLE_FIELDS)
+      .lean();
+    if (suspended.length === 0) return 0;
+
+    const now = new Date();
+    let roles = suspended.filter(role => !role.validUntil || role.validUntil > now);
+
+    // Delegators outside this community that are still active
+    const delegatorIds = roles.filter(role => role.delegatedFrom).map(role => role.delegatedFrom);
+    const activeDelegators = new Set(
+      (await UserRole.find({ _id: { $in: delegatorIds }, isActive: true }).distinct('_id')).map(String)
+    );
+    // Drop delegated roles whose delegator stays inactive, repeating for chains
+    let dropped = true;
+    while (dropped) {
+      const kept = new Set(roles.map(role => role._id.toString()));
+      const next = roles.filter(role => !role.delegatedFrom
+        || kept.has(role.delegatedFrom.toString())
+        || activeDelegators.has(role.delegatedFrom.toString()));
+      dropped = next.length < roles.length;
+      roles = next;
+    }
+
+    await UserRole.updateMany(
+      { _id: { $in: roles.map(role => role._id) } },
+      { $set: { isActive: true }, $unset: { deactivatedAt: '', suspendedByCommunity: '' } }
+    );
+    await UserRole.updateMany(
+      { _id: { $in: suspended.map(role => role._id) }, suspendedByCommunity: true },
+      { $unset: { suspendedByCommunity: '' } }
+    );
+    suspended.forEach(role => RoleCache.invalidateUserRoles(role.userId));
+    await RoleAuditService.recordBulk('reinstate', roles, {
+      actor,
+      activated: true,
+      details: { cause: 'community_restored', communityId }
+    });
+    return roles.length;
+  }
+
+  /**
+   * Permanently remove deleted communities whose retention period has passed
+   * @returns {Promise<number>} Number of purged communities
+   */
+  static async purgeDueCommunities() {
+    const due = await Community.find({ status: 'deleted', purgeAfter: { $ne: null, $lte: new Date() } })
+      .select('_id')
+      .lean();
+
+    let purged = 0;
+    for (const community of due) {
+      try {
+        await CommunityLifecycleService.purge(community._id);
+        purged += 1;
+      } catch (err) {
+        console.error(`Failed to purge community ${community._id}:`, err);
+      }
+    }
+    return purged;
+  }
+
+  /**
+   * Remove a community with its groups, posts, poll votes, memberships, roles,
+   * custom roles, announcements and expert applications. Events linked to it are kept and unlinked;
+   * the role audit trail is kept as is.
+   * @param {string} communityId - Community id
+   */
+  static async purge(communityId) {
+    const groupIds = await Group.find({ communityId }).distinct('_id');
+    const roleFilter = scopedRoleFilter(communityId, groupIds);
+    const [userIds, customRoleIds, postIds] = await Promise.all([
+      UserRole.find(roleFilter).distinct('userId'),
+      CustomRole.find({ communityId }).distinct('_id'),
+      GroupPost.find({ groupId: { $in: groupIds } }).distinct('_id')
+    ]);
+
+    await Promise.all([
+      PollService.removeForPosts(postIds),
+      GroupPost.deleteMany({ groupId: { $in: groupIds } }),
+      GroupMembership.deleteMany({ groupId: { $in: groupIds } }),
+      User.updateMany({ joinedGroups: { $in: groupIds } }, { $pull: { joinedGroups: { $in: groupIds } } }),
+      CommunityMembership.deleteMany({ communityId }),
+      UserRole.deleteMany(roleFilter),
+      CustomRole.deleteMany({ communityId }),
+      ExpertApplication.deleteMany({ communityId }),
+      AnnouncementService.removeForCommunity(communityId),
+      Event.updateMany({ communityId }, { $set: { communityId: null } })
+    ]);
+    await Group.deleteMany({ communityId });
+    await Community.deleteOne({ _id: communityId });
+
+    userIds.forEach(userId => RoleCache.invalidateUserRoles(userId));
+    customRoleIds.forEach(customRoleId => RoleCache.invalidateCustomRole(customRoleId));
+    CommunityOverviewService.invalidate(communityId);
+  }
+}
+
+CommunityLifecycleService.CommunityLifecycleError = CommunityLifecycleError;
+
+module.exports = CommunityLifecycleService;
@@ -0,0 +1,134 @@
+const CommunityMembership = require('../communities/communityMembership');
+const Community = require('../communities/community');
+
+// Community counter kept in step with each membership status
+const COUNT_FIELDS = {
+  member: 'memberCount',
+  follower: 'followerCount'
+};
+
+/**
+ * Community Membership Service
+ * Moves users between member, follower and left for a community and keeps
+ * Community.memberCount / followerCount in step. Every change is a single
+ * conditional update, so concurrent requests cannot count a user twice.
+ */
+class CommunityMembershipService {
+
+  /**
+   * Move a user to `status` if their current status is one of `from`
+   * @param {string} userId - ParentUser id
+   * @param {string} communityId - Community id
+   * @param {string} status - 'member', 'follower' or 'left'
+   * @param {Array<string|null>} from - Allowed current statuses; null allows creating the membership
+   * @param {Object} [fields] - Extra fields to set with the change, e.g. answers
+   * @returns {Promise<Object>} { changed, previousStatus, status }
+   */
+  static async transition(userId, communityId, status, from, fields = {}) {
+    const now = new Date();
+    const update = { ...fields, status };
+    if (status === 'member') update.joinedAt = now;
+    if (status === 'follower') update.followedAt = now;
+    if (status === 'left') update.leftAt = now;
+
+    let previousStatus = null;
+    const previous = await CommunityMembership.findOneAndUpdate(
+      { communityId, userId, status: { $in: from.filter(Boolean) } },
+      { $set: update },
+      { new: false }
+    ).lean();
+
+    if (previous) {
+      previousStatus = previous.status;
+    } else if (from.includes(null)) {
+      try {
+        await CommunityMembership.create({ communityId, userId, ...update });
+      } catch (err) {
+        // Created by a concurrent request; retry against the stored status
+        if (err.code === 11000) {
+          return CommunityMembershipService.transition(userId, communityId, status, from.filter(Boolean), fields);
+        }
+        throw err;
+      }
+    } else {
+      return {
+        changed: false,
+        previousStatus: null,
+        status: await CommunityMembershipService.getStatus(userId, communityId)
+      };
+    }
+
+    const inc = {};
+    if (COUNT_FIELDS[previousStatus]) inc[COUNT_FIELDS[previousStatus]] = -1;
+    if (COUNT_FIELDS[status]) inc[COUNT_FIELDS[status]] = 1;
+    if (Object.keys(inc).length > 0) {
+      await Community.updateOne({ _id: communityId }, { $inc: inc });
+    }
+
+    return { changed: true, previousStatus, status };
+  }
+
+  // Join a community; followers become members. Questionnaire answers, if
+  // any, are stored with the membership.
+  static join(userId, communityId, answers = null) {
+    const fields = answers && answers.length > 0 ? { answers, answeredAt: new Date() } : {};
+    return CommunityMembershipService.transition(userId, communityId, 'member', [null, 'follower', 'left'], fields);
+  }
+
+  // Follow a community without joining it; members already get its updates
+  static follow(userId, communityId) {
+    return CommunityMembershipService.transition(userId, communityId, 'follower', [null, 'left']);
+  }
+
+  static unfollow(userId, communityId) {
+    return CommunityMembershipService.transition(userId, communityId, 'left', ['follower']);
+  }
+
+  static leave(userId, communityId) {
+    return CommunityMembershipService.transition(userId, communityId, 'left', ['member']);
+  }
+
+  /**
+   * Current status of a user in a community
+   * @returns {Promise<string|null>} 'member', 'follower', 'left' or null if never joined
+   */
+  static async getStatus(userId, communityId) {
+    const membership = await CommunityMembershipService.getMembership(userId, communityId);
+    return membership ? membership.status : null;
+  }
+
+  // A user's membership in a community (lean), or null
+  static getMembership(userId, communityId) {
+    return CommunityMembership.findOne({ communityId, userId }).lean();
+  }
+
+  /**
+   * Communities a user is a member or follower of, newest first
+   * @param {string} userId - ParentUser id
+   * @param {Array<string>} [statuses] - Statuses to include
+   * @returns {Promise<Array>} Memberships with the community populated
+   */
+  static getUserCommunities(userId, statuses = ['member', 'follower']) {
+    return CommunityMembership.find({ userId, status: { $in: statuses } })
+      .populate('communityId', 'title shortDescription image icon category memberCount followerCount isActive')
+      .sort({ updatedAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Remove every community membership of a user (account purge)
+   * @param {string} userId - ParentUser id
+   */
+  static async removeUser(userId) {
+    const memberships = await CommunityMembership.find({ userId, status: { $in: ['member', 'follower'] } }).lean();
+    for (const membership of memberships) {
+      await Community.updateOne(
+        { _id: membership.communityId },
+        { $inc: { [COUNT_FIELDS[membership.status]]: -1 } }
+      );
+    }
+    await CommunityMembership.deleteMany({ userId });
+  }
+}
+
+module.exports = CommunityMembershipService;
@@ -0,0 +1,248 @@
+const Community = require('../communities/community');
+const Group = require('../groups/group');
+const GroupPost = require('../groups/groupPost');
+const UserRole = require('../users/userRole');
+const Event = require('../events/event');
+const CommunityAnnouncement = require('../communities/communityAnnouncement');
+const TtlCache = require('./ttlCache');
+const AnnouncementService = require('./announcementService');
+const { maskUser } = require('../users/profilePrivacy');
+const { COMMUNITY_OVERVIEW_CACHE_SECONDS } = require('../constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_GROUP_LIMIT = 6;
+const GROUP_ACTIVITY_DAYS = 30;
+const EXPERT_LIMIT = 12;
+const EVENT_LIMIT = 5;
+const PINNED_POST_LIMIT = 5;
+const ANNOUNCEMENT_LIMIT = 5;
+const TRENDING_TAG_DAYS = 7;
+const TRENDING_TAG_LIMIT = 10;
+
+const overviewCache = new TtlCache({ ttlMs: COMMUNITY_OVERVIEW_CACHE_SECONDS * 1000, maxEntries: 1000 });
+
+/**
+ * Community Overview Service
+ * Builds everything a community landing page shows in one go. The overview
+ * only contains what anonymous visitors may see (Secret groups and posts
+ * outside Public groups are left out), so one cached copy serves everyone.
+ */
+class CommunityOverviewService {
+
+  /**
+   * Landing page data for a community, cached for COMMUNITY_OVERVIEW_CACHE_SECONDS
+   * @param {string} communityId - Community id
+   * @returns {Promise<Object|null>} Overview, or null if the community does not exist
+   */
+  static getOverview(communityId) {
+    const key = communityId.toString();
+    let pending = overviewCache.get(key);
+    if (pending === undefined) {
+      pending = CommunityOverviewService.buildOverview(communityId);
+      overviewCache.set(key, pending);
+      pending.catch(() => overviewCache.delete(key));
+    }
+    return pending;
+  }
+
+  // Drop the cached overview, e.g. after the community or its announcements change
+  static invalidate(communityId) {
+    overviewCache.delete(communityId.toString());
+  }
+
+  static async buildOverview(communityId) {
+    const community = await Community.findOne({ _id: communityId, isActive: true })
+      .populate('createdBy', 'name avatar')
+      .populate('moderators.userId', 'name avatar')
+      .lean();
+    if (!community) return null;
+
+    const groups = await Group.find({
+      communityId,
+      isActive: true,
+      status: 'active',
+      type: { $in: ['Public', 'Private'] }
+    })
+      .select('title intro image category type ageBands memberCount createdAt')
+      .lean();
+    const publicGroupIds = groups.filter(group => group.type === 'Public').map(group => group._id);
+
+    const [topGroups, experts, announcements, upcomingEvents, pinnedPosts, trendingTags] = await Promise.all([
+      CommunityOverviewService.getTopGroups(groups),
+      CommunityOverviewService.getExperts(community),
+      CommunityOverviewService.getAnnouncements(communityId),
+      CommunityOverviewService.getUpcomingEvents(communityId),
+      CommunityOverviewService.getPinnedPosts(publicGroupIds),
+      CommunityOverviewService.getTrendingTags(publicGroupIds)
+    ]);
+
+    // Expert requests are internal; verified experts are listed below
+    const details = { ...community };
+    delete details.experts;
+    return {
+      community: {
+        ...details,
+        id: community._id,
+        moderators: community.moderators.map(mod => mod.userId).filter(Boolean)
+      },
+      stats: {
+        memberCount: community.memberCount,
+        followerCount: community.followerCount,
+        groupCount: groups.length,
+        expertCount: experts.length
+      },
+      topGroups,
+      experts,
+      announcements,
+      upcomingEvents,
+      pinnedPosts,
+      trendingTags,
+      generatedAt: new Date()
+    };
+  }
+
+  // Groups ranked by posts in the last GROUP_ACTIVITY_DAYS, then by size
+  static async getTopGroups(groups) {
+    if (groups.length === 0) return [];
+
+    const since = new Date(Date.now() - GROUP_ACTIVITY_DAYS * DAY_MS);
+    const activity = await GroupPost.aggregate([
+      { $match: { groupId: { $in: groups.map(group => group._id) }, isDeleted: false, status: 'published', createdAt: { $gte: since } } },
+      { $group: { _id: '$groupId', recentPosts: { $sum: 1 }, lastPostAt: { $max: '$createdAt' } } }
+    ]);
+    const activityById = new Map(activity.map(entry => [entry._id.toString(), entry]));
+
+    return groups
+      .map(group => {
+        const entry = activityById.get(group._id.toString());
+        return {
+          ...group,
+          id: group._id,
+          recentPosts: entry ? entry.recentPosts : 0,
+          lastPostAt: entry ? entry.lastPostAt : null
+        };
+      })
+      .sort((a, b) => (b.recentPosts - a.recentPosts) || ((b.memberCount || 0) - (a.memberCount || 0)))
+      .slice(0, TOP_GROUP_LIMIT);
+  }
+
+  // Verified experts of the community with their expertise areas
+  static async getExperts(community) {
+    const now = new Date();
+    const roles = await UserRole.find({
+      communityId: community._id,
+      groupId: null,
+      role: 'expert',
+      verificationStatus: 'verified',
+      isActive: true
+    })
+      .populate('userId', 'name avatar bio privacySettings')
+      .lean();
+
+    const experts = new Map();
+    roles
+      .filter(role => role.userId && !role.userId.deletedAt && UserRole.isCurrent(role, now))
+      .forEach(role => {
+        experts.set(role.userId._id.toString(), {
+          user: role.userId,
+          expertiseAreas: role.expertiseAreas || [],
+          verifiedAt: role.verifiedAt
+        });
+      });
+
+    // Experts approved through the community's expert requests hold a
+    // platform-wide expert role instead of a community-scoped one
+    const approvedIds = community.experts
+      .filter(expert => expert.status === 'approved' && !experts.has(expert.userId.toString()))
+      .map(expert => expert.userId);
+    if (approvedIds.length > 0) {
+      const platformRoles = await UserRole.find({
+        userId: { $in: approvedIds },
+        communityId: null,
+        role: 'expert',
+        verificationStatus: 'verified',
+        isActive: true
+      })
+        .populate('userId', 'name avatar bio privacySettings')
+        .lean();
+      platformRoles
+        .filter(role => role.userId && !role.userId.deletedAt && UserRole.isCurrent(role, now))
+        .forEach(role => {
+          experts.set(role.userId._id.toString(), {
+            user: role.userId,
+            expertiseAreas: role.expertiseAreas || [],
+            verifiedAt: role.verifiedAt
+          });
+        });
+    }
+
+    // The overview is shared by every viewer, so experts get their public profile
+    return [...experts.values()]
+      .slice(0, EXPERT_LIMIT)
+      .map(expert => ({ ...expert, user: maskUser(expert.user) }));
+  }
+
+  // Live announcements of the community, newest first
+  static async getAnnouncements(communityId) {
+    const announcements = await CommunityAnnouncement.find(AnnouncementService.liveFilter(communityId))
+      .select('title body mediaUrls expiresAt createdAt updatedAt authorId')
+      .populate('authorId', 'name avatar')
+      .sort({ createdAt: -1 })
+      .limit(ANNOUNCEMENT_LIMIT)
+      .lean();
+    return announcements.map(announcement => ({ ...announcement, id: announcement._id }));
+  }
+
+  // Next public events linked to the community
+  static async getUpcomingEvents(communityId) {
+    const events = await Event.find({
+      communityId,
+      isCancelled: false,
+      visibility: 'Public',
+      date: { $gte: new Date() }
+    })
+      .select('title date time duration coverImageUrl eventType location category ageBands maxAttendees attendees.status host')
+      .populate('host', 'name avatar')
+      .sort({ date: 1 })
+      .limit(EVENT_LIMIT)
+      .lean();
+
+    return events.map(({ attendees, ...event }) => ({
+      ...event,
+      id: event._id,
+      goingCount: attendees.filter(rsvp => rsvp.status === 'Going').length
+    }));
+  }
+
+  // Pinned posts from the community's Public groups
+  static async getPinnedPosts(groupIds) {
+    if (groupIds.length === 0) return [];
+    const posts = await GroupPost.find({ groupId: { $in: groupIds }, isPinned: true, isDeleted: false, status: 'published' })
+      .select('groupId authorId content tags postType pinnedAt createdAt isAnonymous')
+      .populate('groupId', 'title')
+      .populate('authorId', 'name avatar')
+      .sort({ pinnedAt: -1 })
+      .limit(PINNED_POST_LIMIT)
+      .lean();
+    return posts.map(post => (post.isAnonymous ? { ...post, authorId: null } : post));
+  }
+
+  // Most used tags on recent posts in the community's Public groups
+  static async getTrendingTags(groupIds) {
+    if (groupIds.length === 0) return [];
+
+    const since = new Date(Date.now() - TRENDING_TAG_DAYS * DAY_MS);
+    const tags = await GroupPost.aggregate([
+      { $match: { groupId: { $in: groupIds }, isDeleted: false, status: 'published', createdAt: { $gte: since } } },
+      { $unwind: '$tags' },
+      { $group: { _id: { $toLower: { $trim: { input: '$tags' } } }, count: { $sum: 1 } } },
+      { $match: { _id: { $ne: '' } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: TRENDING_TAG_LIMIT }
+    ]);
+
+    return tags.map(tag => ({ tag: tag._id, count: tag.count }));
+  }
+}
+
+module.exports = CommunityOverviewService;
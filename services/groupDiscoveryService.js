@@ -0,0 +1,180 @@
+const Group = require('../groups/group');
+const GroupMembership = require('../groups/groupMembership');
+const GroupPost = require('../groups/groupPost');
+const Community = require('../communities/community');
+const { AGE_BANDS, getChildrenAgeBands } = require('../users/ageBands');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CANDIDATE_LIMIT = 500;
+const ACTIVITY_WEEKS = 4;
+const GROWTH_DAYS = 30;
+const MAX_LIMIT = 50;
+
+// Points each signal can add to a group's score
+const WEIGHTS = {
+  ageBand: 3,
+  location: 2,
+  category: 2,
+  activity: 2,
+  growth: 1.5
+};
+// Posts per week and monthly member growth (fraction of members) worth full points
+const FULL_ACTIVITY_POSTS_PER_WEEK = 10;
+const FULL_GROWTH_RATE = 0.2;
+
+const bandLabel = (key) => {
+  const band = AGE_BANDS.find(b => b.key === key);
+  return band ? band.label.replace(/\s*\(.*\)$/, '').toLowerCase() : key;
+};
+
+// Place names in a location ("Pune, Maharashtra" -> ['Pune', 'Maharashtra'])
+const placeNames = (location) => String(location || '')
+  .split(',')
+  .map(place => place.trim())
+  .filter(Boolean);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Group Discovery Service
+ * Ranks groups a parent has not joined yet. Each signal adds points and a
+ * reason; the strongest reason becomes the group's explanation:
+ * - children's age bands matching the group's age bands
+ * - the parent's location matching the group's location (or title)
+ * - categories of groups the parent already belongs to
+ * - activity: posts per week over the last ACTIVITY_WEEKS weeks
+ * - growth: members who joined in the last GROWTH_DAYS days
+ * Only Public and Private groups of active communities are suggested; groups
+ * the parent is in, has asked to join or was banned from are left out.
+ */
+class GroupDiscoveryService {
+
+  /**
+   * Groups recommended for a user, best first
+   * @param {Object} user - ParentUser document (children and location are used)
+   * @param {Object} [options]
+   * @param {string} [options.communityId] - Only suggest groups of this community
+   * @param {number} [options.limit=10] - At most MAX_LIMIT
+   * @returns {Promise<Array>} [{ group, score, reasons, explanation }]
+   */
+  static async discover(user, { communityId = null, limit = 10 } = {}) {
+    limit = Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_LIMIT);
+
+    // Every membership except 'left' rules a group out
+    const memberships = await GroupMembership.find({ userId: user._id, status: { $ne: 'left' } })
+      .select('groupId status')
+      .lean();
+    const excludedIds = memberships.map(membership => membership.groupId);
+    const joinedIds = memberships.filter(membership => membership.status === 'active').map(membership => membership.groupId);
+
+    const activeCommunityIds = await Community.find({ status: 'active', isActive: true }).distinct('_id');
+    const filter = {
+      _id: { $nin: excludedIds },
+      communityId: { $in: activeCommunityIds },
+      isActive: true,
+      status: 'active',
+      type: { $in: ['Public', 'Private'] }
+    };
+    if (communityId) {
+      filter.communityId = { $in: activeCommunityIds.filter(id => id.toString() === communityId.toString()) };
+    }
+
+    const [candidates, joinedGroups] = await Promise.all([
+      Group.find(filter)
+        .select('title intro image category type ageBands location memberCount communityId createdAt')
+        .populate('communityId', 'title')
+        .sort({ memberCount: -1 })
+        .limit(CANDIDATE_LIMIT)
+        .lean(),
+      Group.find({ _id: { $in: joinedIds } }).select('title category').lean()
+    ]);
+    if (candidates.length === 0) return [];
+
+    const candidateIds = candidates.map(group => group._id);
+    const [activity, growth] = await Promise.all([
+      GroupDiscoveryService.getPostsPerWeek(candidateIds),
+      GroupDiscoveryService.getNewMembers(candidateIds)
+    ]);
+
+    const profile = {
+      ageBands: getChildrenAgeBands(user.children),
+      places: placeNames(user.location),
+      joinedByCategory: new Map()
+    };
+    joinedGroups.forEach(group => {
+      if (!profile.joinedByCategory.has(group.category)) profile.joinedByCategory.set(group.category, group);
+    });
+
+    return candidates
+      .map(group => GroupDiscoveryService.score(group, profile, {
+        postsPerWeek: activity.get(group._id.toString()) || 0,
+        newMembers: growth.get(group._id.toString()) || 0
+      }))
+      .sort((a, b) => (b.score - a.score) || ((b.group.memberCount || 0) - (a.group.memberCount || 0)))
+      .slice(0, limit);
+  }
+
+  // Score one group for a user profile; reasons are sorted strongest first
+  static score(group, profile, { postsPerWeek, newMembers }) {
+    const reasons = [];
+    const add = (signal, points, text) => {
+      if (points > 0) reasons.push({ signal, points: Math.round(points * 100) / 100, text });
+    };
+
+    const sharedBands = (group.ageBands || []).filter(band => profile.ageBands.includes(band));
+    if (sharedBands.length > 0) {
+      add('ageBand', WEIGHTS.ageBand, `Matches your children's ages (${sharedBands.map(bandLabel).join(', ')})`);
+    }
+
+    if (profile.places.length > 0) {
+      const groupPlaces = placeNames(group.location).map(name => name.toLowerCase());
+      const place = profile.places.find(name => groupPlaces.includes(name.toLowerCase())
+        || new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(group.title));
+      if (place) add('location', WEIGHTS.location, `Near you in ${group.location || place}`);
+    }
+
+    const joined = profile.joinedByCategory.get(group.category);
+    if (joined) add('category', WEIGHTS.category, `Because you joined ${joined.title}`);
+
+    if (postsPerWeek > 0) {
+      const points = WEIGHTS.activity * Math.min(postsPerWeek / FULL_ACTIVITY_POSTS_PER_WEEK, 1);
+      add('activity', points, `Active: about ${Math.round(postsPerWeek * 10) / 10} posts a week`);
+    }
+
+    if (newMembers > 0) {
+      const rate = newMembers / Math.max(group.memberCount || 0, newMembers);
+      const points = WEIGHTS.growth * Math.min(rate / FULL_GROWTH_RATE, 1);
+      add('growth', points, `Growing: ${newMembers} new member${newMembers === 1 ? '' : 's'} this month`);
+    }
+
+    reasons.sort((a, b) => b.points - a.points);
+    return {
+      group: { ...group, id: group._id, postsPerWeek, newMembers },
+      score: Math.round(reasons.reduce((sum, reason) => sum + reason.points, 0) * 100) / 100,
+      reasons,
+      explanation: reasons.length > 0 ? reasons[0].text : 'Popular in the community'
+    };
+  }
+
+  // Average posts per week over the last ACTIVITY_WEEKS weeks, by group id
+  static async getPostsPerWeek(groupIds) {
+    const since = new Date(Date.now() - ACTIVITY_WEEKS * 7 * DAY_MS);
+    const counts = await GroupPost.aggregate([
+      { $match: { groupId: { $in: groupIds }, isDeleted: false, status: 'published', createdAt: { $gte: since } } },
+      { $group: { _id: '$groupId', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(entry => [entry._id.toString(), entry.count / ACTIVITY_WEEKS]));
+  }
+
+  // Members who joined in the last GROWTH_DAYS days and are still in, by group id
+  static async getNewMembers(groupIds) {
+    const since = new Date(Date.now() - GROWTH_DAYS * DAY_MS);
+    const counts = await GroupMembership.aggregate([
+      { $match: { groupId: { $in: groupIds }, status: 'active', joinedAt: { $gte: since } } },
+      { $group: { _id: '$groupId', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+  }
+}
+
+module.exports = GroupDiscoveryService;
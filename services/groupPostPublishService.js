@@ -0,0 +1,154 @@
+const GroupPost = require('../groups/groupPost');
+const Group = require('../groups/group');
+const PolicyEngine = require('./policyEngine');
+const { filterContent } = require('../middleware/contentFilter');
+
+// Scheduled posts handled per publisher run
+const PUBLISH_BATCH_SIZE = 100;
+
+// Words masked in group posts on top of the content filter
+const MASKED_WORDS = [
+  'spam',
+  'scam',
+  'fake',
+  'stupid',
+  'idiot',
+  'hate',
+  'kill',
+  'die',
+  'damn',
+  'hell',
+  // Add more words as needed
+];
+
+const maskProfanity = (text) => {
+  let filteredText = text;
+  MASKED_WORDS.forEach((word) => {
+    const regex = new RegExp(word, 'gi');
+    filteredText = filteredText.replace(regex, '*'.repeat(word.length));
+  });
+  return filteredText;
+};
+
+/**
+ * Group Post Publish Service
+ * Publishes drafts and scheduled posts. Everything createPost checks for an
+ * immediate post is checked again at publish time, since the group, the
+ * author's roles and the content filter may all have changed since the post
+ * was saved:
+ * - the group must still exist and not be read-only
+ * - the author must still have create_group_post in it
+ * - the content must pass the content filter, and is masked like live posts
+ * - a poll must not have closed already
+ * Publishing bumps Group.postCount and dates the post to its publish time.
+ */
+class GroupPostPublishService {
+
+  /**
+   * Run the content filter and profanity mask over post content
+   * @param {string} [content]
+   * @returns {Object} { content, blocked, flags } - content is the masked text
+   */
+  static checkContent(content) {
+    if (!content) return { content, blocked: false, flags: [] };
+    const result = filterContent(content);
+    const flags = result.flags.map(flag => flag.type);
+    if (result.severity === 'high') return { content, blocked: true, flags };
+    return { content: maskProfanity(result.filteredContent), blocked: false, flags };
+  }
+
+  /**
+   * Why a post cannot be published right now, or what to publish it with
+   * @param {Object} post - GroupPost (groupId, authorId, content and poll are used)
+   * @returns {Promise<Object>} { error, flags } or { content }
+   */
+  static async prepare(post) {
+    const scope = await PolicyEngine.resolveScope({ groupId: post.groupId });
+    if (!scope || scope.group.status === 'deleted') {
+      return { error: 'Group not found', flags: [] };
+    }
+    const readOnlyReason = PolicyEngine.getReadOnlyReason(scope);
+    if (readOnlyReason) return { error: `${readOnlyReason} and read-only.`, flags: [] };
+    if (!(await PolicyEngine.can(post.authorId, 'create_group_post', scope))) {
+      return { error: 'You can no longer post in this group', flags: [] };
+    }
+
+    if (post.poll && post.poll.closesAt && post.poll.closesAt <= new Date()) {
+      return { error: 'The poll closes before the post could be published', flags: [] };
+    }
+
+    const checked = GroupPostPublishService.checkContent(post.content);
+    if (checked.blocked) {
+      return { error: 'Content violates community guidelines and cannot be posted.', flags: checked.flags };
+    }
+    return { content: checked.content };
+  }
+
+  /**
+   * Publish a draft or scheduled post. The post is only changed if it is
+   * still as loaded, so an edit made meanwhile is never overwritten.
+   * @param {Object} post - GroupPost with status and updatedAt as loaded
+   * @param {Object} [options]
+   * @param {boolean} [options.recordFailure=true] - Mark the post 'failed' if it cannot be published
+   * @returns {Promise<Object>} { status: 'published'|'failed'|'skipped', error, flags }
+   */
+  static async publish(post, { recordFailure = true } = {}) {
+    const unchanged = { _id: post._id, status: post.status, updatedAt: post.updatedAt, isDeleted: false };
+    const prepared = await GroupPostPublishService.prepare(post);
+    const now = new Date();
+
+    if (prepared.error) {
+      if (recordFailure) {
+        await GroupPost.updateOne(unchanged, {
+          $set: {
+            status: 'failed',
+            scheduledFor: null,
+            publishError: { message: prepared.error, flags: prepared.flags, failedAt: now }
+          }
+        });
+      }
+      return { status: 'failed', error: prepared.error, flags: prepared.flags };
+    }
+
+    const update = { status: 'published', publishedAt: now, createdAt: now, scheduledFor: null };
+    if (prepared.content !== undefined) update.content = prepared.content;
+    const result = await GroupPost.updateOne(
+      unchanged,
+      { $set: update, $unset: { publishError: '' } },
+      { overwriteImmutable: true }
+    );
+    if (result.modifiedCount === 0) {
+      return { status: 'skipped', error: 'Post was changed before it could be published', flags: [] };
+    }
+
+    await Group.updateOne({ _id: post.groupId }, { $inc: { postCount: 1 } });
+    return { status: 'published' };
+  }
+
+  /**
+   * Publish every scheduled post whose time has come, oldest first
+   * @returns {Promise<Object>} { published, failed }
+   */
+  static async publishDuePosts() {
+    const due = await GroupPost.find({ status: 'scheduled', scheduledFor: { $lte: new Date() }, isDeleted: false })
+      .select('groupId authorId content poll status updatedAt')
+      .sort({ scheduledFor: 1 })
+      .limit(PUBLISH_BATCH_SIZE)
+      .lean();
+
+    const counts = { published: 0, failed: 0 };
+    for (const post of due) {
+      try {
+        const { status } = await GroupPostPublishService.publish(post);
+        if (counts[status] !== undefined) counts[status] += 1;
+      } catch (err) {
+        console.error(`Failed to publish post ${post._id}:`, err);
+      }
+    }
+    return counts;
+  }
+}
+
+GroupPostPublishService.maskProfanity = maskProfanity;
+
+module.exports = GroupPostPublishService;
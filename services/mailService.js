@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { MAIL_TRANSPORT, MAIL_FROM, MAIL_OUTBOX_DIR } = require('../constants');
+
+// Transports that only print or store mail locally
+const DEV_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Console transport - prints outgoing mail to stdout (development default)
+ */
+class ConsoleTransport {
+  async send(message) {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { accepted: [message.to] };
+  }
+}
+
+/**
+ * File transport - writes each outgoing mail as a JSON file into an outbox
+ * directory so tests and local tooling can read it back
+ */
+class FileTransport {
+  constructor(outboxDir = MAIL_OUTBOX_DIR) {
+    this.outboxDir = outboxDir;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+    const filePath = path.join(this.outboxDir, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    return { accepted: [message.to], filePath };
+  }
+}
+
+/**
+ * Mail Service
+ * Sends mail through a pluggable transport. A transport is any object with an
+ * async `send({ from, to, subject, text, html })` method; production
+ * deployments register theirs (SMTP, SES, ...) with `registerTransport` and
+ * select it through MAIL_TRANSPORT.
+ */
+class MailService {
+
+  /**
+   * Register a transport under a name
+   * @param {string} name - Transport name used by MAIL_TRANSPORT
+   * @param {Object} transport - Object implementing async send(message)
+   */
+  static registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error(`Mail transport "${name}" must implement send(message)`);
+    }
+    MailService.transports[name] = transport;
+  }
+
+  /**
+   * Select the active transport
+   * @param {string} name - A registered transport name
+   */
+  static useTransport(name) {
+    if (!MailService.transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    MailService.activeTransport = name;
+  }
+
+  /**
+   * Fail fast when mail could not be delivered. Called at boot, so custom
+   * transports must be registered before the app starts.
+   * @throws {Error} If the active transport is not registered, or NODE_ENV is
+   *   production and it is unset or a development transport
+   */
+  static assertConfigured() {
+    const name = MailService.activeTransport;
+    if (process.env.NODE_ENV === 'production' && (!name || DEV_TRANSPORTS.includes(name))) {
+      throw new Error(`MAIL_TRANSPORT must name a delivering transport in production (got "${name || ''}")`);
+    }
+    if (!MailService.transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"; register it with MailService.registerTransport`);
+    }
+  }
+
+  /**
+   * Send a message through the active transport
+   * @param {Object} message - to, subject, text and optional html
+   * @returns {Promise<Object>} Transport specific result
+   */
+  static send(message) {
+    const transport = MailService.transports[MailService.activeTransport];
+    if (!transport) {
+      throw new Error(`Unknown mail transport "${MailService.activeTransport}"`);
+    }
+    return transport.send({ from: MAIL_FROM, ...message });
+  }
+}
+
+MailService.transports = {
+  console: new ConsoleTransport(),
+  file: new FileTransport()
+};
+MailService.activeTransport = MAIL_TRANSPORT;
+
+MailService.ConsoleTransport = ConsoleTransport;
+MailService.FileTransport = FileTransport;
+
+module.exports = MailService;
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const OtpChallenge = require('../users/otpChallenge');
+const SmsService = require('./smsService');
+const {
+  JWT_SECRET,
+  DEFAULT_COUNTRY_CODE,
+  OTP_LENGTH,
+  OTP_TTL_MINUTES,
+  OTP_MAX_ATTEMPTS,
+  OTP_RESEND_COOLDOWN_SECONDS,
+  OTP_MAX_SENDS_PER_HOUR
+} = require('../constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Why a new code cannot be sent for a challenge right now, or null
+const getSendRefusal = (challenge, now) => {
+  if (!challenge) return null;
+  if (challenge.lastSentAt) {
+    const cooldownEndsAt = challenge.lastSentAt.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000;
+    if (cooldownEndsAt > now.getTime()) {
+      return {
+        sent: false,
+        reason: 'cooldown',
+        retryAfter: Math.ceil((cooldownEndsAt - now.getTime()) / 1000)
+      };
+    }
+  }
+  if (challenge.sendWindowStartedAt && (challenge.sendCount || 0) >= OTP_MAX_SENDS_PER_HOUR) {
+    const windowEndsAt = challenge.sendWindowStartedAt.getTime() + HOUR_MS;
+    if (windowEndsAt > now.getTime()) {
+      return {
+        sent: false,
+        reason: 'send_limit',
+        retryAfter: Math.ceil((windowEndsAt - now.getTime()) / 1000)
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * OTP Service
+ * Generates, sends and verifies one-time passwords for phone login. Codes are
+ * stored as an HMAC, expire after OTP_TTL_MINUTES, allow OTP_MAX_ATTEMPTS
+ * guesses, and resends are limited by a cooldown and an hourly cap.
+ */
+class OtpService {
+
+  /**
+   * Normalise a phone number to E.164. Bare 10 digit numbers get the default
+   * country code.
+   * @param {string} phone - Phone number as typed by the user
+   * @returns {string|null} E.164 phone number or null if invalid
+   */
+  static normalizePhone(phone) {
+    if (!phone || typeof phone !== 'string') return null;
+
+    let normalized = phone.replace(/[\s\-().]/g, '');
+    if (/^\d{10}$/.test(normalized)) {
+      normalized = `${DEFAULT_COUNTRY_CODE}${normalized}`;
+    } else if (/^00[1-9]\d+$/.test(normalized)) {
+      normalized = `+${normalized.slice(2)}`;
+    }
+
+    return /^\+[1-9]\d{7,14}$/.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * Hash an OTP for storage, bound to the phone number
+   * @param {string} phone - E.164 phone number
+   * @param {string} code - The OTP
+   * @returns {string} Hex encoded HMAC
+   */
+  static hashCode(phone, code) {
+    return crypto.createHmac('sha256', JWT_SECRET).update(`${phone}:${code}`).digest('hex');
+  }
+
+  /**
+   * Generate a numeric OTP
+   * @returns {string} OTP_LENGTH digit code
+   */
+  static generateCode() {
+    return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+  }
+
+  /**
+   * Send a new OTP to a phone number, honouring the resend cooldown and the
+   * hourly send limit. The limits are checked and the send is counted in one
+   * conditional upsert, so concurrent requests cannot both send a code.
+   * @param {string} phone - E.164 phone number
+   * @returns {Promise<Object>} { sent: true, expiresAt } or { sent: false, reason, retryAfter }
+   */
+  static async requestOtp(phone) {
+    const now = new Date();
+    const cooldownCutoff = new Date(now.getTime() - OTP_RESEND_COOLDOWN_SECONDS * 1000);
+    const windowCutoff = new Date(now.getTime() - HOUR_MS);
+    const windowExpired = { $lte: [{ $ifNull: ['$sendWindowStartedAt', new Date(0)] }, windowCutoff] };
+
+    const code = OtpService.generateCode();
+    const codeExpiresAt = new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000);
+
+    let challenge;
+    try {
+      challenge = await OtpChallenge.findOneAndUpdate(
+        {
+          phone,
+          $and: [
+            { $or: [{ lastSentAt: null }, { lastSentAt: { $lte: cooldownCutoff } }] },
+            {
+              $or: [
+                { sendWindowStartedAt: null },
+                { sendWindowStartedAt: { $lte: windowCutoff } },
+                { sendCount: { $lt: OTP_MAX_SENDS_PER_HOUR } }
+              ]
+            }
+          ]
+        },
+        [{
+          $set: {
+            codeHash: OtpService.hashCode(phone, code),
+            codeExpiresAt,
+            attempts: 0,
+            consumedAt: '$$REMOVE',
+            lastSentAt: now,
+            sendWindowStartedAt: { $cond: [windowExpired, now, '$sendWindowStartedAt'] },
+            sendCount: { $cond: [windowExpired, 1, { $add: [{ $ifNull: ['$sendCount', 0] }, 1] }] },
+            createdAt: { $ifNull: ['$createdAt', now] }
+          }
+        }],
+        { upsert: true, new: true }
+      ).lean();
+    } catch (err) {
+      // The phone has a challenge that failed the checks (or another request
+      // created it first): the upsert collided with it
+      if (err.code !== 11000) throw err;
+    }
+
+    if (!challenge) {
+      const current = await OtpChallenge.findOne({ phone }).lean();
+      return getSendRefusal(current, now) || { sent: false, reason: 'cooldown', retryAfter: 1 };
+    }
+
+    await SmsService.send(
+      phone,
+      `${code} is your SkipCry verification code. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`
+    );
+
+    return { sent: true, expiresAt: challenge.codeExpiresAt };
+  }
+
+  /**
+   * Verify an OTP. A code can be used once; too many wrong guesses burn it.
+   * Each guess is counted atomically before the code is compared, so
+   * concurrent guesses cannot get past OTP_MAX_ATTEMPTS or use a code twice.
+   * @param {string} phone - E.164 phone number
+   * @param {string} code - The OTP entered by the user
+   * @returns {Promise<Object>} { valid: true } or { valid: false, reason, attemptsLeft }
+   */
+  static async verifyOtp(phone, code) {
+    const now = new Date();
+    const challenge = await OtpChallenge.findOneAndUpdate(
+      {
+        phone,
+        codeHash: { $ne: null },
+        consumedAt: null,
+        codeExpiresAt: { $gt: now },
+        attempts: { $lt: OTP_MAX_ATTEMPTS }
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    ).lean();
+
+    if (!challenge) {
+      const current = await OtpChallenge.findOne({ phone }).lean();
+      if (!current || !current.codeHash || current.consumedAt) {
+        return { valid: false, reason: 'no_active_code' };
+      }
+      if (current.codeExpiresAt <= now) {
+        return { valid: false, reason: 'expired' };
+      }
+      return { valid: false, reason: 'too_many_attempts' };
+    }
+
+    const expected = Buffer.from(challenge.codeHash, 'hex');
+    const actual = Buffer.from(OtpService.hashCode(phone, String(code || '')), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return {
+        valid: false,
+        reason: challenge.attempts >= OTP_MAX_ATTEMPTS ? 'too_many_attempts' : 'invalid_code',
+        attemptsLeft: Math.max(0, OTP_MAX_ATTEMPTS - challenge.attempts)
+      };
+    }
+
+    // Only one request can consume the code
+    const consumed = await OtpChallenge.findOneAndUpdate(
+      { _id: challenge._id, codeHash: challenge.codeHash, consumedAt: null },
+      { $set: { consumedAt: now }, $unset: { codeHash: '' } }
+    );
+    if (!consumed) return { valid: false, reason: 'no_active_code' };
+    return { valid: true };
+  }
+}
+
+module.exports = OtpService;
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const RoleCache = require('./roleCache');
+const Group = require('../groups/group');
+const Community = require('../communities/community');
+const {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  GROUP_ROLE_PERMISSIONS,
+  READ_ONLY_SCOPE_PERMISSIONS,
+  normalizeGroupRole
+} = require('../users/permissions');
+
+const READ_ONLY_STATUSES = ['archived', 'deleted'];
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+/**
+ * Policy Engine
+ * Resolves a user's effective permissions for a (platform, community, group)
+ * scope from every role source:
+ * - UserRole documents (platform-wide, community-scoped or group-scoped),
+ *   including community-defined custom roles
+ * - Community.moderators and approved Community.experts
+ * - GroupMembership.role of an active membership
+ * - Group.createdBy, Group.admins and Group.moderators
+ *
+ * A scope is `{ communityId, groupId }`; both are optional. An empty scope is
+ * the platform scope and only platform-wide roles count there. Archived and
+ * deleted communities and groups are read-only: only READ_ONLY_SCOPE_PERMISSIONS
+ * are granted in them.
+ *
+ * Role and membership lookups go through RoleCache; pass the request cache
+ * (RoleCache.forRequest(req)) so repeated checks in one request share them.
+ */
+class PolicyEngine {
+
+  /**
+   * Build a scope, loading the group and community it refers to
+   * @param {Object} ids
+   * @param {string} [ids.communityId] - Community id
+   * @param {string} [ids.groupId] - Group id; its community is filled in
+   * @returns {Promise<Object|null>} Scope, or null if the group/community does not exist
+   */
+  static async resolveScope({ communityId = null, groupId = null } = {}) {
+    const scope = { communityId: null, groupId: null, group: null, community: null };
+
+    if (groupId) {
+      if (!mongoose.isValidObjectId(groupId)) return null;
+      const group = await Group.findById(groupId);
+      if (!group) return null;
+      scope.group = group;
+      scope.groupId = group._id;
+      communityId = group.communityId;
+    }
+
+    if (communityId) {
+      if (!mongoose.isValidObjectId(communityId)) return null;
+      const community = await Community.findById(communityId).select('moderators experts createdBy status');
+      if (!community && !scope.group) return null;
+      scope.community = community;
+      scope.communityId = community ? community._id : communityId;
+    }
+
+    return scope;
+  }
+
+  /**
+   * Every grant that applies to a user in a scope
+   * @param {string} userId - ParentUser id
+   * @param {Object} [scope] - Scope from resolveScope()
+   * @param {Map} [requestCache] - From RoleCache.forRequest()
+   * @returns {Promise<Array>} Grants: { source, role, scope, permissions }, plus
+   *   roleId and validUntil for UserRole grants and customRoleId/customRoleName
+   *   for custom roles
+   */
+  static async getGrants(userId, scope = {}, requestCache = null) {
+    const { communityId = null, groupId = null, group = null, community = null } = scope;
+    const grants = [];
+    const addGrant = (source, role, level, permissions, extra = {}) => {
+      grants.push({ source, role, scope: level, permissions: [...new Set(permissions)], ...extra });
+    };
+
+    // UserRole documents
+    const roles = await RoleCache.getUserRoles(userId, requestCache);
+    for (const userRole of roles) {
+      let level = null;
+      if (!userRole.communityId && !userRole.groupId) level = 'platform';
+      else if (groupId && sameId(userRole.groupId, groupId)) level = 'group';
+      else if (communityId && !userRole.groupId && sameId(userRole.communityId, communityId)) level = 'community';
+      if (!level) continue;
+
+      // Pending or rejected experts get nothing until verified
+      if (userRole.role === 'expert' && userRole.verificationStatus !== 'verified') continue;
+
+      const extra = { roleId: userRole._id, validUntil: userRole.validUntil || null };
+      let defaults = ROLE_PERMISSIONS[userRole.role] || [];
+      if (userRole.role === 'custom') {
+        // Deleted custom roles, or ones from another community, grant nothing
+        const customRole = await RoleCache.getCustomRole(userRole.customRoleId, requestCache);
+        if (!customRole || !customRole.isActive || !sameId(customRole.communityId, userRole.communityId)) continue;
+        defaults = customRole.permissions;
+        Object.assign(extra, { customRoleId: customRole._id, customRoleName: customRole.name });
+      }
+
+      const permissions = userRole.role === 'admin'
+        ? PERMISSIONS
+        : [...defaults, ...(userRole.permissions || [])];
+      addGrant('userRole', userRole.role, level, permissions, extra);
+    }
+
+    // Community moderator and expert lists
+    if (community) {
+      if (community.moderators.some(mod => sameId(mod.userId, userId))) {
+        addGrant('communityModerators', 'moderator', 'community', ROLE_PERMISSIONS.moderator);
+      }
+      if (community.experts.some(expert => expert.status === 'approved' && sameId(expert.userId, userId))) {
+        addGrant('communityExperts', 'expert', 'community', ROLE_PERMISSIONS.expert);
+      }
+    }
+
+    if (groupId) {
+      const membership = await RoleCache.getActiveMembership(userId, groupId, requestCache);
+      if (membership) {
+        const role = normalizeGroupRole(membership.role);
+        addGrant('groupMembership', role, 'group', GROUP_ROLE_PERMISSIONS[role] || []);
+      }
+
+      if (group) {
+        if (sameId(group.createdBy, userId)) {
+          addGrant('groupCreator', 'groupAdmin', 'group', GROUP_ROLE_PERMISSIONS.groupAdmin);
+        }
+        if ((group.admins || []).some(admin => sameId(admin.userId, userId))) {
+          addGrant('groupAdmins', 'groupAdmin', 'group', GROUP_ROLE_PERMISSIONS.groupAdmin);
+        }
+        if ((group.moderators || []).some(mod => sameId(mod.userId, userId))) {
+          addGrant('groupModerators', 'moderator', 'group', GROUP_ROLE_PERMISSIONS.moderator);
+        }
+      }
+    }
+
+    return grants;
+  }
+
+  /**
+   * Union of the permissions of every grant
+   * @param {string} userId - ParentUser id
+   * @param {Object} [scope] - Scope from resolveScope()
+   * @param {Map} [requestCache] - From RoleCache.forRequest()
+   * @returns {Promise<Array<string>>} Permission names
+   */
+  static async getEffectivePermissions(userId, scope = {}, requestCache = null) {
+    const grants = await PolicyEngine.getGrants(userId, scope, requestCache);
+    const permissions = [...new Set(grants.flatMap(grant => grant.permissions))];
+    if (!PolicyEngine.getReadOnlyReason(scope)) return permissions;
+    return permissions.filter(permission => READ_ONLY_SCOPE_PERMISSIONS.includes(permission));
+  }
+
+  /**
+   * Why a scope is read-only, or null if it is not
+   * @param {Object} [scope] - Scope from resolveScope()
+   * @returns {string|null} e.g. 'This community is archived'
+   */
+  static getReadOnlyReason({ community = null, group = null } = {}) {
+    if (community && READ_ONLY_STATUSES.includes(community.status)) {
+      return `This community is ${community.status}`;
+    }
+    if (group && READ_ONLY_STATUSES.includes(group.status)) {
+      return `This group is ${group.status}`;
+    }
+    return null;
+  }
+
+  /**
+   * Every permission a user has in a scope with the grants that give it
+   * @param {string} userId - ParentUser id
+   * @param {Object} [scope] - Scope from resolveScope()
+   * @param {Map} [requestCache] - From RoleCache.forRequest()
+   * @returns {Promise<Object>} { permissions: [{ permission, grantedBy }], notGranted, grants, readOnly }
+   *   where readOnly is the reason write permissions are withheld, or null
+   */
+  static async explain(userId, scope = {}, requestCache = null) {
+    const grants = await PolicyEngine.getGrants(userId, scope, requestCache);
+    const readOnly = PolicyEngine.getReadOnlyReason(scope);
+    const permissions = PERMISSIONS
+      .filter(permission => !readOnly || READ_ONLY_SCOPE_PERMISSIONS.includes(permission))
+      .map(permission => ({
+        permission,
+        grantedBy: grants
+          .filter(grant => grant.permissions.includes(permission))
+          .map(({ permissions: _permissions, ...grant }) => grant)
+      }))
+      .filter(entry => entry.grantedBy.length > 0);
+    const granted = new Set(permissions.map(entry => entry.permission));
+
+    return {
+      permissions,
+      notGranted: PERMISSIONS.filter(permission => !granted.has(permission)),
+      grants,
+      readOnly
+    };
+  }
+
+  /**
+   * Check whether a user may perform an action in a scope
+   * @param {Object|string} user - ParentUser document or id; falsy for anonymous
+   * @param {string} action - Permission name from users/permissions.js
+   * @param {Object} [scope] - Scope from resolveScope()
+   * @param {Map} [requestCache] - From RoleCache.forRequest()
+   * @returns {Promise<boolean>}
+   */
+  static async can(user, action, scope = {}, requestCache = null) {
+    if (!user) return false;
+    if (!PERMISSIONS.includes(action)) {
+      throw new Error(`Unknown permission "${action}"`);
+    }
+    const permissions = await PolicyEngine.getEffectivePermissions(user._id || user, scope, requestCache);
+    return permissions.includes(action);
+  }
+}
+
+module.exports = PolicyEngine;
@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const GroupPost = require('../groups/groupPost');
+const PollVote = require('../groups/pollVote');
+const GroupPostPublishService = require('./groupPostPublishService');
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const MAX_VOTER_PAGE_SIZE = 100;
+
+class PollError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PollError';
+    this.status = status;
+  }
+}
+
+const isClosed = (poll, now = new Date()) => !!poll.closesAt && poll.closesAt <= now;
+
+/**
+ * Poll Service
+ * Polls on 'poll' group posts. Each vote is a PollVote document (one per user
+ * and poll); the option tallies and voter count on the post move with every
+ * vote and unvote, so feeds read them without counting votes.
+ */
+class PollService {
+
+  /**
+   * Poll settings from a request body
+   * @param {Object} input - { options, allowMultiple, anonymousVotes, resultsVisibility, closesAt }
+   * @param {Date} [opensAt] - When the post goes live; closesAt must be later
+   * @returns {Object} { poll } or { error }
+   */
+  static parsePoll(input, opensAt = new Date()) {
+    if (!input || typeof input !== 'object') return { error: 'poll is required for poll posts' };
+
+    const { options, allowMultiple = false, anonymousVotes = false, resultsVisibility = 'always', closesAt = null } = input;
+    if (!Array.isArray(options) || options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+      return { error: `poll.options must have between ${MIN_OPTIONS} and ${MAX_OPTIONS} options` };
+    }
+    const texts = options.map(option => String((typeof option === 'string' ? option : option && option.text) || '').trim());
+    if (texts.some(text => !text || text.length > 200)) {
+      return { error: 'Each poll option must have between 1 and 200 characters' };
+    }
+    if (new Set(texts.map(text => text.toLowerCase())).size < texts.length) {
+      return { error: 'Poll options must be different' };
+    }
+    if (!GroupPost.POLL_RESULTS_VISIBILITY.includes(resultsVisibility)) {
+      return { error: `poll.resultsVisibility must be one of: ${GroupPost.POLL_RESULTS_VISIBILITY.join(', ')}` };
+    }
+
+    let closeTime = null;
+    if (closesAt !== null && closesAt !== '') {
+      closeTime = new Date(closesAt);
+      if (Number.isNaN(closeTime.getTime())) return { error: 'poll.closesAt must be a valid date' };
+      if (closeTime <= opensAt) return { error: 'poll.closesAt must be after the post is published' };
+    }
+
+    return {
+      poll: {
+        options: texts.map(text => ({ text: GroupPostPublishService.maskProfanity(text) })),
+        allowMultiple: allowMultiple === true,
+        anonymousVotes: anonymousVotes === true,
+        resultsVisibility,
+        closesAt: closeTime
+      }
+    };
+  }
+
+  /**
+   * Vote in a poll
+   * @param {Object} post - Published GroupPost
+   * @param {string} userId - Voter
+   * @param {Array<string>} optionIds - One option, or several in multiple-choice polls
+   */
+  static async vote(post, userId, optionIds) {
+    const poll = PollService.getOpenPoll(post);
+
+    const chosen = [...new Set((Array.isArray(optionIds) ? optionIds : [optionIds]).map(String))];
+    if (chosen.length === 0) throw new PollError('Choose at least one option');
+    if (!poll.allowMultiple && chosen.length > 1) throw new PollError('This poll allows only one choice');
+    const validIds = new Set(poll.options.map(option => option._id.toString()));
+    if (chosen.some(id => !validIds.has(id))) throw new PollError('Unknown poll option');
+
+    try {
+      await PollVote.create({ postId: post._id, userId, optionIds: chosen });
+    } catch (err) {
+      if (err.code === 11000) throw new PollError('You have already voted in this poll', 409);
+      throw err;
+    }
+    await PollService.updateTallies(post._id, chosen, 1);
+  }
+
+  /**
+   * Take back a vote while the poll is open
+   * @param {Object} post - Published GroupPost
+   * @param {string} userId - Voter
+   */
+  static async unvote(post, userId) {
+    PollService.getOpenPoll(post);
+
+    const vote = await PollVote.findOneAndDelete({ postId: post._id, userId }).lean();
+    if (!vote) throw new PollError('You have not voted in this poll', 404);
+    await PollService.updateTallies(post._id, vote.optionIds, -1);
+  }
+
+  // Poll of a post that can still be voted in
+  static getOpenPoll(post) {
+    if (post.postType !== 'poll' || !post.poll) throw new PollError('This post is not a poll');
+    if (isClosed(post.poll)) throw new PollError('This poll is closed');
+    return post.poll;
+  }
+
+  // Move the voter count and the tallies of the chosen options by `delta`
+  static updateTallies(postId, optionIds, delta) {
+    return GroupPost.updateOne(
+      { _id: postId },
+      { $inc: { 'poll.voterCount': delta, 'poll.options.$[option].voteCount': delta } },
+      { arrayFilters: [{ 'option._id': { $in: optionIds.map(id => new mongoose.Types.ObjectId(id)) } }] }
+    );
+  }
+
+  /**
+   * Poll results as a viewer may see them, for the poll posts of a list.
+   * Tallies are left out of 'after_vote' polls until the viewer voted, the
+   * poll closed, or the viewer is the post's author.
+   * @param {Array<Object>} posts - GroupPosts; posts without a poll are skipped
+   * @param {string} [viewerId] - Logged-in user, if any
+   * @returns {Promise<Map>} Post id -> results
+   */
+  static async getResults(posts, viewerId = null) {
+    const polls = posts.filter(post => post.postType === 'poll' && post.poll);
+    if (polls.length === 0) return new Map();
+
+    const votes = viewerId
+      ? await PollVote.find({ userId: viewerId, postId: { $in: polls.map(post => post._id) } }).lean()
+      : [];
+    const voteByPost = new Map(votes.map(vote => [vote.postId.toString(), vote]));
+
+    const now = new Date();
+    return new Map(polls.map(post => {
+      const poll = post.poll;
+      const vote = voteByPost.get(post._id.toString());
+      const authorId = post.authorId && (post.authorId._id || post.authorId);
+      const isAuthor = !!viewerId && !!authorId && authorId.toString() === viewerId.toString();
+      const resultsVisible = poll.resultsVisibility === 'always' || !!vote || isClosed(poll, now) || isAuthor;
+
+      return [post._id.toString(), {
+        options: poll.options.map(option => ({
+          id: option._id,
+          text: option.text,
+          voteCount: resultsVisible ? option.voteCount : null,
+          percent: resultsVisible && poll.voterCount > 0
+            ? Math.round((option.voteCount / poll.voterCount) * 100)
+            : null
+        })),
+        allowMultiple: poll.allowMultiple,
+        anonymousVotes: poll.anonymousVotes,
+        resultsVisibility: poll.resultsVisibility,
+        closesAt: poll.closesAt,
+        isClosed: isClosed(poll, now),
+        voterCount: resultsVisible ? poll.voterCount : null,
+        resultsVisible,
+        hasVoted: !!vote,
+        myOptionIds: vote ? vote.optionIds : []
+      }];
+    }));
+  }
+
+  /**
+   * Who voted for an option of a visible poll, newest first
+   * @param {Object} post - Published GroupPost
+   * @param {string} optionId - Poll option
+   * @param {Object} [options]
+   * @param {string} [options.viewerId] - Must be allowed to see the results
+   * @param {Array} [options.hiddenUserIds] - Blocked users to leave out
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20] - At most MAX_VOTER_PAGE_SIZE
+   * @returns {Promise<Object>} { voters, total, page, totalPages }
+   */
+  static async getVoters(post, optionId, { viewerId = null, hiddenUserIds = [], page = 1, limit = 20 } = {}) {
+    if (post.postType !== 'poll' || !post.poll) throw new PollError('This post is not a poll');
+    if (post.poll.anonymousVotes) throw new PollError('Votes in this poll are anonymous', 403);
+    if (!post.poll.options.some(option => option._id.toString() === String(optionId))) {
+      throw new PollError('Unknown poll option');
+    }
+    const [results] = (await PollService.getResults([post], viewerId)).values();
+    if (!results.resultsVisible) throw new PollError('Vote to see the results of this poll', 403);
+
+    page = Math.max(parseInt(page, 10) || 1, 1);
+    limit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_VOTER_PAGE_SIZE);
+    const filter = { postId: post._id, optionIds: optionId, userId: { $nin: hiddenUserIds } };
+    const [votes, total] = await Promise.all([
+      PollVote.find(filter)
+        .populate('userId', 'name avatar')
+        .sort({ votedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      PollVote.countDocuments(filter)
+    ]);
+
+    return {
+      voters: votes.filter(vote => vote.userId).map(vote => ({ user: vote.userId, votedAt: vote.votedAt })),
+      total,
+      page,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  // Remove the votes of a set of posts (community purge)
+  static removeForPosts(postIds) {
+    return PollVote.deleteMany({ postId: { $in: postIds } });
+  }
+
+  // Remove a user's votes (account purge) and take them out of the tallies
+  static async removeUser(userId) {
+    const votes = await PollVote.find({ userId }).select('_id').lean();
+    for (const { _id } of votes) {
+      // Deleted one by one so a concurrent unvote cannot take a vote out twice
+      const vote = await PollVote.findOneAndDelete({ _id }).lean();
+      if (vote) await PollService.updateTallies(vote.postId, vote.optionIds, -1);
+    }
+  }
+}
+
+PollService.PollError = PollError;
+
+module.exports = PollService;
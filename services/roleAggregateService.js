@@ -1,6 +1,7 @@
-const UserRole = require('../users/userRole');
-const GroupMembership = require('../groups/groupMembership');
-const Group = require('../groups/group');
+const PolicyEngine = require('./policyEngine');
+const RoleCache = require('./roleCache');
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
 
 /**
  * Role Aggregation Service
@@ -16,27 +17,25 @@ class RoleAggregationService {
    * Get all applicable roles for a user in a specific group context
    * @param {string} userId - The user's ID
    * @param {string} groupId - The group's ID
+   * @param {Map} [requestCache] - From RoleCache.forRequest(); shares lookups across a feed page
    * @returns {Promise<Array>} Array of role objects with type, icon, and priority
    */
-  static async getUserRolesInGroup(userId, groupId) {
+  static async getUserRolesInGroup(userId, groupId, requestCache = null) {
     try {
       const roles = [];
       
       // Get group information to determine community
-      const group = await Group.findById(groupId).populate('communityId');
-      if (!group) {
+      const communityId = await RoleCache.getGroupCommunityId(groupId, requestCache);
+      if (!communityId) {
         throw new Error('Group not found');
       }
       
-      const communityId = group.communityId._id;
+      const userRoles = await RoleCache.getUserRoles(userId, requestCache);
       
       // 1. Check for Platform Admin (highest priority)
-      const platformAdminRole = await UserRole.findOne({
-        userId: userId,
-        role: 'admin',
-        communityId: null, // Platform-wide admin
-        isActive: true
-      });
+      const platformAdminRole = userRoles.find(role => 
+        role.role === 'admin' && !role.communityId // Platform-wide admin
+      );
       
       if (platformAdminRole) {
         roles.push({
@@ -51,11 +50,7 @@ class RoleAggregationService {
       }
       
       // 2. Check for Group Admin or Group Moderator
-      const groupMembership = await GroupMembership.findOne({
-        userId: userId,
-        groupId: groupId,
-        status: 'active'
-      });
+      const groupMembership = await RoleCache.getActiveMembership(userId, groupId, requestCache);
 
       if (groupMembership) {
         // Treat both 'groupAdmin' and legacy 'admin' as group admin for display
@@ -79,12 +74,9 @@ class RoleAggregationService {
       }
 
       // 3. Check for Community Moderator
-      const moderatorRole = await UserRole.findOne({
-        userId: userId,
-        role: 'moderator',
-        communityId: communityId,
-        isActive: true
-      });
+      const moderatorRole = userRoles.find(role => 
+        role.role === 'moderator' && sameId(role.communityId, communityId)
+      );
 
       if (moderatorRole) {
         roles.push({
@@ -97,12 +89,9 @@ class RoleAggregationService {
       }
       
       // 4. Check for Community Expert
-      const expertRole = await UserRole.findOne({
-        userId: userId,
-        role: 'expert',
-        communityId: communityId,
-        isActive: true
-      });
+      const expertRole = userRoles.find(role => 
+        role.role === 'expert' && sameId(role.communityId, communityId)
+      );
       
       if (expertRole) {
         const icon = expertRole.verificationStatus === 'verified' ? '🎓' : '⏳';
@@ -151,46 +140,13 @@ class RoleAggregationService {
    * Check if user can post in a specific group
    * @param {string} userId - The user's ID
    * @param {string} groupId - The group's ID
+   * @param {Map} [requestCache] - From RoleCache.forRequest()
    * @returns {Promise<boolean>} Whether user can post
    */
-  static async canUserPostInGroup(userId, groupId) {
+  static async canUserPostInGroup(userId, groupId, requestCache = null) {
     try {
-      // Check if user is platform admin
-      const platformAdminRole = await UserRole.findOne({
-        userId: userId,
-        role: 'admin',
-        isActive: true
-      });
-      if (platformAdminRole) {
-        return true; // Platform admins can post anywhere
-      }
-      
-      // Check if user is active member of the group
-      const membership = await GroupMembership.findOne({
-        userId: userId,
-        groupId: groupId,
-        status: 'active'
-      });
-      
-      if (membership) {
-        return true; // Active group members can post
-      }
-      
-      // Check if user is community moderator or expert
-      const group = await Group.findById(groupId).populate('communityId');
-      if (!group) {
-        return false;
-      }
-      
-      const communityRole = await UserRole.findOne({
-        userId: userId,
-        role: { $in: ['moderator', 'expert'] },
-        communityId: group.communityId._id,
-        isActive: true
-      });
-      
-      return !!communityRole; // Community moderators and experts can post in all groups under their community
-      
+      const scope = await PolicyEngine.resolveScope({ groupId });
+      return !!scope && await PolicyEngine.can(userId, 'create_group_post', scope, requestCache);
     } catch (error) {
       console.error('Error in canUserPostInGroup:', error);
       return false;
@@ -0,0 +1,289 @@
+const mongoose = require('mongoose');
+const UserRole = require('../users/userRole');
+const CustomRole = require('../communities/customRole');
+const RoleCache = require('./roleCache');
+const RoleAuditService = require('./roleAuditService');
+const PolicyEngine = require('./policyEngine');
+const { MAX_DELEGATION_DAYS } = require('../constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Raised for invalid assignment input; controllers answer with `status`
+class RoleAssignmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RoleAssignmentError';
+    this.status = status;
+  }
+}
+
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new RoleAssignmentError(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Role Assignment Service
+ * Creates time-bounded role assignments, handles moderator delegation and
+ * deactivates roles once their validity window has passed.
+ */
+class RoleAssignmentService {
+
+  /**
+   * Check and normalise a validity window
+   * @param {*} validFrom - Date or date string; defaults to now
+   * @param {*} validUntil - Date or date string; null for no expiry
+   * @returns {{ validFrom: Date, validUntil: Date|null }}
+   */
+  static parseValidity(validFrom, validUntil) {
+    const from = parseDate(validFrom, 'validFrom') || new Date();
+    const until = parseDate(validUntil, 'validUntil');
+    if (until && until <= from) {
+      throw new RoleAssignmentError('validUntil must be after validFrom');
+    }
+    if (until && until <= new Date()) {
+      throw new RoleAssignmentError('validUntil must be in the future');
+    }
+    return { validFrom: from, validUntil: until };
+  }
+
+  /**
+   * Assign a role in a scope. An inactive assignment with the same scope is
+   * reactivated (the scope is unique per user and role).
+   * @param {Object} assignment - userId, role, customRoleId (role 'custom'),
+   *   communityId, groupId, assignedBy, validFrom, validUntil, delegatedFrom,
+   *   delegatedBy and any extra UserRole fields
+   * @param {Object} [audit] - Audit entry options
+   * @param {string} [audit.action='assign'] - Audit action to record
+   * @param {string} [audit.reason] - Reason given by the actor (assignedBy)
+   * @param {Object} [audit.details] - Extra data for the audit entry
+   * @returns {Promise<Object>} The saved UserRole
+   */
+  static async assignRole({ userId, role, customRoleId = null, communityId = null, groupId = null, validFrom, validUntil, ...fields }, audit = {}) {
+    const validity = RoleAssignmentService.parseValidity(validFrom, validUntil);
+
+    if (role === 'custom') {
+      const customRole = mongoose.isValidObjectId(customRoleId)
+        ? await CustomRole.findById(customRoleId)
+        : null;
+      if (!customRole || !customRole.isActive) {
+        throw new RoleAssignmentError('Custom role not found', 404);
+      }
+      if (communityId && communityId.toString() !== customRole.communityId.toString()) {
+        throw new RoleAssignmentError('Custom role belongs to another community');
+      }
+      communityId = customRole.communityId;
+    }
+
+    const scope = {
+      userId,
+      role,
+      customRoleId: role === 'custom' ? customRoleId : null,
+      communityId: communityId || null,
+      groupId: groupId || null
+    };
+
+    let userRole = await UserRole.findOne(scope);
+    if (userRole && userRole.isActive && UserRole.isCurrent(userRole)) {
+      throw new RoleAssignmentError('User already has this role');
+    }
+
+    if (userRole) {
+      // Reuse the inactive or lapsed assignment; start from the role's default permissions again
+      userRole.set({ delegatedFrom: null, delegatedBy: null, ...fields, ...validity, isActive: true, deactivatedAt: undefined, suspendedByCommunity: undefined, assignedAt: new Date() });
+      userRole.markModified('role');
+    } else {
+      userRole = new UserRole({ ...scope, ...fields, ...validity });
+    }
+
+    await userRole.save();
+    RoleCache.invalidateUserRoles(userId);
+
+    await RoleAuditService.recordUserRole(audit.action || 'assign', userRole, {
+      actor: fields.assignedBy,
+      reason: audit.reason,
+      details: { validFrom: userRole.validFrom, validUntil: userRole.validUntil, ...audit.details }
+    });
+    return userRole;
+  }
+
+  /**
+   * Let a community moderator (or admin) make someone moderator of a group in
+   * their community for a limited number of days. A delegated role never
+   * outlives the role it was delegated from.
+   * @param {Object} delegator - ParentUser granting the role
+   * @param {Object} scope - Group scope from PolicyEngine.resolveScope()
+   * @param {string} userId - ParentUser receiving the role
+   * @param {number} days - Duration, 1..MAX_DELEGATION_DAYS
+   * @param {Map} [requestCache] - From RoleCache.forRequest()
+   * @param {string} [reason] - Reason recorded in the audit trail
+   * @returns {Promise<Object>} The saved UserRole
+   */
+  static async delegateModerator(delegator, scope, userId, days, requestCache = null, reason) {
+    const duration = Number(days);
+    if (!Number.isInteger(duration) || duration < 1 || duration > MAX_DELEGATION_DAYS) {
+      throw new RoleAssignmentError(`days must be a whole number between 1 and ${MAX_DELEGATION_DAYS}`);
+    }
+    if (userId.toString() === delegator._id.toString()) {
+      throw new RoleAssignmentError('You cannot delegate a role to yourself');
+    }
+
+    // Only community- or platform-level authority can be delegated, so
+    // delegated group moderators cannot delegate further
+    const grants = await PolicyEngine.getGrants(delegator._id, scope, requestCache);
+    const authority = grants.find(grant =>
+      grant.scope !== 'group' && grant.permissions.includes('delegate_moderator')
+    );
+    if (!authority) {
+      throw new RoleAssignmentError('Only community moderators can delegate moderator in a group', 403);
+    }
+
+    const now = new Date();
+    let validUntil = new Date(now.getTime() + duration * DAY_MS);
+    if (authority.validUntil && authority.validUntil < validUntil) {
+      validUntil = authority.validUntil;
+    }
+
+    return RoleAssignmentService.assignRole({
+      userId,
+      role: 'moderator',
+      communityId: scope.communityId,
+      groupId: scope.groupId,
+      assignedBy: delegator._id,
+      delegatedFrom: authority.roleId || null,
+      // Moderators from the community's list have no role to point to
+      delegatedBy: authority.source === 'communityModerators' ? delegator._id : null,
+      validFrom: now,
+      validUntil
+    }, {
+      action: 'delegate',
+      reason,
+      details: { days: duration, delegatorGrant: authority.source }
+    });
+  }
+
+  /**
+   * Deactivate the group moderator roles a user delegated as a moderator on
+   * the community's list, e.g. once they are taken off it
+   * @param {string} userId - ParentUser who delegated
+   * @param {string} communityId - Community id
+   * @param {Object} [actor] - ParentUser making the change
+   * @returns {Promise<number>} Number of deactivated roles
+   */
+  static revokeDelegationsBy(userId, communityId, actor = null) {
+    return RoleAssignmentService.deactivateRoles(
+      { delegatedBy: userId, communityId, isActive: true },
+      { action: 'remove', actor, cause: 'delegator_removed' }
+    );
+  }
+
+  /**
+   * Deactivate every role of a user and every delegation they granted, e.g.
+   * when their account is purged. The roles stay for the audit trail.
+   * @param {string} userId - ParentUser id
+   * @returns {Promise<number>} Number of deactivated roles
+   */
+  static async removeUser(userId) {
+    const removed = await RoleAssignmentService.deactivateRoles(
+      { userId, isActive: true },
+      { action: 'remove', cause: 'account_deleted' }
+    );
+    const delegations = await RoleAssignmentService.deactivateRoles(
+      { delegatedBy: userId, isActive: true },
+      { action: 'remove', cause: 'delegator_removed' }
+    );
+    return removed + delegations;
+  }
+
+  /**
+   * Deactivate the roles delegated from a role that was just removed
+   * @param {string} userRoleId - The removed UserRole
+   * @param {Object} [actor] - ParentUser making the change
+   * @returns {Promise<number>} Number of deactivated roles
+   */
+  static revokeDelegationsFrom(userRoleId, actor = null) {
+    return RoleAssignmentService.deactivateRoles(
+      { delegatedFrom: userRoleId, isActive: true },
+      { action: 'remove', actor, cause: 'delegator_removed' }
+    );
+  }
+
+  /**
+   * Deactivate the roles matching `filter`, then every role delegated from
+   * them, and audit each batch
+   * @param {Object} filter - UserRole filter, should include isActive: true
+   * @param {Object} options
+   * @param {string} [options.action='expire'] - Audit action for the first batch
+   * @param {Object} [options.actor] - ParentUser making the change; omit for system changes
+   * @param {string} options.cause - Recorded in the audit details of the first batch
+   * @returns {Promise<number>} Number of deactivated roles
+   */
+  static async deactivateRoles(filter, { action = 'expire', actor = null, cause }) {
+    const now = new Date();
+    let total = 0;
+
+    // Repeat for delegation chains: each pass catches roles delegated from the last batch
+    while (true) {
+      const roles = await UserRole.find(filter)
+        .select('_id userId role customRoleId communityId groupId permissions')
+        .lean();
+      if (roles.length === 0) break;
+
+      await UserRole.updateMany(
+        { _id: { $in: roles.map(role => role._id) }, isActive: true },
+        { $set: { isActive: false, deactivatedAt: now } }
+      );
+      roles.forEach(role => RoleCache.invalidateUserRoles(role.userId));
+      await RoleAuditService.recordBulk(action, roles, { actor, details: { cause } });
+      total += roles.length;
+
+      filter = { isActive: true, delegatedFrom: { $in: roles.map(role => role._id) } };
+      action = 'expire';
+      cause = 'delegator_inactive';
+    }
+
+    return total;
+  }
+
+  /**
+   * Deactivate every role whose validity window has passed, and every role
+   * delegated from a role that is no longer active or no longer exists
+   * @returns {Promise<number>} Number of deactivated roles
+   */
+  static async deactivateExpiredRoles() {
+    let total = await RoleAssignmentService.deactivateRoles(
+      { isActive: true, validUntil: { $ne: null, $lte: new Date() } },
+      { cause: 'expired' }
+    );
+
+    // Delegations whose source role was removed or purged outside this sweep
+    const delegated = await UserRole.find({ isActive: true, delegatedFrom: { $ne: null } })
+      .select('_id delegatedFrom')
+      .lean();
+    if (delegated.length > 0) {
+      const sourceIds = [...new Set(delegated.map(role => role.delegatedFrom.toString()))];
+      const activeSources = new Set(
+        (await UserRole.find({ _id: { $in: sourceIds }, isActive: true }).distinct('_id')).map(String)
+      );
+      const orphanIds = delegated
+        .filter(role => !activeSources.has(role.delegatedFrom.toString()))
+        .map(role => role._id);
+      if (orphanIds.length > 0) {
+        total += await RoleAssignmentService.deactivateRoles(
+          { _id: { $in: orphanIds }, isActive: true },
+          { cause: 'delegator_inactive' }
+        );
+      }
+    }
+
+    return total;
+  }
+}
+
+RoleAssignmentService.RoleAssignmentError = RoleAssignmentError;
+
+module.exports = RoleAssignmentService;
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const RoleAudit = require('../users/roleAudit');
+const { ROLE_AUDIT_ACTIONS } = RoleAudit;
+
+const MAX_PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const toArray = (permissions) => (permissions ? [...permissions] : []);
+
+/**
+ * Role Audit Service
+ * Writes and queries the append-only RoleAudit trail. Recording never fails
+ * the change being audited: errors are logged and the request carries on.
+ */
+class RoleAuditService {
+
+  /**
+   * Append one audit entry
+   * @param {Object} entry - RoleAudit fields (action, actorId, targetUserId, source, ...)
+   * @returns {Promise<Object|null>} The saved entry, or null if it could not be written
+   */
+  static async record(entry) {
+    try {
+      return await RoleAudit.create(entry);
+    } catch (err) {
+      console.error('Failed to write role audit entry:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Append an entry for a change to a UserRole
+   * @param {string} action - One of ROLE_AUDIT_ACTIONS
+   * @param {Object} userRole - UserRole after the change
+   * @param {Object} [options]
+   * @param {Object|string} [options.actor] - ParentUser (or id) who made the change; omit for system changes
+   * @param {Array<string>} [options.before] - Permissions before the change
+   * @param {Array<string>} [options.after] - Permissions after; defaults to the role's permissions, or none if inactive
+   * @param {string} [options.reason] - Free-text reason given by the actor
+   * @param {Object} [options.details] - Extra action-specific data
+   */
+  static recordUserRole(action, userRole, { actor = null, before = [], after, reason, details } = {}) {
+    return RoleAuditService.record({
+      action,
+      actorId: actor ? (actor._id || actor) : null,
+      targetUserId: userRole.userId,
+      source: userRole.role === 'custom' ? 'customRole' : 'userRole',
+      role: userRole.role,
+      userRoleId: userRole._id,
+      customRoleId: userRole.customRoleId || null,
+      communityId: userRole.communityId || null,
+      groupId: userRole.groupId || null,
+      permissionsBefore: toArray(before),
+      permissionsAfter: after !== undefined ? toArray(after) : (userRole.isActive ? toArray(userRole.permissions) : []),
+      reason,
+      details
+    });
+  }
+
+  /**
+   * Append entries for roles the system deactivated in bulk
+   * @param {Array<Object>} userRoles - UserRoles as they were before deactivation
+   * @param {Object} [details] - Shared details, e.g. { cause: 'validUntil' }
+   */
+  static recordExpired(userRoles, details) {
+    return RoleAuditService.recordBulk('expire', userRoles, { details });
+  }
+
+  /**
+   * Append one entry per role for a change made to many roles at once
+   * @param {string} action - One of ROLE_AUDIT_ACTIONS
+   * @param {Array<Object>} userRoles - UserRoles affected (lean)
+   * @param {Object} [options]
+   * @param {Object|string} [options.actor] - ParentUser (or id) who made the change; omit for system changes
+   * @param {boolean} [options.activated=false] - Whether the roles were activated rather than deactivated
+   * @param {Object} [options.details] - Shared details
+   */
+  static async recordBulk(action, userRoles, { actor = null, activated = false, details } = {}) {
+    if (userRoles.length === 0) return;
+    try {
+      await RoleAudit.insertMany(userRoles.map(userRole => ({
+        action,
+        actorId: actor ? (actor._id || actor) : null,
+        targetUserId: userRole.userId,
+        source: userRole.role === 'custom' ? 'customRole' : 'userRole',
+        role: userRole.role,
+        userRoleId: userRole._id,
+        customRoleId: userRole.customRoleId || null,
+        communityId: userRole.communityId || null,
+        groupId: userRole.groupId || null,
+        permissionsBefore: activated ? [] : toArray(userRole.permissions),
+        permissionsAfter: activated ? toArray(userRole.permissions) : [],
+        details
+      })));
+    } catch (err) {
+      console.error('Failed to write role audit entries:', err);
+    }
+  }
+
+  /**
+   * Search the audit trail, newest first
+   * @param {Object} filters
+   * @param {string} [filters.userId] - Target user
+   * @param {string} [filters.actorId] - User who made the changes
+   * @param {string} [filters.communityId] - Community scope
+   * @param {string} [filters.groupId] - Group scope
+   * @param {string} [filters.role] - Role name, e.g. 'moderator'
+   * @param {string} [filters.action] - One of ROLE_AUDIT_ACTIONS
+   * @param {string} [filters.from] - Earliest date (inclusive)
+   * @param {string} [filters.to] - Latest date (inclusive; a date without a time covers that whole day)
+   * @param {number} [filters.page=1]
+   * @param {number} [filters.limit=50]
+   * @returns {Promise<Object>} { entries, total, page, totalPages }
+   */
+  static async query({ userId, actorId, communityId, groupId, role, action, from, to, page = 1, limit = 50 } = {}) {
+    const query = {};
+    const idFilters = { targetUserId: userId, actorId, communityId, groupId };
+    for (const [field, value] of Object.entries(idFilters)) {
+      if (!value) continue;
+      if (!mongoose.isValidObjectId(value)) {
+        throw new Error(`Invalid ${field === 'targetUserId' ? 'userId' : field}`);
+      }
+      query[field] = value;
+    }
+    // Query strings can carry arrays or objects; only plain values are matched
+    if (role) query.role = String(role);
+    if (action) {
+      if (!ROLE_AUDIT_ACTIONS.includes(String(action))) {
+        throw new Error(`action must be one of: ${ROLE_AUDIT_ACTIONS.join(', ')}`);
+      }
+      query.action = String(action);
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(String(from));
+      if (to) {
+        query.createdAt.$lte = DATE_ONLY.test(String(to))
+          ? new Date(new Date(String(to)).getTime() + DAY_MS - 1)
+          : new Date(String(to));
+      }
+      if (Object.values(query.createdAt).some(date => Number.isNaN(date.getTime()))) {
+        throw new Error('from and to must be valid dates');
+      }
+    }
+
+    const pageNumber = Math.max(Number(page) || 1, 1);
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const [entries, total] = await Promise.all([
+      RoleAudit.find(query)
+        .populate('actorId', 'name email')
+        .populate('targetUserId', 'name email')
+        .populate('communityId', 'title')
+        .populate('groupId', 'title')
+        .populate('customRoleId', 'name')
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      RoleAudit.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      total,
+      page: pageNumber,
+      totalPages: Math.ceil(total / pageSize)
+    };
+  }
+}
+
+module.exports = RoleAuditService;
@@ -0,0 +1,139 @@
+const UserRole = require('../users/userRole');
+const GroupMembership = require('../groups/groupMembership');
+const Group = require('../groups/group');
+const CustomRole = require('../communities/customRole');
+const TtlCache = require('./ttlCache');
+const { ROLE_CACHE_TTL_SECONDS } = require('../constants');
+
+const processCache = new TtlCache({ ttlMs: ROLE_CACHE_TTL_SECONDS * 1000 });
+
+/**
+ * Role Cache
+ * Caches the role lookups the policy engine and RoleAggregationService make:
+ * a user's active UserRoles, their active membership in a group and a group's
+ * community. Lookups are shared within a request (pass the request cache from
+ * forRequest()) and kept in a short-TTL process cache between requests.
+ *
+ * Anything that changes roles or memberships must call one of the
+ * invalidate* methods so the next request reads fresh data.
+ */
+class RoleCache {
+
+  /**
+   * Request-scoped cache, created on first use
+   * @param {Object} req - Express request
+   * @returns {Map} Cache shared by every lookup in this request
+   */
+  static forRequest(req) {
+    if (!req.roleCache) req.roleCache = new Map();
+    return req.roleCache;
+  }
+
+  /**
+   * Return the cached promise for `key`, or start `load()` and cache it.
+   * Concurrent callers share one query; failed loads are not cached.
+   */
+  static remember(key, load, requestCache = null) {
+    if (requestCache && requestCache.has(key)) return requestCache.get(key);
+
+    let pending = processCache.get(key);
+    if (pending === undefined) {
+      pending = load();
+      processCache.set(key, pending);
+      pending.catch(() => processCache.delete(key));
+    }
+    if (requestCache) requestCache.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Active UserRole documents of a user (lean) that are inside their
+   * validity window right now
+   * @param {string} userId - ParentUser id
+   * @param {Map} [requestCache] - From forRequest()
+   * @returns {Promise<Array>}
+   */
+  static async getUserRoles(userId, requestCache = null) {
+    const roles = await RoleCache.remember(
+      `roles:${userId}`,
+      () => UserRole.find({ userId, isActive: true }).lean(),
+      requestCache
+    );
+    // Filtered on every read so a role stops counting the moment it expires
+    const now = new Date();
+    return roles.filter(role => UserRole.isCurrent(role, now));
+  }
+
+  /**
+   * Active membership of a user in a group (lean), or null
+   * @param {string} userId - ParentUser id
+   * @param {string} groupId - Group id
+   * @param {Map} [requestCache] - From forRequest()
+   * @returns {Promise<Object|null>}
+   */
+  static getActiveMembership(userId, groupId, requestCache = null) {
+    return RoleCache.remember(
+      `membership:${userId}:${groupId}`,
+      () => GroupMembership.findOne({ groupId, userId, status: 'active' }).lean(),
+      requestCache
+    );
+  }
+
+  /**
+   * Community a group belongs to, or null if the group does not exist
+   * @param {string} groupId - Group id
+   * @param {Map} [requestCache] - From forRequest()
+   * @returns {Promise<ObjectId|null>}
+   */
+  static getGroupCommunityId(groupId, requestCache = null) {
+    return RoleCache.remember(
+      `groupCommunity:${groupId}`,
+      async () => {
+        const group = await Group.findById(groupId).select('communityId').lean();
+        return group ? group.communityId : null;
+      },
+      requestCache
+    );
+  }
+
+  /**
+   * Community-defined role (lean), or null
+   * @param {string} customRoleId - CustomRole id
+   * @param {Map} [requestCache] - From forRequest()
+   * @returns {Promise<Object|null>}
+   */
+  static getCustomRole(customRoleId, requestCache = null) {
+    return RoleCache.remember(
+      `customRole:${customRoleId}`,
+      () => CustomRole.findById(customRoleId).lean(),
+      requestCache
+    );
+  }
+
+  // A user's UserRoles changed (assigned, removed, permissions, verification)
+  static invalidateUserRoles(userId) {
+    processCache.delete(`roles:${userId}`);
+  }
+
+  // A user's membership in a group changed (joined, left, banned, role)
+  static invalidateMembership(userId, groupId) {
+    processCache.delete(`membership:${userId}:${groupId}`);
+  }
+
+  // A custom role's permissions changed or it was deleted
+  static invalidateCustomRole(customRoleId) {
+    processCache.delete(`customRole:${customRoleId}`);
+  }
+
+  // Everything cached about a user, e.g. when the account is purged
+  static invalidateUser(userId) {
+    processCache.delete(`roles:${userId}`);
+    processCache.deleteByPrefix(`membership:${userId}:`);
+  }
+
+  static clear() {
+    processCache.clear();
+  }
+}
+
+module.exports = RoleCache;
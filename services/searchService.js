@@ -0,0 +1,315 @@
+const Group = require('../groups/group');
+const GroupPost = require('../groups/groupPost');
+const GroupMembership = require('../groups/groupMembership');
+const CommunityMembership = require('../communities/communityMembership');
+const Post = require('../posts/post');
+const Event = require('../events/event');
+const User = require('../users/parentUser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 60;
+const TAG_FACET_LIMIT = 20;
+// Deepest result (page * limit) a search can reach
+const MAX_RESULT_WINDOW = 500;
+
+// Date facet buckets, newest first; events in the future count as 'upcoming'
+const DATE_BUCKETS = [
+  { key: 'past_week', days: 7 },
+  { key: 'past_month', days: 30 },
+  { key: 'past_year', days: 365 }
+];
+
+// Groups whose content is still readable (archived groups are read-only)
+const READABLE_GROUP_STATUSES = ['active', 'archived'];
+
+// Searchable collections. `date` is the field used for date filters and
+// facets, `text` the field snippets are cut from.
+const SOURCES = {
+  groups: {
+    model: Group,
+    date: 'createdAt',
+    text: 'intro',
+    fields: 'title intro image category type ageBands location memberCount communityId createdAt',
+    populate: [{ path: 'communityId', select: 'title' }]
+  },
+  groupPosts: {
+    model: GroupPost,
+    date: 'createdAt',
+    text: 'content',
+    tags: 'tags',
+    fields: 'groupId authorId content tags postType urgencyLevel isAnonymous createdAt',
+    populate: [{ path: 'authorId', select: 'name avatar' }, { path: 'groupId', select: 'title type' }]
+  },
+  posts: {
+    model: Post,
+    date: 'createdAt',
+    text: 'content',
+    fields: 'postId authorId content category postType mediaType mediaUrl ageBands createdAt',
+    populate: [{ path: 'authorId', select: 'name avatar' }]
+  },
+  events: {
+    model: Event,
+    date: 'date',
+    text: 'description',
+    fields: 'title description date time duration eventType location category coverImageUrl visibility host communityId',
+    populate: [{ path: 'host', select: 'name avatar' }]
+  }
+};
+
+const SEARCH_TYPES = Object.keys(SOURCES);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words to highlight: the query without quotes, exclusions and one-letter words
+const getHighlightTerms = (q) => q
+  .replace(/"/g, ' ')
+  .split(/\s+/)
+  .filter(term => term.length > 1 && !term.startsWith('-'));
+
+/**
+ * Cut a snippet around the first query term in a text
+ * @param {string} text - Field to cut from
+ * @param {Array<string>} terms - From getHighlightTerms()
+ * @returns {Object} { text, highlights } with highlights as [start, end] offsets into text
+ */
+const buildSnippet = (text, terms) => {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!source) return { text: '', highlights: [] };
+
+  // Terms match at the start of a word, so "sleep" also finds "sleeping"
+  const pattern = terms.length > 0
+    ? new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})\\w*`, 'gi')
+    : null;
+  const first = pattern ? source.search(pattern) : -1;
+
+  let start = first > SNIPPET_LEAD ? first - SNIPPET_LEAD : 0;
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    start = space !== -1 && space < first ? space + 1 : start;
+  }
+  const end = Math.min(source.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const body = source.slice(start, end);
+  const snippet = `${prefix}${body}${end < source.length ? '…' : ''}`;
+
+  const highlights = [];
+  if (pattern) {
+    let match;
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(body)) !== null) {
+      highlights.push([prefix.length + match.index, prefix.length + match.index + match[0].length]);
+    }
+  }
+  return { text: snippet, highlights };
+};
+
+/**
+ * Search Service
+ * Full-text search over groups, group posts, posts and events through their
+ * text indexes. Every source applies the same visibility rules as its own
+ * listing endpoints:
+ * - groups: Public and Private groups, Secret ones only for members
+ * - group posts: posts in Public groups, and in Private/Secret groups the
+ *   viewer is an active member of; deleted groups never show
+ * - posts and group posts from blocked users (either way) are left out
+ * - events: Public ones, the viewer's own or RSVP'd ones, and Group-only
+ *   events of communities the viewer is a member of
+ */
+class SearchService {
+
+  /**
+   * Run a search across one or more sources
+   * @param {Object} params
+   * @param {string} params.q - Search text (MongoDB $text syntax: "phrases", -exclusions)
+   * @param {Array<string>} [params.types] - Sources from SEARCH_TYPES; defaults to all
+   * @param {string} [params.tag] - Only content with this tag (group posts)
+   * @param {Date} [params.from] - Earliest date (inclusive)
+   * @param {Date} [params.to] - Latest date (inclusive)
+   * @param {number} [params.page=1]
+   * @param {number} [params.limit=20]
+   * @param {Object} [viewer] - Logged-in ParentUser, if any
+   * @returns {Promise<Object>} { results, total, facets, page, totalPages }
+   */
+  static async search({ q, types = SEARCH_TYPES, tag, from, to, page = 1, limit = 20 }, viewer = null) {
+    // Only sources with tags can match a tag filter
+    const sources = types.filter(type => !tag || SOURCES[type].tags);
+    const context = await SearchService.getViewerContext(viewer);
+    const depth = page * limit;
+    const terms = getHighlightTerms(q);
+
+    const perSource = await Promise.all(sources.map(async (type) => {
+      const filters = await SearchService.getVisibilityFilters(type, context);
+      const source = SOURCES[type];
+      if (tag) filters.push({ [source.tags]: new RegExp(`^${escapeRegExp(tag.trim())}$`, 'i') });
+      if (from || to) {
+        const range = {};
+        if (from) range.$gte = from;
+        if (to) range.$lte = to;
+        filters.push({ [source.date]: range });
+      }
+      return { type, ...(await SearchService.searchSource(type, q, filters, depth)) };
+    }));
+
+    // Sources are interleaved by text score; field weights keep title matches ahead
+    const results = perSource
+      .flatMap(({ type, results: items }) => items.map(item => ({
+        type,
+        id: item._id,
+        score: Math.round(item._score * 1000) / 1000,
+        date: item[SOURCES[type].date],
+        snippet: buildSnippet(item[SOURCES[type].text], terms),
+        item: SearchService.present(type, item)
+      })))
+      .sort((a, b) => (b.score - a.score) || (new Date(b.date) - new Date(a.date)))
+      .slice((page - 1) * limit, depth);
+
+    const total = perSource.reduce((sum, source) => sum + source.total, 0);
+    return {
+      results,
+      total,
+      facets: SearchService.mergeFacets(perSource),
+      page,
+      totalPages: Math.ceil(Math.min(total, MAX_RESULT_WINDOW) / limit)
+    };
+  }
+
+  // Ids the visibility rules need for a viewer
+  static async getViewerContext(viewer) {
+    if (!viewer) return { userId: null, hiddenUserIds: [], memberGroupIds: [], memberCommunityIds: [] };
+
+    const [hiddenUserIds, memberGroupIds, memberCommunityIds] = await Promise.all([
+      User.getHiddenUserIds(viewer._id),
+      GroupMembership.find({ userId: viewer._id, status: 'active' }).distinct('groupId'),
+      CommunityMembership.find({ userId: viewer._id, status: 'member' }).distinct('communityId')
+    ]);
+    return { userId: viewer._id, hiddenUserIds, memberGroupIds, memberCommunityIds };
+  }
+
+  // $match conditions limiting a source to what the viewer may see
+  static async getVisibilityFilters(type, { userId, hiddenUserIds, memberGroupIds, memberCommunityIds }) {
+    switch (type) {
+      case 'groups':
+        return [
+          { isActive: true, status: { $in: READABLE_GROUP_STATUSES } },
+          { $or: [{ type: { $in: ['Public', 'Private'] } }, { _id: { $in: memberGroupIds } }] }
+        ];
+      case 'groupPosts': {
+        const readableGroupIds = await Group.find({
+          isActive: true,
+          status: { $in: READABLE_GROUP_STATUSES },
+          $or: [{ type: 'Public' }, { _id: { $in: memberGroupIds } }]
+        }).distinct('_id');
+        return [
+          { isDeleted: false, status: 'published', groupId: { $in: readableGroupIds } },
+          { authorId: { $nin: hiddenUserIds } }
+        ];
+      }
+      case 'posts':
+        return [{ isActive: true, authorId: { $nin: hiddenUserIds } }];
+      case 'events': {
+        const visible = [{ visibility: 'Public' }];
+        if (userId) {
+          visible.push(
+            { host: userId },
+            { 'attendees.userId': userId },
+            { visibility: 'Group-only', communityId: { $in: memberCommunityIds } }
+          );
+        }
+        return [{ isCancelled: false, host: { $nin: hiddenUserIds } }, { $or: visible }];
+      }
+      default:
+        return [];
+    }
+  }
+
+  // Top `depth` matches of one source with its total and facets
+  static async searchSource(type, q, filters, depth) {
+    const source = SOURCES[type];
+    const now = new Date();
+    const dateField = `$${source.date}`;
+    const facets = {
+      results: [
+        { $sort: { _score: -1, [source.date]: -1 } },
+        { $limit: depth },
+        { $project: { _score: 1, ...Object.fromEntries(source.fields.split(' ').map(field => [field, 1])) } }
+      ],
+      total: [{ $count: 'count' }],
+      dates: [{
+        $group: {
+          _id: {
+            $switch: {
+              branches: [
+                { case: { $gt: [dateField, now] }, then: 'upcoming' },
+                ...DATE_BUCKETS.map(bucket => ({
+                  case: { $gte: [dateField, new Date(now.getTime() - bucket.days * DAY_MS)] },
+                  then: bucket.key
+                }))
+              ],
+              default: 'older'
+            }
+          },
+          count: { $sum: 1 }
+        }
+      }]
+    };
+    if (source.tags) {
+      facets.tags = [
+        { $unwind: `$${source.tags}` },
+        { $group: { _id: { $toLower: { $trim: { input: `$${source.tags}` } } }, count: { $sum: 1 } } },
+        { $match: { _id: { $ne: '' } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: TAG_FACET_LIMIT }
+      ];
+    }
+
+    const [result] = await source.model.aggregate([
+      { $match: { $text: { $search: q }, $and: filters } },
+      { $addFields: { _score: { $meta: 'textScore' } } },
+      { $facet: facets }
+    ]);
+    const results = await source.model.populate(result.results, source.populate);
+
+    return {
+      results,
+      total: result.total.length > 0 ? result.total[0].count : 0,
+      dates: result.dates,
+      tags: result.tags || []
+    };
+  }
+
+  // Result item as returned to the client
+  static present(type, item) {
+    const { _score, ...fields } = item;
+    if (type === 'groupPosts' && fields.isAnonymous) fields.authorId = null;
+    return { ...fields, id: fields._id };
+  }
+
+  // Type, tag and date facets summed over every source
+  static mergeFacets(perSource) {
+    const types = {};
+    const tags = new Map();
+    const dates = new Map();
+    perSource.forEach(source => {
+      types[source.type] = source.total;
+      source.tags.forEach(entry => tags.set(entry._id, (tags.get(entry._id) || 0) + entry.count));
+      source.dates.forEach(entry => dates.set(entry._id, (dates.get(entry._id) || 0) + entry.count));
+    });
+
+    return {
+      types,
+      tags: [...tags.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => (b.count - a.count) || a.tag.localeCompare(b.tag))
+        .slice(0, TAG_FACET_LIMIT),
+      dates: ['upcoming', ...DATE_BUCKETS.map(bucket => bucket.key), 'older']
+        .filter(key => dates.has(key))
+        .map(key => ({ range: key, count: dates.get(key) }))
+    };
+  }
+}
+
+SearchService.SEARCH_TYPES = SEARCH_TYPES;
+SearchService.MAX_RESULT_WINDOW = MAX_RESULT_WINDOW;
+
+module.exports = SearchService;
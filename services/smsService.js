@@ -0,0 +1,122 @@
+const {
+  SMS_PROVIDER,
+  TWILIO_ACCOUNT_SID,
+  TWILIO_AUTH_TOKEN,
+  TWILIO_FROM_NUMBER
+} = require('../constants');
+
+// Messages an in-memory provider keeps for reading back
+const MAX_STORED_MESSAGES = 100;
+
+/**
+ * Twilio provider - sends SMS through the Twilio Messages API
+ */
+class TwilioSmsProvider {
+  constructor({ accountSid = TWILIO_ACCOUNT_SID, authToken = TWILIO_AUTH_TOKEN, from = TWILIO_FROM_NUMBER } = {}) {
+    if (!accountSid || !authToken || !from) {
+      throw new Error('Twilio SMS provider requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER');
+    }
+    // Required lazily so the memory provider works without Twilio credentials
+    const twilio = require('twilio');
+    this.client = twilio(accountSid, authToken);
+    this.from = from;
+  }
+
+  async sendSms(to, body) {
+    const message = await this.client.messages.create({ to, from: this.from, body });
+    return { id: message.sid };
+  }
+}
+
+/**
+ * In-memory provider - keeps the last sent messages in a list instead of
+ * delivering them. Used in development and tests to read OTPs back.
+ */
+class InMemorySmsProvider {
+  constructor({ log = process.env.NODE_ENV !== 'production', maxMessages = MAX_STORED_MESSAGES } = {}) {
+    this.messages = [];
+    this.sentCount = 0;
+    this.maxMessages = maxMessages;
+    this.log = log;
+  }
+
+  async sendSms(to, body) {
+    this.sentCount += 1;
+    const message = { id: `mem-${this.sentCount}`, to, body, sentAt: new Date() };
+    this.messages.push(message);
+    if (this.messages.length > this.maxMessages) {
+      this.messages.splice(0, this.messages.length - this.maxMessages);
+    }
+    if (this.log) {
+      console.log(`[sms] To: ${to} | ${body}`);
+    }
+    return { id: message.id };
+  }
+
+  lastMessageTo(to) {
+    return [...this.messages].reverse().find(message => message.to === to) || null;
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+/**
+ * SMS Service
+ * Sends SMS through a pluggable provider. A provider is any object with an
+ * async `sendSms(to, body)` method. The provider is created on first use from
+ * SMS_PROVIDER and can be swapped with `setProvider` (e.g. in tests).
+ */
+class SmsService {
+
+  /**
+   * Replace the active provider
+   * @param {Object} provider - Object implementing async sendSms(to, body)
+   */
+  static setProvider(provider) {
+    if (!provider || typeof provider.sendSms !== 'function') {
+      throw new Error('SMS provider must implement sendSms(to, body)');
+    }
+    SmsService.provider = provider;
+  }
+
+  /**
+   * Fail fast when production would send OTPs nowhere. Called at boot.
+   * @throws {Error} If NODE_ENV is production and no real provider is configured
+   */
+  static assertConfigured() {
+    if (process.env.NODE_ENV === 'production' && SMS_PROVIDER !== 'twilio') {
+      throw new Error(`SMS_PROVIDER "${SMS_PROVIDER}" does not deliver messages; configure twilio in production`);
+    }
+  }
+
+  /**
+   * Get the active provider, creating it from configuration on first use
+   * @returns {Object} The SMS provider
+   */
+  static getProvider() {
+    if (!SmsService.provider) {
+      SmsService.provider = SMS_PROVIDER === 'twilio'
+        ? new TwilioSmsProvider()
+        : new InMemorySmsProvider();
+    }
+    return SmsService.provider;
+  }
+
+  /**
+   * Send an SMS through the active provider
+   * @param {string} to - Recipient phone number in E.164 format
+   * @param {string} body - Message text
+   * @returns {Promise<Object>} Provider specific result
+   */
+  static send(to, body) {
+    return SmsService.getProvider().sendSms(to, body);
+  }
+}
+
+SmsService.provider = null;
+SmsService.TwilioSmsProvider = TwilioSmsProvider;
+SmsService.InMemorySmsProvider = InMemorySmsProvider;
+
+module.exports = SmsService;
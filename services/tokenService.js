@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../users/session');
+const User = require('../users/parentUser');
+const { JWT_SECRET, ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL_DAYS } = require('../constants');
+
+/**
+ * Token Service
+ * Issues short-lived access tokens (JWT) bound to a server-side Session and
+ * rotating refresh tokens of the form `<sessionId>.<secret>`. Only a hash of
+ * the secret is stored, so a leaked database does not leak usable tokens.
+ */
+class TokenService {
+
+  /**
+   * Fail fast when tokens could be forged. Called at boot.
+   * @throws {Error} If NODE_ENV is production and JWT_SECRET is not set
+   */
+  static assertConfigured() {
+    if (process.env.NODE_ENV === 'production' && !JWT_SECRET) {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+  }
+
+  /**
+   * Hash a refresh token secret for storage/comparison
+   * @param {string} secret - The raw refresh token secret
+   * @returns {string} Hex encoded SHA-256 hash
+   */
+  static hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Sign an access token for a user bound to a session
+   * @param {Object} user - The ParentUser document
+   * @param {Object} session - The Session document
+   * @returns {string} Signed JWT
+   */
+  static signAccessToken(user, session) {
+    return jwt.sign(
+      { userId: user._id, role: user.role, sid: session._id },
+      JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Extract device information for a session from the request
+   * @param {Object} req - Express request
+   * @returns {Object} userAgent, deviceName and ipAddress
+   */
+  static getDeviceInfo(req) {
+    return {
+      userAgent: (req.get('User-Agent') || '').slice(0, 500),
+      deviceName: String((req.body && req.body.deviceName) || '').slice(0, 100),
+      ipAddress: req.ip || ''
+    };
+  }
+
+  /**
+   * Create a new session for a user and issue its token pair
+   * @param {Object} user - The ParentUser document
+   * @param {Object} req - Express request (used for device info)
+   * @returns {Promise<Object>} accessToken, refreshToken and session
+   */
+  static async createSession(user, req) {
+    const secret = crypto.randomBytes(48).toString('hex');
+    const session = new Session({
+      userId: user._id,
+      refreshTokenHash: TokenService.hashSecret(secret),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      ...TokenService.getDeviceInfo(req)
+    });
+    await session.save();
+
+    return {
+      accessToken: TokenService.signAccessToken(user, session),
+      refreshToken: `${session._id}.${secret}`,
+      session
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, rotating the refresh token.
+   * Presenting an already-rotated refresh token revokes the whole session,
+   * since it means the token was copied.
+   * @param {string} refreshToken - The refresh token presented by the client
+   * @param {Object} req - Express request (used for device info)
+   * @returns {Promise<Object|null>} New tokens and user, or null if invalid
+   */
+  static async rotateRefreshToken(refreshToken, req) {
+    if (!refreshToken || typeof refreshToken !== 'string') return null;
+
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+    const now = new Date();
+    const newSecret = crypto.randomBytes(48).toString('hex');
+    const { userAgent, ipAddress } = TokenService.getDeviceInfo(req);
+    const update = { refreshTokenHash: TokenService.hashSecret(newSecret), lastUsedAt: now };
+    if (userAgent) update.userAgent = userAgent;
+    if (ipAddress) update.ipAddress = ipAddress;
+
+    // Swap the hash only if the presented token is still the current one, so
+    // two requests racing with the same token cannot both rotate it
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: sessionId,
+        refreshTokenHash: TokenService.hashSecret(secret),
+        revokedAt: null,
+        expiresAt: { $gt: now }
+      },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!session) {
+      // An old token for a live session means the token leaked: end the session
+      await Session.updateOne(
+        { _id: sessionId, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+      );
+      return null;
+    }
+
+    const user = await User.findById(session.userId).select('-password');
+    if (!user) return null;
+
+    return {
+      accessToken: TokenService.signAccessToken(user, session),
+      refreshToken: `${session._id}.${newSecret}`,
+      session,
+      user
+    };
+  }
+
+  /**
+   * Verify an access token and the session behind it
+   * @param {string} token - The bearer token
+   * @returns {Promise<Object>} user and session
+   * @throws {Error} JsonWebTokenError / TokenExpiredError from jsonwebtoken,
+   *   or an error named SessionRevokedError / UserNotFoundError
+   */
+  static async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || session.userId.toString() !== String(decoded.userId)) {
+      const error = new Error('Session has been revoked.');
+      error.name = 'SessionRevokedError';
+      throw error;
+    }
+
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user) {
+      const error = new Error('User not found.');
+      error.name = 'UserNotFoundError';
+      throw error;
+    }
+
+    return { user, session };
+  }
+}
+
+module.exports = TokenService;
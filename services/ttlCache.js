@@ -0,0 +1,65 @@
+/**
+ * Small in-process key/value cache whose entries expire after a fixed TTL.
+ * Keys are strings; the oldest entry is evicted once maxEntries is reached.
+ * Each app instance has its own copy, so cached data can be stale for up to
+ * ttlMs on other instances after a change.
+ */
+class TtlCache {
+  constructor({ ttlMs, maxEntries = 10000, cleanupIntervalMs = 60 * 1000 }) {
+    if (!ttlMs) {
+      throw new Error('TtlCache requires ttlMs');
+    }
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    // Drop expired entries so the map does not grow without bound
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * @param {string} key
+   * @returns {*} The cached value, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Remove every key starting with `prefix`
+  deleteByPrefix(prefix) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) this.entries.delete(key);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+module.exports = TtlCache;
@@ -0,0 +1,68 @@
+// Age bands derived from a child's date of birth. Groups, events and posts
+// store the band keys they target in an `ageBands` array.
+const AGE_BANDS = [
+  { key: 'infant', label: 'Infant (0-1)', minMonths: 0, maxMonths: 12 },
+  { key: 'toddler', label: 'Toddler (1-3)', minMonths: 12, maxMonths: 36 },
+  { key: 'preschool', label: 'Preschool (3-5)', minMonths: 36, maxMonths: 60 },
+  { key: 'school-age', label: 'School age (5-12)', minMonths: 60, maxMonths: 156 },
+  { key: 'teen', label: 'Teen (13-19)', minMonths: 156, maxMonths: 240 }
+];
+
+const AGE_BAND_KEYS = AGE_BANDS.map(band => band.key);
+
+// Whole months between date of birth and `now`
+const getAgeInMonths = (dateOfBirth, now = new Date()) => {
+  if (!dateOfBirth) return null;
+  const dob = new Date(dateOfBirth);
+  let months = (now.getFullYear() - dob.getFullYear()) * 12 + (now.getMonth() - dob.getMonth());
+  if (now.getDate() < dob.getDate()) months -= 1;
+  return Math.max(0, months);
+};
+
+// Whole years between date of birth and `now`
+const getAgeInYears = (dateOfBirth, now = new Date()) => {
+  const months = getAgeInMonths(dateOfBirth, now);
+  return months === null ? null : Math.floor(months / 12);
+};
+
+// Age band key for a date of birth, or null once the child is past the teen band
+const getAgeBand = (dateOfBirth, now = new Date()) => {
+  const months = getAgeInMonths(dateOfBirth, now);
+  if (months === null) return null;
+  const band = AGE_BANDS.find(b => months >= b.minMonths && months < b.maxMonths);
+  return band ? band.key : null;
+};
+
+// Distinct age bands of a user's children
+const getChildrenAgeBands = (children = []) => {
+  return [...new Set(children.map(child => getAgeBand(child.dateOfBirth)).filter(Boolean))];
+};
+
+// Parse an `ageBand` query value ("toddler,teen" or "mine") into band keys.
+// "mine" expands to the age bands of the signed-in user's children.
+// Returns null when no valid band was requested.
+const parseAgeBandFilter = (value, user = null) => {
+  if (!value) return null;
+
+  const requested = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  const bands = new Set();
+  requested.forEach(key => {
+    if (key === 'mine' && user) {
+      getChildrenAgeBands(user.children).forEach(band => bands.add(band));
+    } else if (AGE_BAND_KEYS.includes(key)) {
+      bands.add(key);
+    }
+  });
+
+  return bands.size > 0 ? [...bands] : null;
+};
+
+module.exports = {
+  AGE_BANDS,
+  AGE_BAND_KEYS,
+  getAgeInMonths,
+  getAgeInYears,
+  getAgeBand,
+  getChildrenAgeBands,
+  parseAgeBandFilter
+};
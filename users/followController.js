@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const User = require('./parentUser');
+const { maskUser, getRelation, canView, getPrivacySettings } = require('./profilePrivacy');
+
+// Public fields shown in follower / following / blocked lists
+const LIST_FIELDS = 'userId name avatar bio';
+
+const isSameUser = (a, b) => a.toString() === b.toString();
+
+const includesId = (ids = [], id) => ids.some(existing => isSameUser(existing, id));
+
+// Load the target user from :userId, replying with 400/404 when it is not usable
+const loadTargetUser = async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.isValidObjectId(userId)) {
+    res.status(400).json({ message: 'Invalid user id' });
+    return null;
+  }
+  if (isSameUser(userId, req.user._id)) {
+    res.status(400).json({ message: 'You cannot do this to yourself' });
+    return null;
+  }
+
+  const target = await User.findById(userId).select('_id followers following blockedUsers');
+  if (!target) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  return target;
+};
+
+// Whether the viewer may list a user's followers and following
+const canViewConnections = (user, viewer) =>
+  canView(getPrivacySettings(user).connections, getRelation(user, viewer));
+
+// Page through a list of user ids, newest first, skipping hidden users
+const paginateUsers = async (ids, hiddenIds, query, viewer) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+
+  const visibleIds = [...ids].reverse().filter(id => !includesId(hiddenIds, id));
+  const pageIds = visibleIds.slice((page - 1) * limit, page * limit);
+
+  const users = await User.find({ _id: { $in: pageIds } }).select(`${LIST_FIELDS} privacySettings`).lean();
+  users.forEach(user => maskUser(user, viewer));
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const results = pageIds
+    .map(id => usersById.get(id.toString()))
+    .filter(Boolean)
+    .map(user => ({
+      id: user._id,
+      userId: user.userId,
+      name: user.name,
+      avatar: user.avatar,
+      bio: user.bio,
+      isFollowing: includesId(viewer.following, user._id),
+      followsYou: includesId(viewer.followers, user._id)
+    }));
+
+  const total = visibleIds.length;
+  const totalPages = Math.ceil(total / limit);
+  return {
+    users: results,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      total,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  };
+};
+
+// Follow a user
+exports.followUser = async (req, res) => {
+  try {
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    if (await User.isBlockedBetween(req.user._id, target._id)) {
+      return res.status(403).json({ message: 'You cannot follow this user' });
+    }
+
+    await Promise.all([
+      User.updateOne({ _id: req.user._id }, { $addToSet: { following: target._id } }),
+      User.updateOne({ _id: target._id }, { $addToSet: { followers: req.user._id } })
+    ]);
+
+    res.json({
+      success: true,
+      following: true,
+      mutual: includesId(target.following, req.user._id)
+    });
+  } catch (err) {
+    console.error('Error following user:', err);
+    res.status(500).json({ message: 'Server error following user' });
+  }
+};
+
+// Unfollow a user
+exports.unfollowUser = async (req, res) => {
+  try {
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    await Promise.all([
+      User.updateOne({ _id: req.user._id }, { $pull: { following: target._id } }),
+      User.updateOne({ _id: target._id }, { $pull: { followers: req.user._id } })
+    ]);
+
+    res.json({ success: true, following: false, mutual: false });
+  } catch (err) {
+    console.error('Error unfollowing user:', err);
+    res.status(500).json({ message: 'Server error unfollowing user' });
+  }
+};
+
+// Follow relationship between the current user and another user
+exports.getFollowStatus = async (req, res) => {
+  try {
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    const following = includesId(target.followers, req.user._id);
+    const followedBy = includesId(target.following, req.user._id);
+
+    res.json({
+      following,
+      followedBy,
+      mutual: following && followedBy,
+      blocked: includesId(req.user.blockedUsers, target._id),
+      blockedBy: includesId(target.blockedUsers, req.user._id)
+    });
+  } catch (err) {
+    console.error('Error fetching follow status:', err);
+    res.status(500).json({ message: 'Server error fetching follow status' });
+  }
+};
+
+// List a user's followers (paginated)
+exports.getFollowers = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const user = await User.findById(userId).select('followers following privacySettings');
+    const hiddenIds = await User.getHiddenUserIds(req.user._id);
+    if (!user || includesId(hiddenIds, user._id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!canViewConnections(user, req.user)) {
+      return res.status(403).json({ message: "This user's connections are private" });
+    }
+
+    res.json(await paginateUsers(user.followers, hiddenIds, req.query, req.user));
+  } catch (err) {
+    console.error('Error fetching followers:', err);
+    res.status(500).json({ message: 'Server error fetching followers' });
+  }
+};
+
+// List the users a user follows (paginated)
+exports.getFollowing = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const user = await User.findById(userId).select('followers following privacySettings');
+    const hiddenIds = await User.getHiddenUserIds(req.user._id);
+    if (!user || includesId(hiddenIds, user._id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!canViewConnections(user, req.user)) {
+      return res.status(403).json({ message: "This user's connections are private" });
+    }
+
+    res.json(await paginateUsers(user.following, hiddenIds, req.query, req.user));
+  } catch (err) {
+    console.error('Error fetching following:', err);
+    res.status(500).json({ message: 'Server error fetching following' });
+  }
+};
+
+// Block a user. Follow relationships in both directions are removed.
+exports.blockUser = async (req, res) => {
+  try {
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    await Promise.all([
+      User.updateOne(
+        { _id: req.user._id },
+        {
+          $addToSet: { blockedUsers: target._id },
+          $pull: { following: target._id, followers: target._id }
+        }
+      ),
+      User.updateOne(
+        { _id: target._id },
+        { $pull: { following: req.user._id, followers: req.user._id } }
+      )
+    ]);
+
+    res.json({ success: true, blocked: true });
+  } catch (err) {
+    console.error('Error blocking user:', err);
+    res.status(500).json({ message: 'Server error blocking user' });
+  }
+};
+
+// Unblock a user
+exports.unblockUser = async (req, res) => {
+  try {
+    const target = await loadTargetUser(req, res);
+    if (!target) return;
+
+    await User.updateOne({ _id: req.user._id }, { $pull: { blockedUsers: target._id } });
+
+    res.json({ success: true, blocked: false });
+  } catch (err) {
+    console.error('Error unblocking user:', err);
+    res.status(500).json({ message: 'Server error unblocking user' });
+  }
+};
+
+// List the users the current user has blocked (paginated)
+exports.getBlockedUsers = async (req, res) => {
+  try {
+    res.json(await paginateUsers(req.user.blockedUsers, [], req.query, req.user));
+  } catch (err) {
+    console.error('Error fetching blocked users:', err);
+    res.status(500).json({ message: 'Server error fetching blocked users' });
+  }
+};
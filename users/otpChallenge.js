@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Current OTP state for a phone number. One document per phone keeps the
+// resend cooldown and hourly send limit in force across requests.
+const otpChallengeSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  codeHash: {
+    type: String
+  },
+  codeExpiresAt: {
+    type: Date
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: {
+    type: Date
+  },
+  sendWindowStartedAt: {
+    type: Date
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Forget phone numbers that have not requested a code for a day
+otpChallengeSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('OtpChallenge', otpChallengeSchema);
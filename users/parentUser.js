@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const {
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_BASE_MINUTES,
+  LOGIN_LOCKOUT_MAX_MINUTES,
+  LOGIN_FAILURE_RESET_MINUTES
+} = require('../constants');
+const { getAgeInYears, getAgeBand } = require('./ageBands');
+const { PRIVACY_LEVELS, DEFAULT_PRIVACY_SETTINGS } = require('./profilePrivacy');
 
 // Utility to generate a custom user ID
 const generateUserId = () => {
@@ -8,10 +16,42 @@ const generateUserId = () => {
 };
 
 const childSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  age: { type: Number, min: 0, required: true },
+  name: { type: String, required: true, maxlength: 50 },
+  dateOfBirth: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function(dob) {
+        return dob <= new Date();
+      },
+      message: 'Date of birth cannot be in the future'
+    }
+  },
+  gender: {
+    type: String,
+    enum: ['female', 'male', 'other', 'prefer_not_to_say']
+  },
+  // Who can see this child on the parent's profile
+  privacy: {
+    type: String,
+    enum: ['public', 'followers', 'only_me'],
+    default: 'only_me'
+  },
   interests: { type: [String], default: [] }
-}, { _id: false });
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Age is derived from date of birth so it never goes stale
+childSchema.virtual('age').get(function() {
+  return getAgeInYears(this.dateOfBirth);
+});
+
+childSchema.virtual('ageBand').get(function() {
+  return getAgeBand(this.dateOfBirth);
+});
 
 const userSchema = new mongoose.Schema({
   userId: {
@@ -20,13 +60,26 @@ const userSchema = new mongoose.Schema({
     required: true
   },
   name: { type: String, required: true },
+  // Either an email or a phone number identifies the account
   email: {
     type: String,
-    required: true,
+    required: function() { return !this.phone; },
     unique: true,
+    sparse: true,
     match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
   },
-  password: { type: String, required: true },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date },
+  phone: {
+    type: String,
+    unique: true,
+    sparse: true,
+    match: [/^\+[1-9]\d{7,14}$/, 'Please enter a valid phone number']
+  },
+  phoneVerified: { type: Boolean, default: false },
+  phoneVerifiedAt: { type: Date },
+  // Phone-only accounts sign in with an OTP and have no password
+  password: { type: String, required: function() { return !this.phone; } },
   avatar: { type: String, default: '', maxlength: 2048 },
   bio: { type: String, default: '' },
   role: {
@@ -37,13 +90,35 @@ const userSchema = new mongoose.Schema({
   children: [childSchema],
   location: { type: String, default: '' },
   joinedGroups: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Group' }],
-  followers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-  following: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+  followers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ParentUser' }],
+  following: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ParentUser' }],
+  // Users this user has blocked; content is hidden in both directions
+  blockedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ParentUser' }],
+  // Progressive lockout after repeated failed password logins
+  failedLoginCount: { type: Number, default: 0 },
+  lastFailedLoginAt: { type: Date },
+  lockedUntil: { type: Date },
+  // Account deletion: requested by the user, purged after the grace period
+  deletionRequestedAt: { type: Date },
+  deletionScheduledFor: { type: Date, index: true },
+  deletedAt: { type: Date },
+  // Who can see each part of the profile (see profilePrivacy.js)
+  privacySettings: {
+    email: { type: String, enum: PRIVACY_LEVELS, default: DEFAULT_PRIVACY_SETTINGS.email },
+    phone: { type: String, enum: PRIVACY_LEVELS, default: DEFAULT_PRIVACY_SETTINGS.phone },
+    bio: { type: String, enum: PRIVACY_LEVELS, default: DEFAULT_PRIVACY_SETTINGS.bio },
+    location: { type: String, enum: PRIVACY_LEVELS, default: DEFAULT_PRIVACY_SETTINGS.location },
+    joinedGroups: { type: String, enum: PRIVACY_LEVELS, default: DEFAULT_PRIVACY_SETTINGS.joinedGroups },
+    connections: { type: String, enum: PRIVACY_LEVELS, default: DEFAULT_PRIVACY_SETTINGS.connections },
+    eventsHosted: { type: String, enum: PRIVACY_LEVELS, default: DEFAULT_PRIVACY_SETTINGS.eventsHosted }
+  }
 }, { timestamps: true });
 
+userSchema.index({ blockedUsers: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function (next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
 
   this.password = await bcrypt.hash(this.password, 10);
   next();
@@ -56,7 +131,7 @@ userSchema.pre('validate', async function (next) {
   let unique = false;
   while (!unique) {
     const newId = generateUserId();
-    const existing = await mongoose.models.User.findOne({ userId: newId });
+    const existing = await this.constructor.findOne({ userId: newId });
     if (!existing) {
       this.userId = newId;
       unique = true;
@@ -68,9 +143,89 @@ userSchema.pre('validate', async function (next) {
 
 // Password comparison
 userSchema.methods.comparePassword = function (inputPassword) {
+  if (!this.password || !inputPassword) return Promise.resolve(false);
   return bcrypt.compare(inputPassword, this.password);
 };
 
+// Whether password login is temporarily locked
+userSchema.methods.isLocked = function () {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+// Record a failed password login. From LOGIN_LOCKOUT_THRESHOLD failures on,
+// the account is locked, doubling the lock time with every further failure.
+// Counting starts over once no login has failed for LOGIN_FAILURE_RESET_MINUTES.
+// Returns the lock expiry, or null if the account is not locked.
+userSchema.methods.registerFailedLogin = async function () {
+  const now = new Date();
+  const quietSince = new Date(now.getTime() - LOGIN_FAILURE_RESET_MINUTES * 60 * 1000);
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    [{
+      $set: {
+        failedLoginCount: {
+          $cond: [
+            { $gt: [{ $ifNull: ['$lastFailedLoginAt', new Date(0)] }, quietSince] },
+            { $add: [{ $ifNull: ['$failedLoginCount', 0] }, 1] },
+            1
+          ]
+        },
+        lastFailedLoginAt: now
+      }
+    }],
+    { new: true }
+  ).select('failedLoginCount');
+  this.failedLoginCount = updated.failedLoginCount;
+  this.lastFailedLoginAt = now;
+
+  if (updated.failedLoginCount < LOGIN_LOCKOUT_THRESHOLD) return null;
+
+  const lockMinutes = Math.min(
+    LOGIN_LOCKOUT_BASE_MINUTES * 2 ** (updated.failedLoginCount - LOGIN_LOCKOUT_THRESHOLD),
+    LOGIN_LOCKOUT_MAX_MINUTES
+  );
+  this.lockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  await this.constructor.updateOne({ _id: this._id }, { $set: { lockedUntil: this.lockedUntil } });
+  return this.lockedUntil;
+};
+
+// Clear failed login tracking after a successful login or password reset
+userSchema.methods.resetFailedLogins = async function () {
+  if (!this.failedLoginCount && !this.lockedUntil) return;
+  this.failedLoginCount = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockedUntil = undefined;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginCount: 0 }, $unset: { lastFailedLoginAt: '', lockedUntil: '' } }
+  );
+};
+
+// Ids of users whose content should be hidden from `userId`: the users they
+// blocked plus the users who blocked them
+userSchema.statics.getHiddenUserIds = async function (userId) {
+  if (!userId) return [];
+  const [user, blockers] = await Promise.all([
+    this.findById(userId).select('blockedUsers').lean(),
+    this.find({ blockedUsers: userId }).select('_id').lean()
+  ]);
+  return [
+    ...(user ? user.blockedUsers : []),
+    ...blockers.map(blocker => blocker._id)
+  ];
+};
+
+// Whether either user has blocked the other
+userSchema.statics.isBlockedBetween = async function (userId, otherUserId) {
+  const count = await this.countDocuments({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId }
+    ]
+  });
+  return count > 0;
+};
+
 // module.exports = mongoose.model('User', userSchema);
 module.exports = mongoose.models.ParentUser || mongoose.model('ParentUser', userSchema);
 
@@ -1,5 +1,19 @@
+const mongoose = require('mongoose');
 const User = require('./parentUser');
-const jwt = require('jsonwebtoken');
+const Session = require('./session');
+const UserToken = require('./userToken');
+const TokenService = require('../services/tokenService');
+const MailService = require('../services/mailService');
+const OtpService = require('../services/otpService');
+const AccountDeletionService = require('../services/accountDeletionService');
+const { AGE_BANDS } = require('./ageBands');
+const { getPrivacySettings } = require('./profilePrivacy');
+const {
+  ACCESS_TOKEN_TTL,
+  APP_BASE_URL,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  PASSWORD_RESET_TTL_MINUTES
+} = require('../constants');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -48,11 +62,71 @@ exports.handleAvatarUpload = (req, res) => {
     res.json({ success: true, url: fileUrl });
   });
 };
-// Use environment variables in production
-const JWT_SECRET = 'your_jwt_secret';
+// Shape of the user object returned to its owner
+const toUserResponse = (user) => ({
+  id: user._id,
+  userId: user.userId,
+  name: user.name,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  phone: user.phone,
+  phoneVerified: user.phoneVerified,
+  role: user.role,
+  avatar: user.avatar,
+  bio: user.bio,
+  location: user.location,
+  children: user.children,
+  joinedGroups: user.joinedGroups,
+  followers: user.followers,
+  following: user.following,
+  privacySettings: getPrivacySettings(user),
+  deletionScheduledFor: user.deletionScheduledFor,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// Issue an email verification token and mail the link to the user
+const sendVerificationEmail = async (user) => {
+  const token = await UserToken.issue(
+    user._id,
+    'email_verification',
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  const link = `${APP_BASE_URL}/verify-email?token=${token}`;
+  await MailService.send({
+    to: user.email,
+    subject: 'Verify your SkipCry email address',
+    text: `Hi ${user.name},\n\nPlease verify your email address by opening this link:\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+  });
+};
+
+// Reply to a login attempt on a locked account
+const sendAccountLocked = (res, lockedUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: 'Too many failed login attempts. Please try again later or reset your password.',
+    retryAfter,
+    lockedUntil
+  });
+};
+
+// Fields a parent may set on a child profile
+const CHILD_FIELDS = ['name', 'dateOfBirth', 'gender', 'privacy', 'interests'];
+
+// Shape of a session returned in the "my sessions" list
+const toSessionResponse = (session, currentSessionId) => ({
+  id: session._id,
+  deviceName: session.deviceName,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+});
 
 exports.registerUser = async (req, res) => {
-  console.log("Registering user with data:", req.body);
   try {
     const {
       name,
@@ -87,24 +161,16 @@ exports.registerUser = async (req, res) => {
     // Fetch the saved user to get all fields (including userId)
     const savedUser = await User.findOne({ email });
 
+    // A failed mail delivery should not fail the registration; the user can ask for a resend
+    try {
+      await sendVerificationEmail(savedUser);
+    } catch (mailErr) {
+      console.error('Verification email error:', mailErr);
+    }
+
     res.status(201).json({
       message: 'User registered successfully',
-      user: {
-        id: savedUser._id,
-        userId: savedUser.userId,
-        name: savedUser.name,
-        email: savedUser.email,
-        role: savedUser.role,
-        avatar: savedUser.avatar,
-        bio: savedUser.bio,
-        location: savedUser.location,
-        children: savedUser.children,
-        joinedGroups: savedUser.joinedGroups,
-        followers: savedUser.followers,
-        following: savedUser.following,
-        createdAt: savedUser.createdAt,
-        updatedAt: savedUser.updatedAt
-      }
+      user: toUserResponse(savedUser)
     });
   } catch (err) {
     console.error('Registration Error:', err);
@@ -115,40 +181,33 @@ exports.registerUser = async (req, res) => {
 exports.loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
+    if (!email || !password)
+      return res.status(400).json({ message: 'Email and password are required' });
 
     const user = await User.findOne({ email });
     if (!user)
       return res.status(400).json({ message: 'Invalid email or password' });
 
+    if (user.isLocked())
+      return sendAccountLocked(res, user.lockedUntil);
+
     const isMatch = await user.comparePassword(password);
-    if (!isMatch)
+    if (!isMatch) {
+      const lockedUntil = await user.registerFailedLogin();
+      if (lockedUntil)
+        return sendAccountLocked(res, lockedUntil);
       return res.status(400).json({ message: 'Invalid email or password' });
+    }
 
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    await user.resetFailedLogins();
+    const { accessToken, refreshToken } = await TokenService.createSession(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        userId: user.userId,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar,
-        bio: user.bio,
-        location: user.location,
-        children: user.children,
-        joinedGroups: user.joinedGroups,
-        followers: user.followers,
-        following: user.following,
-        createdAt: user.createdAt,
-        updatedAt: user.updatedAt
-      }
+      token: accessToken,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: toUserResponse(user)
     });
   } catch (err) {
     console.error('Login Error:', err);
@@ -169,25 +228,436 @@ exports.getUserProfile = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     res.json({
-      user: {
-        id: user._id,
-        userId: user.userId,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar,
-        bio: user.bio,
-        location: user.location,
-        children: user.children,
-        joinedGroups: user.joinedGroups,
-        followers: user.followers,
-        following: user.following,
-        createdAt: user.createdAt,
-        updatedAt: user.updatedAt
-      }
+      user: toUserResponse(user)
     });
   } catch (error) {
     console.error('Error fetching profile:', error);
     res.status(500).json({ message: 'Server error fetching profile' });
   }
 };
+
+// Exchange a refresh token for a new access/refresh token pair
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const result = await TokenService.rotateRefreshToken(refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ message: 'Refresh token is invalid or has been revoked' });
+    }
+
+    res.json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+  } catch (err) {
+    console.error('Refresh Token Error:', err);
+    res.status(500).json({ message: 'Server error refreshing token' });
+  }
+};
+
+// Log out the current session
+exports.logoutUser = async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Logout Error:', err);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+};
+
+// Log out every session of the current user (e.g. after losing a phone)
+exports.logoutAllSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      revokedSessions: result.modifiedCount
+    });
+  } catch (err) {
+    console.error('Logout All Error:', err);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+};
+
+// List the current user's active sessions
+exports.getActiveSessions = async (req, res) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user._id);
+    res.json({
+      sessions: sessions.map(session => toSessionResponse(session, req.authSession._id))
+    });
+  } catch (err) {
+    console.error('Error fetching sessions:', err);
+    res.status(500).json({ message: 'Server error fetching sessions' });
+  }
+};
+
+// Revoke one of the current user's sessions
+exports.revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    const session = await Session.findOne({ _id: sessionId, userId: req.user._id });
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke('revoked_by_user');
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({ message: 'Server error revoking session' });
+  }
+};
+
+// Verify email address with the token from the verification mail
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    const userToken = await UserToken.consume(token, 'email_verification');
+    if (!userToken) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(userToken.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ success: true, message: 'Email verified successfully' });
+  } catch (err) {
+    console.error('Email Verification Error:', err);
+    res.status(500).json({ message: 'Server error verifying email' });
+  }
+};
+
+// Resend the verification mail to the current user
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (err) {
+    console.error('Resend Verification Error:', err);
+    res.status(500).json({ message: 'Server error sending verification email' });
+  }
+};
+
+// Start the password reset flow. Always answers the same way so the endpoint
+// cannot be used to find out which emails are registered.
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = await UserToken.issue(
+        user._id,
+        'password_reset',
+        PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+      );
+      const link = `${APP_BASE_URL}/reset-password?token=${token}`;
+      // A failed send must not tell the caller the account exists
+      try {
+        await MailService.send({
+          to: user.email,
+          subject: 'Reset your SkipCry password',
+          text: `Hi ${user.name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${link}\n\nThe link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not ask for this, you can ignore this email.`
+        });
+      } catch (mailErr) {
+        console.error('Password reset mail failed:', mailErr);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (err) {
+    console.error('Forgot Password Error:', err);
+    res.status(500).json({ message: 'Server error starting password reset' });
+  }
+};
+
+// Set a new password with the token from the reset mail
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!password || password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters long' });
+    }
+
+    const userToken = await UserToken.consume(token, 'password_reset');
+    if (!userToken) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(userToken.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.password = password;
+    user.failedLoginCount = 0;
+    user.lastFailedLoginAt = undefined;
+    user.lockedUntil = undefined;
+    // Receiving the reset mail proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out every device that used the old password
+    await Session.revokeAllForUser(user._id, 'password_change');
+
+    res.json({ success: true, message: 'Password has been reset. Please log in again.' });
+  } catch (err) {
+    console.error('Reset Password Error:', err);
+    res.status(500).json({ message: 'Server error resetting password' });
+  }
+};
+
+// Send a login/registration OTP to a phone number
+exports.requestPhoneOtp = async (req, res) => {
+  try {
+    const phone = OtpService.normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ message: 'Please enter a valid phone number' });
+    }
+
+    const result = await OtpService.requestOtp(phone);
+    if (!result.sent) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        message: result.reason === 'cooldown'
+          ? 'Please wait before requesting another code'
+          : 'Too many codes requested. Please try again later',
+        retryAfter: result.retryAfter
+      });
+    }
+
+    res.json({ success: true, message: 'Verification code sent', phone, expiresAt: result.expiresAt });
+  } catch (err) {
+    console.error('Request OTP Error:', err);
+    res.status(500).json({ message: 'Server error sending verification code' });
+  }
+};
+
+// Verify a phone OTP and log in, creating the account on first use
+exports.verifyPhoneOtp = async (req, res) => {
+  try {
+    const { code, name } = req.body;
+    const phone = OtpService.normalizePhone(req.body.phone);
+    if (!phone || !code) {
+      return res.status(400).json({ message: 'Phone number and code are required' });
+    }
+
+    let user = await User.findOne({ phone });
+    // Checked before the code is consumed so a missing name does not burn the OTP
+    if (!user && !name) {
+      return res.status(400).json({ message: 'Name is required to create an account', isNewUser: true });
+    }
+
+    const result = await OtpService.verifyOtp(phone, code);
+    if (!result.valid) {
+      const messages = {
+        no_active_code: 'No active code for this phone number. Please request a new one',
+        expired: 'Code has expired. Please request a new one',
+        too_many_attempts: 'Too many incorrect attempts. Please request a new code',
+        invalid_code: 'Invalid code'
+      };
+      return res.status(400).json({
+        message: messages[result.reason],
+        reason: result.reason,
+        attemptsLeft: result.attemptsLeft
+      });
+    }
+
+    const isNewUser = !user;
+    if (isNewUser) {
+      user = new User({
+        name,
+        phone,
+        phoneVerified: true,
+        phoneVerifiedAt: new Date()
+      });
+      await user.save();
+    } else if (!user.phoneVerified) {
+      user.phoneVerified = true;
+      user.phoneVerifiedAt = new Date();
+      await user.save();
+    }
+
+    const { accessToken, refreshToken } = await TokenService.createSession(user, req);
+
+    res.status(isNewUser ? 201 : 200).json({
+      message: isNewUser ? 'User registered successfully' : 'Login successful',
+      isNewUser,
+      token: accessToken,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      user: toUserResponse(user)
+    });
+  } catch (err) {
+    console.error('Verify OTP Error:', err);
+    res.status(500).json({ message: 'Server error verifying code' });
+  }
+};
+
+// List the current user's children
+exports.getChildren = (req, res) => {
+  res.json({ children: req.user.children });
+};
+
+// Add a child to the current user's profile
+exports.addChild = async (req, res) => {
+  try {
+    const childData = {};
+    CHILD_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) childData[field] = req.body[field];
+    });
+
+    const user = await User.findById(req.user._id);
+    user.children.push(childData);
+    await user.save();
+
+    res.status(201).json({ child: user.children[user.children.length - 1] });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Error adding child:', err);
+    res.status(500).json({ message: 'Server error adding child' });
+  }
+};
+
+// Update one of the current user's children
+exports.updateChild = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const child = user.children.id(req.params.childId);
+    if (!child) {
+      return res.status(404).json({ message: 'Child not found' });
+    }
+
+    CHILD_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) child[field] = req.body[field];
+    });
+    await user.save();
+
+    res.json({ child });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: err.message });
+    }
+    console.error('Error updating child:', err);
+    res.status(500).json({ message: 'Server error updating child' });
+  }
+};
+
+// Remove a child from the current user's profile
+exports.deleteChild = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const child = user.children.id(req.params.childId);
+    if (!child) {
+      return res.status(404).json({ message: 'Child not found' });
+    }
+
+    child.deleteOne();
+    await user.save();
+
+    res.json({ success: true, message: 'Child removed' });
+  } catch (err) {
+    console.error('Error removing child:', err);
+    res.status(500).json({ message: 'Server error removing child' });
+  }
+};
+
+// List the age bands groups, events and feeds can be filtered on
+exports.getAgeBands = (req, res) => {
+  res.json({
+    ageBands: AGE_BANDS.map(({ key, label, minMonths, maxMonths }) => ({ key, label, minMonths, maxMonths }))
+  });
+};
+
+// Schedule the current user's account for deletion. Password accounts must
+// confirm with their password.
+exports.requestAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.password && !(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+    if (user.deletionScheduledFor) {
+      return res.status(409).json({
+        message: 'Account deletion is already scheduled',
+        deletionScheduledFor: user.deletionScheduledFor
+      });
+    }
+
+    const deletionScheduledFor = await AccountDeletionService.requestDeletion(user._id);
+    res.json({
+      success: true,
+      message: 'Your account will be deleted. Sign in and cancel before the scheduled date to keep it.',
+      deletionScheduledFor
+    });
+  } catch (err) {
+    console.error('Error requesting account deletion:', err);
+    res.status(500).json({ message: 'Server error requesting account deletion' });
+  }
+};
+
+// Cancel a pending account deletion
+exports.cancelAccountDeletion = async (req, res) => {
+  try {
+    if (!req.user.deletionScheduledFor) {
+      return res.status(400).json({ message: 'No account deletion is scheduled' });
+    }
+
+    await AccountDeletionService.cancelDeletion(req.user._id);
+    res.json({ success: true, message: 'Account deletion cancelled' });
+  } catch (err) {
+    console.error('Error cancelling account deletion:', err);
+    res.status(500).json({ message: 'Server error cancelling account deletion' });
+  }
+};
+
+// Download everything the current user authored as a JSON bundle
+exports.exportAccountData = async (req, res) => {
+  try {
+    const bundle = await AccountDeletionService.buildExport(req.user._id);
+    if (!bundle) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename="skipcry-export-${req.user.userId}-${date}.json"`);
+    res.json(bundle);
+  } catch (err) {
+    console.error('Error exporting account data:', err);
+    res.status(500).json({ message: 'Server error exporting account data' });
+  }
+};
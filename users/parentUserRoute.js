@@ -1,11 +1,47 @@
 const express = require('express');
 const router = express.Router();
 const userCtrl = require('./parentUserController');
+const followCtrl = require('./followController');
+const profileCtrl = require('./profileController');
 const auth = require('../middleware/auth'); // your JWT/auth middleware
+const { optionalAuth } = require('../middleware/authorization');
+const rateLimiters = require('../middleware/rateLimiters');
 
-router.post('/register', userCtrl.registerUser);
-router.post('/login', userCtrl.loginUser);
+router.post('/register', rateLimiters.register, userCtrl.registerUser);
+router.post('/login', rateLimiters.login, userCtrl.loginUser);
+router.post('/refresh-token', userCtrl.refreshToken);
+router.post('/logout', auth, userCtrl.logoutUser);
+router.post('/logout-all', auth, userCtrl.logoutAllSessions);
+router.get('/sessions', auth, userCtrl.getActiveSessions);
+router.delete('/sessions/:sessionId', auth, userCtrl.revokeSession);
+router.post('/verify-email', userCtrl.verifyEmail);
+router.post('/resend-verification', auth, userCtrl.resendVerificationEmail);
+router.post('/forgot-password', rateLimiters.passwordReset, userCtrl.forgotPassword);
+router.post('/reset-password', rateLimiters.passwordReset, userCtrl.resetPassword);
+router.post('/phone/request-otp', rateLimiters.otp, userCtrl.requestPhoneOtp);
+router.post('/phone/verify-otp', rateLimiters.otp, userCtrl.verifyPhoneOtp);
 router.get('/profile', auth, userCtrl.getUserProfile);
+router.get('/profile/export', auth, userCtrl.exportAccountData);
+router.post('/profile/delete', auth, userCtrl.requestAccountDeletion);
+router.delete('/profile/delete', auth, userCtrl.cancelAccountDeletion);
+router.get('/profile/privacy', auth, profileCtrl.getPrivacySettings);
+router.put('/profile/privacy', auth, profileCtrl.updatePrivacySettings);
+router.get('/profile/children', auth, userCtrl.getChildren);
+router.post('/profile/children', auth, userCtrl.addChild);
+router.put('/profile/children/:childId', auth, userCtrl.updateChild);
+router.delete('/profile/children/:childId', auth, userCtrl.deleteChild);
+router.get('/age-bands', userCtrl.getAgeBands);
 router.post('/avatar', userCtrl.handleAvatarUpload);
+router.get('/blocked', auth, followCtrl.getBlockedUsers);
+
+// Routes on another user - keep below the static routes above
+router.post('/:userId/follow', auth, followCtrl.followUser);
+router.delete('/:userId/follow', auth, followCtrl.unfollowUser);
+router.get('/:userId/follow-status', auth, followCtrl.getFollowStatus);
+router.get('/:userId/followers', auth, followCtrl.getFollowers);
+router.get('/:userId/following', auth, followCtrl.getFollowing);
+router.post('/:userId/block', auth, followCtrl.blockUser);
+router.delete('/:userId/block', auth, followCtrl.unblockUser);
+router.get('/:userId', optionalAuth, profileCtrl.getPublicProfile);
 
 module.exports = router;
@@ -0,0 +1,106 @@
+// Permission catalogue used by the policy engine (services/policyEngine.js).
+// Every authorize(action) check names one of PERMISSIONS.
+
+// Taking part in a group: reading, posting, liking, commenting, reporting
+const GROUP_PARTICIPATION = [
+  'view_group_posts',
+  'create_group_post',
+  'interact_group_posts'
+];
+
+const MODERATION = [
+  'moderate_posts',
+  'ban_users',
+  'view_reports',
+  'pin_posts',
+  'manage_members'
+];
+
+const GROUP_ADMINISTRATION = [
+  'edit_group',
+  'delete_group',
+  'manage_group_rules'
+];
+
+const PERMISSIONS = [
+  // Platform / community administration
+  'create_community',
+  'edit_community',
+  'delete_community',
+  'assign_moderators',
+  'approve_experts',
+  'manage_groups',
+  'manage_roles',
+  'view_moderation_logs',
+  'delegate_moderator',
+  'manage_community_roles',
+  'manage_announcements',
+  // Moderation
+  ...MODERATION,
+  'mark_best_answer',
+  // Group administration and participation
+  ...GROUP_ADMINISTRATION,
+  ...GROUP_PARTICIPATION,
+  'leave_group'
+];
+
+// Default permissions of a UserRole. Community-scoped moderators and experts
+// can take part in every group of their community; community moderators can
+// also delegate moderator in its groups for a limited time and post
+// community announcements.
+const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  moderator: [...MODERATION, ...GROUP_PARTICIPATION, 'delegate_moderator', 'manage_announcements'],
+  expert: ['mark_best_answer', ...GROUP_PARTICIPATION],
+  groupAdmin: [...GROUP_ADMINISTRATION, ...MODERATION, ...GROUP_PARTICIPATION],
+  user: [],
+  // Custom roles take their permissions from the CustomRole they point to
+  custom: []
+};
+
+// Permissions a community may put in its custom roles (communities/customRole.js).
+// Platform and community administration stay with the built-in roles.
+const CUSTOM_ROLE_PERMISSIONS = [
+  ...MODERATION,
+  'manage_announcements',
+  'mark_best_answer',
+  ...GROUP_ADMINISTRATION,
+  ...GROUP_PARTICIPATION
+];
+
+// What still works inside an archived or deleted community or group, which
+// are read-only (see PolicyEngine.getReadOnlyReason). delete_community covers
+// archiving, deleting and restoring the community itself.
+const READ_ONLY_SCOPE_PERMISSIONS = [
+  'view_group_posts',
+  'view_reports',
+  'view_moderation_logs',
+  'leave_group',
+  'delete_community'
+];
+
+// Permissions of a GroupMembership role inside its group
+const GROUP_MEMBER_PERMISSIONS = [...GROUP_PARTICIPATION, 'leave_group'];
+const GROUP_ROLE_PERMISSIONS = {
+  member: GROUP_MEMBER_PERMISSIONS,
+  expert: [...GROUP_MEMBER_PERMISSIONS, 'mark_best_answer'],
+  moderator: [...GROUP_MEMBER_PERMISSIONS, ...MODERATION],
+  groupAdmin: [...GROUP_MEMBER_PERMISSIONS, ...MODERATION, ...GROUP_ADMINISTRATION]
+};
+
+// Group admin roles stored on GroupMembership. 'admin' is the pre-migration name.
+const GROUP_ADMIN_ROLES = ['groupAdmin', 'admin'];
+const GROUP_MODERATOR_ROLES = [...GROUP_ADMIN_ROLES, 'moderator'];
+
+const normalizeGroupRole = (role) => (GROUP_ADMIN_ROLES.includes(role) ? 'groupAdmin' : role);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  GROUP_ROLE_PERMISSIONS,
+  CUSTOM_ROLE_PERMISSIONS,
+  READ_ONLY_SCOPE_PERMISSIONS,
+  GROUP_ADMIN_ROLES,
+  GROUP_MODERATOR_ROLES,
+  normalizeGroupRole
+};
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const User = require('./parentUser');
+const UserRole = require('./userRole');
+const GroupMembership = require('../groups/groupMembership');
+const GroupPost = require('../groups/groupPost');
+const Post = require('../posts/post');
+const Event = require('../events/event');
+const {
+  PRIVACY_LEVELS,
+  PRIVACY_SETTING_KEYS,
+  getRelation,
+  canView,
+  getPrivacySettings,
+  getVisibleChildren
+} = require('./profilePrivacy');
+
+// Number of hosted events listed on a profile
+const HOSTED_EVENTS_LIMIT = 20;
+
+// Find a user by Mongo id or by the public USR id
+const findProfileUser = (identifier) => {
+  const query = mongoose.isValidObjectId(identifier)
+    ? { _id: identifier }
+    : { userId: identifier };
+  return User.findOne(query).select('-password');
+};
+
+// Public profile of a user, filtered by their privacy settings
+exports.getPublicProfile = async (req, res) => {
+  try {
+    const user = await findProfileUser(req.params.userId);
+    if (!user || user.deletedAt) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const viewer = req.user || null;
+    if (viewer && await User.isBlockedBetween(viewer._id, user._id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const relation = getRelation(user, viewer);
+    const settings = getPrivacySettings(user);
+    const visible = (key) => canView(settings[key], relation);
+
+    const [postCount, groupPostCount, expertRoles] = await Promise.all([
+      Post.countDocuments({ authorId: user._id, isActive: true }),
+      GroupPost.countDocuments({ authorId: user._id, isDeleted: false, status: 'published' }),
+      UserRole.find({
+        userId: user._id,
+        role: 'expert',
+        isActive: true,
+        verificationStatus: 'verified'
+      })
+        .populate('communityId', 'title')
+        .populate('groupId', 'title')
+    ]);
+
+    const profile = {
+      id: user._id,
+      userId: user.userId,
+      name: user.name,
+      avatar: user.avatar,
+      role: user.role,
+      joinedAt: user.createdAt,
+      children: getVisibleChildren(user.children, relation),
+      stats: {
+        postCount,
+        groupPostCount
+      },
+      expertBadges: expertRoles.map(role => ({
+        expertiseAreas: role.expertiseAreas,
+        community: role.communityId,
+        group: role.groupId,
+        verifiedAt: role.verifiedAt
+      }))
+    };
+
+    if (visible('bio')) profile.bio = user.bio;
+    if (visible('location')) profile.location = user.location;
+    if (visible('email')) profile.email = user.email;
+    if (visible('phone')) profile.phone = user.phone;
+
+    if (visible('connections')) {
+      profile.stats.followerCount = user.followers.length;
+      profile.stats.followingCount = user.following.length;
+    }
+
+    if (visible('joinedGroups')) {
+      // Secret groups are never listed on a profile
+      const memberships = await GroupMembership.find({ userId: user._id, status: 'active' })
+        .populate({
+          path: 'groupId',
+          select: 'title image category type',
+          match: { type: { $ne: 'Secret' }, isActive: true }
+        });
+      profile.joinedGroups = memberships
+        .filter(membership => membership.groupId)
+        .map(membership => ({
+          id: membership.groupId._id,
+          title: membership.groupId.title,
+          image: membership.groupId.image,
+          category: membership.groupId.category,
+          role: membership.role,
+          joinedAt: membership.joinedAt
+        }));
+    }
+
+    if (visible('eventsHosted')) {
+      const eventFilter = { host: user._id, isCancelled: false };
+      if (relation !== 'self') eventFilter.visibility = 'Public';
+      const [events, hostedCount] = await Promise.all([
+        Event.find(eventFilter)
+          .select('title date time eventType category coverImageUrl')
+          .sort({ date: -1 })
+          .limit(HOSTED_EVENTS_LIMIT),
+        Event.countDocuments(eventFilter)
+      ]);
+      profile.eventsHosted = events;
+      profile.stats.eventsHostedCount = hostedCount;
+    }
+
+    if (viewer && relation !== 'self') {
+      profile.relationship = {
+        following: relation === 'follower',
+        followedBy: user.following.some(id => id.toString() === viewer._id.toString())
+      };
+    }
+
+    res.json({ profile });
+  } catch (err) {
+    console.error('Error fetching public profile:', err);
+    res.status(500).json({ message: 'Server error fetching profile' });
+  }
+};
+
+// Current user's privacy settings
+exports.getPrivacySettings = (req, res) => {
+  res.json({ privacySettings: getPrivacySettings(req.user), levels: PRIVACY_LEVELS });
+};
+
+// Update the current user's privacy settings
+exports.updatePrivacySettings = async (req, res) => {
+  try {
+    const updates = {};
+    for (const key of PRIVACY_SETTING_KEYS) {
+      const level = req.body[key];
+      if (level === undefined) continue;
+      if (!PRIVACY_LEVELS.includes(level)) {
+        return res.status(400).json({
+          message: `Invalid privacy level for ${key}. Use one of: ${PRIVACY_LEVELS.join(', ')}`
+        });
+      }
+      updates[`privacySettings.${key}`] = level;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'No privacy settings provided' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('privacySettings');
+
+    res.json({ privacySettings: getPrivacySettings(user) });
+  } catch (err) {
+    console.error('Error updating privacy settings:', err);
+    res.status(500).json({ message: 'Server error updating privacy settings' });
+  }
+};
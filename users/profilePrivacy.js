@@ -0,0 +1,137 @@
+// Per-field profile privacy. Each setting in ParentUser.privacySettings is
+// one of PRIVACY_LEVELS and controls the document paths listed below.
+const PRIVACY_LEVELS = ['public', 'followers', 'only_me'];
+
+const PRIVACY_SETTING_PATHS = {
+  email: ['email'],
+  phone: ['phone'],
+  bio: ['bio'],
+  location: ['location'],
+  joinedGroups: ['joinedGroups'],
+  connections: ['followers', 'following'],
+  // Not a stored path; only used by the public profile endpoint
+  eventsHosted: []
+};
+
+const DEFAULT_PRIVACY_SETTINGS = {
+  email: 'only_me',
+  phone: 'only_me',
+  bio: 'public',
+  location: 'public',
+  joinedGroups: 'public',
+  connections: 'public',
+  eventsHosted: 'public'
+};
+
+const PRIVACY_SETTING_KEYS = Object.keys(DEFAULT_PRIVACY_SETTINGS);
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+// How `viewer` relates to `owner`: 'self', 'follower' or 'public'. Following
+// is read from the owner's followers or the viewer's following list; without
+// either a viewer is treated as public.
+const getRelation = (owner, viewer) => {
+  if (!viewer) return 'public';
+  if (sameId(owner, viewer)) return 'self';
+  if (Array.isArray(owner.followers) && owner.followers.some(id => sameId(id, viewer))) {
+    return 'follower';
+  }
+  if (Array.isArray(viewer.following) && viewer.following.some(id => sameId(id, owner))) {
+    return 'follower';
+  }
+  return 'public';
+};
+
+const canView = (level, relation) => {
+  if (relation === 'self' || level === 'public') return true;
+  return level === 'followers' && relation === 'follower';
+};
+
+// Privacy settings of a user with defaults for anything not stored
+const getPrivacySettings = (user) => {
+  const stored = (user && user.privacySettings) || {};
+  const settings = {};
+  PRIVACY_SETTING_KEYS.forEach(key => {
+    settings[key] = stored[key] || DEFAULT_PRIVACY_SETTINGS[key];
+  });
+  return settings;
+};
+
+// Children the viewer may see, based on each child's own privacy level
+const getVisibleChildren = (children = [], relation) => {
+  return children.filter(child => canView(child.privacy || 'only_me', relation));
+};
+
+// Remove a path from a user document or plain object. Hydrated documents are
+// unmarked afterwards so a later save() never clears the stored value.
+const hidePath = (user, path) => {
+  if (user[path] === undefined) return;
+  if (typeof user.unmarkModified === 'function') {
+    user.set(path, undefined);
+    user.unmarkModified(path);
+  } else {
+    delete user[path];
+  }
+};
+
+/**
+ * Strip the fields of `user` that a viewer with `relation` may not see.
+ * Works on hydrated documents and lean objects, and only touches paths that
+ * were loaded.
+ * @param {Object} user - ParentUser document or plain object
+ * @param {string} relation - 'self', 'follower' or 'public'
+ * @returns {Object} The same user, masked in place
+ */
+const applyPrivacy = (user, relation = 'public') => {
+  if (!user || relation === 'self') return user;
+
+  const settings = getPrivacySettings(user);
+  PRIVACY_SETTING_KEYS.forEach(key => {
+    if (!canView(settings[key], relation)) {
+      PRIVACY_SETTING_PATHS[key].forEach(path => hidePath(user, path));
+    }
+  });
+
+  if (Array.isArray(user.children)) {
+    const visibleChildren = getVisibleChildren(user.children, relation);
+    if (visibleChildren.length !== user.children.length) {
+      if (typeof user.unmarkModified === 'function') {
+        user.set('children', visibleChildren);
+        user.unmarkModified('children');
+      } else {
+        user.children = visibleChildren;
+      }
+    }
+  }
+
+  hidePath(user, 'blockedUsers');
+  return user;
+};
+
+/**
+ * Mask a user populated into a response for the viewer. The populate must
+ * select privacySettings, which is removed again here. Admin and moderation
+ * screens use the unmasked user.
+ * @param {Object} user - Populated user (document or plain object), or an id
+ * @param {Object} [viewer] - Logged-in ParentUser, if any
+ * @returns {Object} The same user, masked in place
+ */
+const maskUser = (user, viewer = null) => {
+  if (!user || typeof user !== 'object' || !user._id) return user;
+  applyPrivacy(user, getRelation(user, viewer));
+  hidePath(user, 'privacySettings');
+  return user;
+};
+
+module.exports = {
+  PRIVACY_LEVELS,
+  PRIVACY_SETTING_KEYS,
+  DEFAULT_PRIVACY_SETTINGS,
+  getRelation,
+  canView,
+  getPrivacySettings,
+  getVisibleChildren,
+  applyPrivacy,
+  maskUser,
+  hidePath
+};
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const ROLE_AUDIT_ACTIONS = [
+  'assign',
+  'remove',
+  'expire',
+  'suspend',
+  'reinstate',
+  'delegate',
+  'verify_expert',
+  'reject_expert',
+  'update_permissions',
+  'custom_role_create',
+  'custom_role_update',
+  'custom_role_delete'
+];
+
+// Append-only history of role and permission changes. Entries are written
+// through RoleAuditService and never updated or deleted.
+const roleAuditSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ROLE_AUDIT_ACTIONS,
+    required: true
+  },
+  // Who made the change; null for system changes such as expiry
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser',
+    default: null
+  },
+  // Whose roles changed; null for changes to a custom role definition
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser',
+    default: null
+  },
+  // Where the role is stored
+  source: {
+    type: String,
+    enum: ['userRole', 'customRole', 'communityModerators', 'groupMembership'],
+    required: true
+  },
+  role: {
+    type: String
+  },
+  userRoleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserRole',
+    default: null
+  },
+  customRoleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomRole',
+    default: null
+  },
+  communityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    default: null
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null
+  },
+  permissionsBefore: [{
+    type: String
+  }],
+  permissionsAfter: [{
+    type: String
+  }],
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  // Action-specific details, e.g. validity window or delegating role
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+roleAuditSchema.index({ targetUserId: 1, createdAt: -1 });
+roleAuditSchema.index({ communityId: 1, createdAt: -1 });
+roleAuditSchema.index({ actorId: 1, createdAt: -1 });
+roleAuditSchema.index({ createdAt: -1 });
+
+// Refuse to change an entry once written
+const rejectChange = function(next) {
+  next(new Error('Role audit entries cannot be modified or deleted'));
+};
+roleAuditSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(operation => {
+  roleAuditSchema.pre(operation, { document: false, query: true }, rejectChange);
+});
+roleAuditSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+const RoleAudit = mongoose.model('RoleAudit', roleAuditSchema);
+
+module.exports = RoleAudit;
+module.exports.ROLE_AUDIT_ACTIONS = ROLE_AUDIT_ACTIONS;
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// Server-side record of a login. Access tokens carry the session id (sid) so
+// revoking the session invalidates them; the refresh token is stored hashed
+// and rotated on every use.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  deviceName: {
+    type: String,
+    default: '',
+    maxlength: 100
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked_by_user', 'refresh_token_reuse', 'password_change', 'account_deleted']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB drop sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to revoke session
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to get a user's active sessions
+sessionSchema.statics.getActiveSessions = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
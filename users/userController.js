@@ -1,83 +0,0 @@
-const User = require('./parentUser');
-const jwt = require('jsonwebtoken');
-
-// Use environment variables in production
-const JWT_SECRET = 'your_jwt_secret';
-
-exports.registerUser = async (req, res) => {
-    console.log("Registering user with data:", req.body);
-  try {
-    const {
-      name,
-      email,
-      password,
-      avatar,
-      bio,
-      role = 'parent',
-      location,
-      children = []
-    } = req.body;
-    
-    // Check if user exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser)
-      return res.status(400).json({ message: 'Email already in use' });
-
-    // Create new user object
-    const user = new User({
-      name,
-      email,
-      password,
-      avatar,
-      bio,
-      role,
-      location,
-      children
-    });
-
-    await user.save();
-
-    res.status(201).json({ message: 'User registered successfully' });
-  } catch (err) {
-    console.error('Registration Error:', err);
-    res.status(500).json({ message: 'Server error during registration' });
-  }
-};
-
-exports.loginUser = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    const user = await User.findOne({ email });
-    if (!user)
-      return res.status(400).json({ message: 'Invalid email or password' });
-
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch)
-      return res.status(400).json({ message: 'Invalid email or password' });
-
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      JWT_SECRET,
-      { expiresIn: '1d' }
-    );
-
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar,
-        bio: user.bio,
-        location: user.location,
-        children: user.children
-      }
-    });
-  } catch (err) {
-    console.error('Login Error:', err);
-    res.status(500).json({ message: 'Server error during login' });
-  }
-};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('./permissions');
 
 const userRoleSchema = new mongoose.Schema({
   userId: {
@@ -8,9 +9,15 @@ const userRoleSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'expert', 'moderator', 'groupAdmin','user'],
+    enum: ['admin', 'expert', 'moderator', 'groupAdmin', 'user', 'custom'],
     required: true
   },
+  // Community-defined role this assignment grants (role 'custom' only)
+  customRoleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomRole',
+    default: null
+  },
   // Community scope for role (null for platform-wide roles like admin)
   communityId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -23,23 +30,10 @@ const userRoleSchema = new mongoose.Schema({
     ref: 'Group',
     default: null
   },
+  // Permissions granted by this role; defaults per role live in users/permissions.js
   permissions: [{
     type: String,
-    enum: [
-      'create_community',
-      'edit_community',
-      'delete_community',
-      'assign_moderators',
-      'approve_experts',
-      'manage_groups',
-      'moderate_posts',
-      'ban_users',
-      'view_reports',
-      'mark_best_answer',
-      'pin_posts',
-      'edit_group',
-      'delete_group'
-    ]
+    enum: PERMISSIONS
   }],
   assignedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -53,6 +47,35 @@ const userRoleSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Validity window; the role grants nothing outside it (validUntil null = no expiry)
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  // Role whose authority was used to delegate this one (see RoleAssignmentService.delegateModerator)
+  delegatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserRole',
+    default: null
+  },
+  // Community moderator (Community.moderators list) who delegated this role;
+  // such delegations have no delegatedFrom role and end when they are removed
+  delegatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser',
+    default: null
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  // Deactivated because its community was deleted; reactivated on restore
+  suspendedByCommunity: {
+    type: Boolean
+  },
   expertiseAreas: [{
     type: String,
     enum: [
@@ -89,50 +112,32 @@ const userRoleSchema = new mongoose.Schema({
 });
 
 // Compound indexes for scoped roles
-userRoleSchema.index({ userId: 1, role: 1, communityId: 1, groupId: 1 }, { unique: true });
+userRoleSchema.index({ userId: 1, role: 1, customRoleId: 1, communityId: 1, groupId: 1 }, { unique: true });
+userRoleSchema.index({ customRoleId: 1, isActive: 1 });
 userRoleSchema.index({ userId: 1, communityId: 1 });
 userRoleSchema.index({ userId: 1, groupId: 1 });
 userRoleSchema.index({ role: 1, isActive: 1 });
 userRoleSchema.index({ verificationStatus: 1 });
 userRoleSchema.index({ expertiseAreas: 1 });
+userRoleSchema.index({ isActive: 1, validUntil: 1 });
+userRoleSchema.index({ delegatedFrom: 1 });
+userRoleSchema.index({ delegatedBy: 1, communityId: 1 });
+
+// Custom roles belong to a community
+userRoleSchema.pre('validate', function(next) {
+  if (this.role === 'custom' && (!this.customRoleId || !this.communityId)) {
+    this.invalidate('customRoleId', 'Custom roles need a customRoleId and communityId');
+  } else if (this.role !== 'custom' && this.customRoleId) {
+    this.invalidate('customRoleId', 'customRoleId is only allowed on custom roles');
+  }
+  next();
+});
 
-// Pre-save middleware to set default permissions based on role
+// Pre-save middleware to set default permissions based on role, unless
+// permissions were given explicitly in the same change
 userRoleSchema.pre('save', function(next) {
-  if (this.isNew || this.isModified('role')) {
-    switch (this.role) {
-      case 'admin':
-        this.permissions = [
-          'create_community',
-          'edit_community',
-          'delete_community',
-          'assign_moderators',
-          'approve_experts',
-          'manage_groups',
-          'moderate_posts',
-          'ban_users',
-          'view_reports',
-          'pin_posts',
-          'edit_group',
-          'delete_group'
-        ];
-        break;
-      case 'moderator':
-        this.permissions = [
-          'moderate_posts',
-          'ban_users',
-          'view_reports',
-          'pin_posts'
-        ];
-        break;
-      case 'expert':
-        this.permissions = [
-          'mark_best_answer'
-        ];
-        break;
-      case 'user':
-        this.permissions = [];
-        break;
-    }
+  if ((this.isNew || this.isModified('role')) && !this.isModified('permissions') && ROLE_PERMISSIONS[this.role]) {
+    this.permissions = ROLE_PERMISSIONS[this.role];
   }
   next();
 });
@@ -151,9 +156,15 @@ userRoleSchema.methods.reject = function() {
   return this.save();
 };
 
+// Whether a role is inside its validity window. Works on lean objects too.
+userRoleSchema.statics.isCurrent = function(role, now = new Date()) {
+  if (role.validFrom && role.validFrom > now) return false;
+  return !role.validUntil || role.validUntil > now;
+};
+
 // Instance method to check permission
 userRoleSchema.methods.hasPermission = function(permission) {
-  return this.isActive && this.permissions.includes(permission);
+  return this.isActive && this.constructor.isCurrent(this) && this.permissions.includes(permission);
 };
 
 // Static method to get user roles (with scope)
@@ -165,6 +176,7 @@ userRoleSchema.statics.getUserRoles = function(userId, communityId = null, group
   return this.find(query)
     .populate('assignedBy', 'name email')
     .populate('verifiedBy', 'name email')
+    .populate('customRoleId', 'name permissions')
     .populate('communityId', 'title')
     .populate('groupId', 'title');
 };
@@ -180,40 +192,6 @@ userRoleSchema.statics.getUsersByRole = function(role, communityId = null, group
     .sort({ assignedAt: -1 });
 };
 
-// Static method to check if user has permission in a specific scope
-userRoleSchema.statics.userHasPermission = async function(userId, permission, communityId = null, groupId = null) {
-  // Check platform-wide admin first
-  const adminRole = await this.findOne({ 
-    userId, 
-    role: 'admin', 
-    isActive: true,
-    communityId: null,
-    groupId: null
-  });
-  
-  if (adminRole && adminRole.hasPermission(permission)) {
-    return true;
-  }
-  
-  // Check scoped permissions
-  const query = { userId, isActive: true };
-  if (communityId !== null) {
-    query.$or = [
-      { communityId: communityId },
-      { communityId: null } // Include platform-wide roles
-    ];
-  }
-  if (groupId !== null) {
-    query.$or = [
-      { groupId: groupId },
-      { groupId: null } // Include community-wide and platform-wide roles
-    ];
-  }
-  
-  const userRoles = await this.find(query);
-  return userRoles.some(role => role.hasPermission(permission));
-};
-
 // Static method to get user's role in a specific community
 userRoleSchema.statics.getUserCommunityRole = function(userId, communityId) {
   return this.findOne({ 
@@ -1,5 +1,10 @@
+const mongoose = require('mongoose');
 const UserRole = require('./userRole');
-const { requirePermission, requireAdmin } = require('../middleware/authorization');
+const User = require('./parentUser');
+const PolicyEngine = require('../services/policyEngine');
+const RoleCache = require('../services/roleCache');
+const RoleAssignmentService = require('../services/roleAssignmentService');
+const RoleAuditService = require('../services/roleAuditService');
 
 // Get user roles
 exports.getUserRoles = async (req, res) => {
@@ -8,8 +13,8 @@ exports.getUserRoles = async (req, res) => {
     
     // Users can view their own roles, admins can view any user's roles
     if (userId !== req.user._id.toString()) {
-      const hasPermission = await UserRole.userHasPermission(req.user._id, 'view_reports');
-      if (!hasPermission) {
+      const canManageRoles = await PolicyEngine.can(req.user, 'manage_roles', {}, RoleCache.forRequest(req));
+      if (!canManageRoles) {
         return res.status(403).json({ error: 'Access denied' });
       }
     }
@@ -24,17 +29,19 @@ exports.getUserRoles = async (req, res) => {
 // Assign role to user (Admin only)
 exports.assignRole = async (req, res) => {
   try {
-    const { userId, role, permissions, expertiseAreas, credentials } = req.body;
-
-    // Check if role already exists
-    const existingRole = await UserRole.findOne({ userId, role, isActive: true });
-    if (existingRole) {
-      return res.status(400).json({ error: 'User already has this role' });
-    }
+    const {
+      userId, role, permissions, expertiseAreas, credentials,
+      customRoleId, communityId, groupId, validFrom, validUntil, reason
+    } = req.body;
 
     const roleData = {
       userId,
       role,
+      customRoleId,
+      communityId,
+      groupId,
+      validFrom,
+      validUntil,
       assignedBy: req.user._id
     };
 
@@ -50,8 +57,7 @@ exports.assignRole = async (req, res) => {
       roleData.permissions = permissions;
     }
 
-    const userRole = new UserRole(roleData);
-    await userRole.save();
+    const userRole = await RoleAssignmentService.assignRole(roleData, { reason });
 
     const populatedRole = await UserRole.findById(userRole._id)
       .populate('userId', 'name email avatar')
@@ -59,22 +65,60 @@ exports.assignRole = async (req, res) => {
 
     res.status(201).json(populatedRole);
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(err.status || 400).json({ error: err.message });
+  }
+};
+
+// Delegate moderator of a group to a user for a limited time (community moderators)
+exports.delegateModerator = async (req, res) => {
+  try {
+    const { userId, days, reason } = req.body;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Valid userId is required' });
+    }
+    const user = await User.findById(userId).select('_id deletedAt');
+    if (!user || user.deletedAt) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const userRole = await RoleAssignmentService.delegateModerator(
+      req.user,
+      req.authorization.scope,
+      user._id,
+      days,
+      RoleCache.forRequest(req),
+      reason
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Moderator delegated until ${userRole.validUntil.toISOString()}`,
+      userRole
+    });
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message });
   }
 };
 
 // Remove role from user (Admin only)
 exports.removeRole = async (req, res) => {
   try {
-    const { userId, role } = req.body;
+    const { userId, role, communityId = null, groupId = null, reason } = req.body;
 
-    const userRole = await UserRole.findOne({ userId, role, isActive: true });
+    const userRole = await UserRole.findOne({ userId, role, communityId, groupId, isActive: true });
     if (!userRole) {
       return res.status(404).json({ error: 'Role not found' });
     }
 
+    const before = [...userRole.permissions];
     userRole.isActive = false;
+    userRole.deactivatedAt = new Date();
     await userRole.save();
+    RoleCache.invalidateUserRoles(userId);
+    await RoleAuditService.recordUserRole('remove', userRole, { actor: req.user, before, reason });
+    // Moderators they delegated lose the role with them
+    await RoleAssignmentService.revokeDelegationsFrom(userRole._id, req.user);
 
     res.json({ success: true, message: 'Role removed successfully' });
   } catch (err) {
@@ -108,7 +152,7 @@ exports.getPendingExperts = async (req, res) => {
 // Verify expert (Admin only)
 exports.verifyExpert = async (req, res) => {
   try {
-    const { userId } = req.body;
+    const { userId, reason } = req.body;
 
     const userRole = await UserRole.findOne({ 
       userId, 
@@ -120,7 +164,10 @@ exports.verifyExpert = async (req, res) => {
       return res.status(404).json({ error: 'Expert role not found' });
     }
 
+    // Unverified experts hold no permissions, so verification grants them all
     await userRole.verify(req.user._id);
+    RoleCache.invalidateUserRoles(userId);
+    await RoleAuditService.recordUserRole('verify_expert', userRole, { actor: req.user, reason });
 
     const updatedRole = await UserRole.findById(userRole._id)
       .populate('userId', 'name email avatar')
@@ -135,7 +182,7 @@ exports.verifyExpert = async (req, res) => {
 // Reject expert verification (Admin only)
 exports.rejectExpert = async (req, res) => {
   try {
-    const { userId } = req.body;
+    const { userId, reason } = req.body;
 
     const userRole = await UserRole.findOne({ 
       userId, 
@@ -147,7 +194,10 @@ exports.rejectExpert = async (req, res) => {
       return res.status(404).json({ error: 'Expert role not found' });
     }
 
+    const before = userRole.verificationStatus === 'verified' ? [...userRole.permissions] : [];
     await userRole.reject();
+    RoleCache.invalidateUserRoles(userId);
+    await RoleAuditService.recordUserRole('reject_expert', userRole, { actor: req.user, before, after: [], reason });
 
     res.json({ success: true, message: 'Expert verification rejected' });
   } catch (err) {
@@ -155,15 +205,21 @@ exports.rejectExpert = async (req, res) => {
   }
 };
 
-// Check user permissions
+// Check user permissions, optionally within a community or group
 exports.checkPermissions = async (req, res) => {
   try {
-    const { permissions } = req.query;
+    const { permissions, communityId, groupId } = req.query;
     const permissionArray = Array.isArray(permissions) ? permissions : [permissions];
 
+    const scope = await PolicyEngine.resolveScope({ communityId, groupId });
+    if (!scope) {
+      return res.status(404).json({ error: 'Community or group not found' });
+    }
+
+    const effective = await PolicyEngine.getEffectivePermissions(req.user._id, scope, RoleCache.forRequest(req));
     const results = {};
     for (const permission of permissionArray) {
-      results[permission] = await UserRole.userHasPermission(req.user._id, permission);
+      results[permission] = effective.includes(permission);
     }
 
     res.json(results);
@@ -172,18 +228,57 @@ exports.checkPermissions = async (req, res) => {
   }
 };
 
+// Every permission a user has in a scope and where each comes from, for
+// debugging access-denied reports. Other users' permissions need manage_roles.
+exports.getEffectivePermissions = async (req, res) => {
+  try {
+    const { communityId, groupId } = req.query;
+    const userId = req.query.userId || req.user._id.toString();
+    const requestCache = RoleCache.forRequest(req);
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid userId' });
+    }
+    if (userId !== req.user._id.toString()) {
+      const canManageRoles = await PolicyEngine.can(req.user, 'manage_roles', {}, requestCache);
+      if (!canManageRoles) {
+        return res.status(403).json({ error: 'Access denied' });
+      }
+    }
+
+    const scope = await PolicyEngine.resolveScope({ communityId, groupId });
+    if (!scope) {
+      return res.status(404).json({ error: 'Community or group not found' });
+    }
+
+    const { permissions, notGranted, grants } = await PolicyEngine.explain(userId, scope, requestCache);
+    res.json({
+      userId,
+      scope: { communityId: scope.communityId, groupId: scope.groupId },
+      permissions,
+      notGranted,
+      grants
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
 // Update user permissions (Admin only)
 exports.updatePermissions = async (req, res) => {
   try {
-    const { userId, role, permissions } = req.body;
+    const { userId, role, permissions, communityId = null, groupId = null, reason } = req.body;
 
-    const userRole = await UserRole.findOne({ userId, role, isActive: true });
+    const userRole = await UserRole.findOne({ userId, role, communityId, groupId, isActive: true });
     if (!userRole) {
       return res.status(404).json({ error: 'User role not found' });
     }
 
+    const before = [...userRole.permissions];
     userRole.permissions = permissions;
     await userRole.save();
+    RoleCache.invalidateUserRoles(userId);
+    await RoleAuditService.recordUserRole('update_permissions', userRole, { actor: req.user, before, reason });
 
     const updatedRole = await UserRole.findById(userRole._id)
       .populate('userId', 'name email avatar');
@@ -194,6 +289,16 @@ exports.updatePermissions = async (req, res) => {
   }
 };
 
+// Search the role audit trail by user, actor, community, group, role, action or date range (Admin only)
+exports.getRoleAudit = async (req, res) => {
+  try {
+    const result = await RoleAuditService.query(req.query);
+    res.json(result);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+};
+
 // Get role statistics (Admin only)
 exports.getRoleStats = async (req, res) => {
   try {
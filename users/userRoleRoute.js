@@ -2,27 +2,34 @@ const express = require('express');
 const router = express.Router();
 const userRoleController = require('./userRoleController');
 const auth = require('../middleware/auth');
-const { requireAdmin, requirePermission } = require('../middleware/authorization');
+const { authorize, loadGroup } = require('../middleware/authorize');
 
 // Get user roles (users can view their own, admins can view any)
 router.get('/user/:userId', auth, userRoleController.getUserRoles);
 
 // Role management routes (Admin only)
-router.post('/assign', auth, requireAdmin, userRoleController.assignRole);
-router.post('/remove', auth, requireAdmin, userRoleController.removeRole);
-router.get('/role/:role', auth, requireAdmin, userRoleController.getUsersByRole);
+router.post('/assign', auth, authorize('manage_roles'), userRoleController.assignRole);
+router.post('/remove', auth, authorize('manage_roles'), userRoleController.removeRole);
+router.get('/role/:role', auth, authorize('manage_roles'), userRoleController.getUsersByRole);
+
+// Time-limited moderator of a group, delegated by a moderator of its community
+router.post('/delegate', auth, authorize('delegate_moderator', loadGroup('groupId', 'body')), userRoleController.delegateModerator);
 
 // Expert verification routes (Admin only)
-router.get('/pending-experts', auth, requireAdmin, userRoleController.getPendingExperts);
-router.post('/verify-expert', auth, requireAdmin, userRoleController.verifyExpert);
-router.post('/reject-expert', auth, requireAdmin, userRoleController.rejectExpert);
+router.get('/pending-experts', auth, authorize('approve_experts'), userRoleController.getPendingExperts);
+router.post('/verify-expert', auth, authorize('approve_experts'), userRoleController.verifyExpert);
+router.post('/reject-expert', auth, authorize('approve_experts'), userRoleController.rejectExpert);
 
 // Permission management
 router.get('/permissions/check', auth, userRoleController.checkPermissions);
-router.post('/permissions/update', auth, requireAdmin, userRoleController.updatePermissions);
+router.get('/effective', auth, userRoleController.getEffectivePermissions);
+router.post('/permissions/update', auth, authorize('manage_roles'), userRoleController.updatePermissions);
+
+// Role audit trail (Admin only)
+router.get('/audit', auth, authorize('manage_roles'), userRoleController.getRoleAudit);
 
 // Statistics (Admin only)
-router.get('/stats', auth, requireAdmin, userRoleController.getRoleStats);
+router.get('/stats', auth, authorize('manage_roles'), userRoleController.getRoleStats);
 
 module.exports = router;
 
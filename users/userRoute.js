@@ -1,8 +1,3 @@
-const express = require('express');
-const router = express.Router();
-const { registerUser, loginUser } = require('./userController');
-
-router.post('/register', registerUser);
-router.post('/login', loginUser);
-
-module.exports = router;
+// Legacy entry point. Registration and login are handled by parentUserController;
+// this module forwards to the parent user router so older mounts keep working.
+module.exports = require('./parentUserRoute');
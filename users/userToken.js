@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Single-use, expiring tokens mailed to users (email verification, password
+// reset). Only a hash of the token is stored.
+const userTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParentUser',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['email_verification', 'password_reset'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ userId: 1, purpose: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Static method to issue a new token, invalidating earlier unused ones for the same purpose
+userTokenSchema.statics.issue = async function(userId, purpose, ttlMs) {
+  await this.updateMany(
+    { userId, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+};
+
+// Static method to consume a token; returns the token record or null if invalid, used or expired
+userTokenSchema.statics.consume = function(token, purpose) {
+  if (!token || typeof token !== 'string') return Promise.resolve(null);
+
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('UserToken', userTokenSchema);